@@ -8,6 +8,12 @@ import Register from './components/Register';
 import Dashboard from './components/Dashboard';
 import UserDashboard from './components/UserDashboard';
 import EventForm from './components/EventForm';
+import EventResponses from './components/EventResponses';
+import EventHistory from './components/EventHistory';
+import CheckIn from './components/CheckIn';
+import EventDetails from './components/EventDetails';
+import ImportEvents from './components/ImportEvents';
+import EmailSettings from './components/EmailSettings';
 import './App.css';
 
 const PrivateRoute = ({ children }) => {
@@ -27,6 +33,7 @@ function App() {
               <Route path="/" element={<Dashboard />} />
               <Route path="/login" element={<Login />} />
               <Route path="/register" element={<Register />} />
+              <Route path="/events/:id" element={<EventDetails />} />
               <Route
                 path="/my-dashboard"
                 element={
@@ -43,6 +50,14 @@ function App() {
                   </PrivateRoute>
                 }
               />
+              <Route
+                path="/import-events"
+                element={
+                  <PrivateRoute>
+                    <ImportEvents />
+                  </PrivateRoute>
+                }
+              />
               <Route
                 path="/edit-event/:id"
                 element={
@@ -51,6 +66,38 @@ function App() {
                   </PrivateRoute>
                 }
               />
+              <Route
+                path="/events/:id/attendees"
+                element={
+                  <PrivateRoute>
+                    <EventResponses />
+                  </PrivateRoute>
+                }
+              />
+              <Route
+                path="/events/:id/history"
+                element={
+                  <PrivateRoute>
+                    <EventHistory />
+                  </PrivateRoute>
+                }
+              />
+              <Route
+                path="/events/:id/checkin"
+                element={
+                  <PrivateRoute>
+                    <CheckIn />
+                  </PrivateRoute>
+                }
+              />
+              <Route
+                path="/settings"
+                element={
+                  <PrivateRoute>
+                    <EmailSettings />
+                  </PrivateRoute>
+                }
+              />
             </Routes>
           </div>
         </Router>
@@ -0,0 +1,184 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { eventsAPI } from '../services/api';
+import LoadingSpinner from './LoadingSpinner';
+import './CheckIn.css';
+
+const POLL_INTERVAL = 5000;
+
+// Organizer check-in screen: scan or type an attendee's ticket code
+const CheckIn = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [stats, setStats] = useState(null);
+  const [code, setCode] = useState('');
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+  const [scanning, setScanning] = useState(false);
+  const videoRef = useRef(null);
+  const streamRef = useRef(null);
+
+  // Camera scanning relies on the browser's built-in barcode detector
+  const canScan = typeof window !== 'undefined' && 'BarcodeDetector' in window;
+
+  const fetchStats = useCallback(async () => {
+    try {
+      const response = await eventsAPI.getCheckInStats(id);
+      setStats(response.data);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load check-in stats');
+    }
+  }, [id]);
+
+  // Keep the counts live while other organizers check people in
+  useEffect(() => {
+    fetchStats();
+    const intervalId = setInterval(fetchStats, POLL_INTERVAL);
+    return () => clearInterval(intervalId);
+  }, [fetchStats]);
+
+  const submitCode = useCallback(async (ticketCode) => {
+    if (!ticketCode.trim()) return;
+    try {
+      const response = await eventsAPI.checkIn(id, ticketCode.trim());
+      const { attendee, ...counts } = response.data;
+      setResult({ type: 'success', message: `${attendee.user?.name || 'Attendee'} checked in (party of ${attendee.partySize})` });
+      setStats((prev) => ({ ...prev, ...counts }));
+      setCode('');
+    } catch (err) {
+      const data = err.response?.data;
+      const message = data?.checkedInAt
+        ? `${data.message} (${new Date(data.checkedInAt).toLocaleTimeString()})`
+        : data?.message || 'Check-in failed';
+      setResult({ type: 'error', message });
+    }
+  }, [id]);
+
+  const stopScanning = () => {
+    streamRef.current?.getTracks().forEach((track) => track.stop());
+    streamRef.current = null;
+    setScanning(false);
+  };
+
+  useEffect(() => {
+    if (!scanning) return undefined;
+
+    let cancelled = false;
+    const detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+
+    const scan = async () => {
+      if (cancelled || !videoRef.current) return;
+      try {
+        const codes = await detector.detect(videoRef.current);
+        if (codes.length > 0) {
+          await submitCode(codes[0].rawValue);
+          // Pause briefly so the same ticket isn't submitted over and over
+          setTimeout(scan, 2000);
+          return;
+        }
+      } catch (err) {
+        // The video may not be ready yet; try again on the next frame
+      }
+      requestAnimationFrame(scan);
+    };
+
+    navigator.mediaDevices
+      .getUserMedia({ video: { facingMode: 'environment' } })
+      .then((stream) => {
+        if (cancelled) {
+          stream.getTracks().forEach((track) => track.stop());
+          return;
+        }
+        streamRef.current = stream;
+        videoRef.current.srcObject = stream;
+        videoRef.current.play();
+        scan();
+      })
+      .catch(() => {
+        setResult({ type: 'error', message: 'Camera access was denied' });
+        setScanning(false);
+      });
+
+    return () => {
+      cancelled = true;
+      streamRef.current?.getTracks().forEach((track) => track.stop());
+    };
+  }, [scanning, submitCode]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    submitCode(code);
+  };
+
+  if (!stats && !error) {
+    return (
+      <div className="checkin-container">
+        <LoadingSpinner message="Loading check-in..." />
+      </div>
+    );
+  }
+
+  return (
+    <div className="checkin-container">
+      <div className="checkin-card">
+        <button onClick={() => navigate(-1)} className="btn-back">
+          Back
+        </button>
+        <h2>Check-in{stats?.title ? `: ${stats.title}` : ''}</h2>
+
+        {error && <div className="error-banner">{error}</div>}
+
+        {stats && (
+          <div className="checkin-stats">
+            <div className="checkin-stat">
+              <span className="checkin-stat-value">
+                {stats.checkedInCount} / {stats.rsvpCount}
+              </span>
+              <span className="checkin-stat-label">RSVPs checked in</span>
+            </div>
+            <div className="checkin-stat">
+              <span className="checkin-stat-value">
+                {stats.checkedInSeats} / {stats.seatsTaken}
+              </span>
+              <span className="checkin-stat-label">People arrived</span>
+            </div>
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="checkin-form">
+          <input
+            type="text"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            placeholder="Enter ticket code"
+            autoFocus
+          />
+          <button type="submit" className="btn-submit">
+            Check in
+          </button>
+        </form>
+
+        {canScan && (
+          scanning ? (
+            <div className="checkin-scanner">
+              <video ref={videoRef} muted playsInline />
+              <button onClick={stopScanning} className="btn-cancel">
+                Stop scanning
+              </button>
+            </div>
+          ) : (
+            <button onClick={() => setScanning(true)} className="btn-cancel">
+              Scan QR code
+            </button>
+          )
+        )}
+
+        {result && (
+          <div className={`checkin-result ${result.type}`}>{result.message}</div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CheckIn;
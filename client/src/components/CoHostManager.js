@@ -0,0 +1,87 @@
+import React, { useState } from 'react';
+import { eventsAPI } from '../services/api';
+
+const ROLE_LABELS = {
+  editor: 'Editor - can edit details',
+  manager: 'Manager - can also manage attendees',
+};
+
+// Owner-only panel for inviting co-hosts by email and changing their roles
+const CoHostManager = ({ eventId, initialCoHosts = [] }) => {
+  const [coHosts, setCoHosts] = useState(initialCoHosts);
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState('editor');
+  const [error, setError] = useState('');
+
+  const run = async (request) => {
+    try {
+      setError('');
+      const response = await request();
+      setCoHosts(response.data);
+      return true;
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to update co-hosts');
+      return false;
+    }
+  };
+
+  const handleInvite = async () => {
+    if (!email.trim()) {
+      setError('Enter the email of the person to invite');
+      return;
+    }
+    if (await run(() => eventsAPI.addCoHost(eventId, { email: email.trim(), role }))) {
+      setEmail('');
+    }
+  };
+
+  return (
+    <div className="form-group cohost-manager">
+      <label>Co-hosts</label>
+      {coHosts.map((c) => (
+        <div key={c._id} className="cohost-item">
+          <span className="cohost-email">{c.email}</span>
+          <select
+            value={c.role}
+            onChange={(e) => run(() => eventsAPI.updateCoHost(eventId, c._id, e.target.value))}
+            className="filter-select"
+          >
+            {Object.entries(ROLE_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+          <button
+            type="button"
+            onClick={() => run(() => eventsAPI.removeCoHost(eventId, c._id))}
+            className="btn-remove-question"
+          >
+            Remove
+          </button>
+        </div>
+      ))}
+      <div className="cohost-item">
+        <input
+          type="email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          placeholder="colleague@example.com"
+        />
+        <select value={role} onChange={(e) => setRole(e.target.value)} className="filter-select">
+          {Object.entries(ROLE_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <button type="button" onClick={handleInvite} className="btn-add-question">
+          Invite
+        </button>
+      </div>
+      {error && <span className="field-error">{error}</span>}
+    </div>
+  );
+};
+
+export default CoHostManager;
@@ -1,35 +1,120 @@
-import React, { useState, useEffect, useCallback, useRef } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { gsap } from 'gsap';
-import { eventsAPI } from '../services/api';
+import { eventsAPI, categoriesAPI } from '../services/api';
 import EventCard from './EventCard';
+import TagInput from './TagInput';
 import LoadingSpinner from './LoadingSpinner';
 import './Dashboard.css';
 
-const Dashboard = () => {
+const PAGE_SIZE = 12;
+
+const SORT_OPTIONS = {
+  relevance: 'Best match',
+  distance: 'Nearest first',
+  date: 'Soonest first',
+  recent: 'Most recent first',
+  newest: 'Newly added',
+  popular: 'Most popular',
+  seatsLeft: 'Fewest seats left',
+};
+
+// Which events the list shows, by start time (see the archive query param)
+const ARCHIVE_OPTIONS = {
+  upcoming: 'Upcoming',
+  past: 'Past',
+  all: 'All',
+};
+
+const TITLES = {
+  upcoming: 'Upcoming Events',
+  past: 'Past Events',
+  all: 'All Events',
+};
+
+// "Near me" search radius options, in km
+const RADIUS_OPTIONS = [5, 10, 25, 50, 100];
+
+// Quick date filters, matching the date facets counted by the server,
+// as [key, label, first day offset, last day offset (null = open-ended)]
+const DATE_BUCKETS = [
+  ['today', 'Today', 0, 0],
+  ['week', 'Next 7 days', 0, 7],
+  ['month', 'Next 30 days', 0, 30],
+  ['later', 'Later', 31, null],
+];
+
+// YYYY-MM-DD for the local day `days` days from today, as date inputs use
+const dayFromToday = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// The searchable event list. With mine it lists only events the user attends
+// or hosts (UserDashboard's "Past" tab), without a heading or archive picker.
+const Dashboard = ({ mine = false, defaultArchive = 'upcoming' }) => {
   const [events, setEvents] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [total, setTotal] = useState(0);
   const [error, setError] = useState('');
+  const [archive, setArchive] = useState(defaultArchive);
+  const [sort, setSort] = useState(''); // '' picks relevance when searching, else by date
+  const [facets, setFacets] = useState(null);
+  const [near, setNear] = useState(null); // { latitude, longitude, radius } for "near me"
+  const [locating, setLocating] = useState(false);
   const [searchTerm, setSearchTerm] = useState('');
   const [category, setCategory] = useState('All');
+  const [categories, setCategories] = useState(['All']);
+  const [tags, setTags] = useState([]);
   const [startDate, setStartDate] = useState('');
   const [endDate, setEndDate] = useState('');
 
-  const categories = ['All', 'General', 'Technology', 'Business', 'Education', 'Entertainment', 'Sports', 'Networking', 'Other'];
   const headerRef = useRef(null);
   const filtersRef = useRef(null);
   const eventsGridRef = useRef(null);
+  const loadMoreRef = useRef(null);
+
+  // Relevance only applies to searches, distance to "near me" and most recent
+  // to past events; otherwise fall back to the default for the current filters
+  const sortAvailable = (value) =>
+    (value !== 'relevance' || searchTerm) &&
+    (value !== 'distance' || near) &&
+    (value !== 'recent' || archive !== 'upcoming');
+  const defaultSort = searchTerm
+    ? 'relevance'
+    : near
+      ? 'distance'
+      : archive === 'past'
+        ? 'recent'
+        : 'date';
+  const activeSort = sort && sortAvailable(sort) ? sort : defaultSort;
+  const sortLabel = (value) =>
+    value === 'date' && archive !== 'upcoming' ? 'Oldest first' : SORT_OPTIONS[value];
+
+  // The current filters, sent with the first page and every page after it
+  const filters = useMemo(() => {
+    const current = { limit: PAGE_SIZE, sort: activeSort, archive };
+    if (mine) current.mine = true;
+    if (searchTerm) current.search = searchTerm;
+    if (category && category !== 'All') current.category = category;
+    if (tags.length > 0) current.tags = tags;
+    if (startDate) current.startDate = startDate;
+    if (endDate) current.endDate = endDate;
+    if (near) current.near = near;
+    return current;
+  }, [archive, mine, category, tags, startDate, endDate, searchTerm, activeSort, near]);
 
   const fetchEvents = useCallback(async () => {
     try {
       setLoading(true);
-      const filters = {};
-      if (searchTerm) filters.search = searchTerm;
-      if (category && category !== 'All') filters.category = category;
-      if (startDate) filters.startDate = startDate;
-      if (endDate) filters.endDate = endDate;
-      
       const response = await eventsAPI.getAll(filters);
-      setEvents(response.data);
+      setEvents(response.data.events);
+      setNextCursor(response.data.nextCursor);
+      setTotal(response.data.total);
+      setFacets(response.data.facets || null);
       setError('');
       
       // Animate events grid after data loads
@@ -57,7 +142,62 @@ const Dashboard = () => {
     } finally {
       setLoading(false);
     }
-  }, [category, startDate, endDate, searchTerm]);
+  }, [filters]);
+
+  const loadMore = useCallback(async () => {
+    if (!nextCursor || loadingMore) return;
+    try {
+      setLoadingMore(true);
+      const response = await eventsAPI.getAll({ ...filters, cursor: nextCursor });
+      // Skip events already shown, in case the list changed between pages
+      setEvents((prev) => [
+        ...prev,
+        ...response.data.events.filter((e) => !prev.some((p) => p._id === e._id)),
+      ]);
+      setNextCursor(response.data.nextCursor);
+      setTotal(response.data.total);
+    } catch (err) {
+      setError('Failed to load more events. Please try again.');
+      console.error('Error fetching more events:', err);
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [filters, nextCursor, loadingMore]);
+
+  // Categories are managed on the server
+  useEffect(() => {
+    categoriesAPI.getAll()
+      .then((response) => setCategories(['All', ...response.data.map((c) => c.name)]))
+      .catch((err) => console.error('Error fetching categories:', err));
+  }, []);
+
+  // Load the next page when the end of the list scrolls into view
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+    if (loading || !sentinel || !nextCursor) return;
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting) loadMore();
+      },
+      { rootMargin: '200px' }
+    );
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [loading, nextCursor, loadMore]);
+
+  // Refresh just the changed card, so an RSVP doesn't reset the scroll position
+  const refreshEvent = async (id) => {
+    try {
+      const response = await eventsAPI.getById(id);
+      // Keep list-only fields such as distanceKm and highlights
+      setEvents((prev) => prev.map((e) => (e._id === id ? { ...e, ...response.data } : e)));
+    } catch (err) {
+      if (err.response?.status === 404) {
+        setEvents((prev) => prev.filter((e) => e._id !== id));
+        setTotal((prev) => Math.max(prev - 1, 0));
+      }
+    }
+  };
 
   useEffect(() => {
     const timeoutId = setTimeout(() => {
@@ -84,22 +224,69 @@ const Dashboard = () => {
   const handleClearFilters = () => {
     setSearchTerm('');
     setCategory('All');
+    setTags([]);
     setStartDate('');
     setEndDate('');
+    setSort('');
+    setNear(null);
+    setArchive(defaultArchive);
+  };
+
+  // Search around the user's current position, asking the browser for it once
+  const handleRadiusChange = (value) => {
+    if (!value) {
+      setNear(null);
+      return;
+    }
+    const radius = Number(value);
+    if (near) {
+      setNear({ ...near, radius });
+      return;
+    }
+    if (!navigator.geolocation) {
+      alert('Your browser cannot share its location');
+      return;
+    }
+    setLocating(true);
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        setLocating(false);
+        setNear({
+          latitude: position.coords.latitude,
+          longitude: position.coords.longitude,
+          radius,
+        });
+      },
+      () => {
+        setLocating(false);
+        alert('Could not get your location');
+      }
+    );
+  };
+
+  const handleDateBucket = ([, , from, to]) => {
+    setStartDate(dayFromToday(from));
+    setEndDate(to === null ? '' : dayFromToday(to));
   };
 
+  const isActiveBucket = ([, , from, to]) =>
+    startDate === dayFromToday(from) && endDate === (to === null ? '' : dayFromToday(to));
+
+  // Label a filter option with the number of results it would give
+  const withCount = (label, count) => (facets ? `${label} (${count || 0})` : label);
+
   if (loading) {
     return (
-      <div className="dashboard-container">
+      <div className={`dashboard-container ${mine ? 'embedded' : ''}`}>
         <LoadingSpinner message="Loading events..." />
       </div>
     );
   }
 
   return (
-    <div className="dashboard-container">
+    <div className={`dashboard-container ${mine ? 'embedded' : ''}`}>
       <div className="dashboard-header" ref={headerRef}>
-        <h1>Upcoming Events</h1>
+        {!mine && <h1>{TITLES[archive]}</h1>}
         <div className="filters-section" ref={filtersRef}>
           <div className="search-container">
             <input
@@ -112,6 +299,23 @@ const Dashboard = () => {
           </div>
           
           <div className="filter-row">
+            {!mine && (
+              <div className="filter-group">
+                <label>Show</label>
+                <select
+                  value={archive}
+                  onChange={(e) => setArchive(e.target.value)}
+                  className="filter-select"
+                >
+                  {Object.entries(ARCHIVE_OPTIONS).map(([value, label]) => (
+                    <option key={value} value={value}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
             <div className="filter-group">
               <label>Category</label>
               <select
@@ -121,12 +325,17 @@ const Dashboard = () => {
               >
                 {categories.map((cat) => (
                   <option key={cat} value={cat}>
-                    {cat}
+                    {cat === 'All' ? cat : withCount(cat, facets?.categories[cat])}
                   </option>
                 ))}
               </select>
             </div>
 
+            <div className="filter-group">
+              <label>Tags</label>
+              <TagInput tags={tags} onChange={setTags} placeholder="Filter by tag" />
+            </div>
+
             <div className="filter-group">
               <label>Start Date</label>
               <input
@@ -147,10 +356,58 @@ const Dashboard = () => {
               />
             </div>
 
+            <div className="filter-group">
+              <label>Near Me</label>
+              <select
+                value={near ? near.radius : ''}
+                onChange={(e) => handleRadiusChange(e.target.value)}
+                disabled={locating}
+                className="filter-select"
+              >
+                <option value="">{locating ? 'Locating...' : 'Anywhere'}</option>
+                {RADIUS_OPTIONS.map((radius) => (
+                  <option key={radius} value={radius}>
+                    Within {radius} km
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div className="filter-group">
+              <label>Sort By</label>
+              <select
+                value={activeSort}
+                onChange={(e) => setSort(e.target.value)}
+                className="filter-select"
+              >
+                {Object.keys(SORT_OPTIONS)
+                  .filter((value) => sortAvailable(value))
+                  .map((value) => (
+                    <option key={value} value={value}>
+                      {sortLabel(value)}
+                    </option>
+                  ))}
+              </select>
+            </div>
+
             <button onClick={handleClearFilters} className="btn-clear-filters">
               Clear Filters
             </button>
           </div>
+
+          {facets?.dates && (
+            <div className="date-buckets">
+              {DATE_BUCKETS.map((bucket) => (
+                <button
+                  key={bucket[0]}
+                  onClick={() => handleDateBucket(bucket)}
+                  className={`date-bucket ${isActiveBucket(bucket) ? 'active' : ''}`}
+                >
+                  {withCount(bucket[1], facets.dates[bucket[0]])}
+                </button>
+              ))}
+            </div>
+          )}
         </div>
       </div>
 
@@ -158,18 +415,36 @@ const Dashboard = () => {
 
       {events.length === 0 ? (
         <div className="empty-state">
-          {searchTerm || category !== 'All' || startDate || endDate ? (
+          {searchTerm || category !== 'All' || tags.length > 0 || startDate || endDate || near ? (
             <p>No events found matching your filters.</p>
           ) : (
-            <p>No upcoming events. Be the first to create one!</p>
+            <p>
+              {mine
+                ? "You haven't attended or hosted any past events yet."
+                : archive === 'upcoming'
+                  ? 'No upcoming events. Be the first to create one!'
+                  : 'No events yet. Be the first to create one!'}
+            </p>
           )}
         </div>
       ) : (
-        <div className="events-grid" ref={eventsGridRef}>
-          {events.map((event) => (
-            <EventCard key={event._id} event={event} onUpdate={fetchEvents} />
-          ))}
-        </div>
+        <>
+          <p className="results-count">
+            Showing {events.length} of {total} events
+          </p>
+          <div className="events-grid" ref={eventsGridRef}>
+            {events.map((event) => (
+              <EventCard key={event._id} event={event} onUpdate={() => refreshEvent(event._id)} />
+            ))}
+          </div>
+          {nextCursor && (
+            <div className="load-more" ref={loadMoreRef}>
+              <button onClick={loadMore} disabled={loadingMore} className="btn-clear-filters">
+                {loadingMore ? 'Loading...' : 'Load more'}
+              </button>
+            </div>
+          )}
+        </>
       )}
     </div>
   );
@@ -0,0 +1,85 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { authAPI } from '../services/api';
+import LoadingSpinner from './LoadingSpinner';
+import './EventResponses.css';
+import './EmailSettings.css';
+
+// Lets users choose which emails they get about events they attend.
+// Each change is saved right away.
+const EmailSettings = () => {
+  const navigate = useNavigate();
+  const [preferences, setPreferences] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchPreferences = async () => {
+      try {
+        const response = await authAPI.getEmailPreferences();
+        setPreferences(response.data);
+      } catch (err) {
+        setError(err.response?.data?.message || 'Failed to load email settings');
+        console.error('Error fetching email preferences:', err);
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchPreferences();
+  }, []);
+
+  const handleToggle = async (name, enabled) => {
+    try {
+      setSaving(name);
+      const response = await authAPI.updateEmailPreferences({ [name]: enabled });
+      setPreferences(response.data);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save email settings');
+    } finally {
+      setSaving('');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="responses-container">
+        <LoadingSpinner message="Loading settings..." />
+      </div>
+    );
+  }
+
+  return (
+    <div className="responses-container">
+      <div className="responses-header">
+        <button onClick={() => navigate(-1)} className="btn-back">
+          Back
+        </button>
+        <h1>Email Settings</h1>
+      </div>
+
+      {error && <div className="error-banner">{error}</div>}
+
+      <div className="email-settings">
+        <p className="email-settings-intro">
+          Choose which emails you get about events you're going to. In-app notifications are
+          always on.
+        </p>
+        {preferences.map((preference) => (
+          <label key={preference.name} className="email-setting">
+            <input
+              type="checkbox"
+              checked={preference.enabled}
+              disabled={saving === preference.name}
+              onChange={(e) => handleToggle(preference.name, e.target.checked)}
+            />
+            {preference.label}
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default EmailSettings;
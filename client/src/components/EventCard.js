@@ -1,42 +1,84 @@
-import React, { useRef, useEffect } from 'react';
+import React, { useRef, useEffect, useState } from 'react';
 import { gsap } from 'gsap';
+import { QRCodeSVG } from 'qrcode.react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
-import { eventsAPI } from '../services/api';
+import { eventsAPI, serverUrl } from '../services/api';
+import RsvpQuestions from './RsvpQuestions';
+import { browserTimeZone, differsInZone, formatRangeInZone } from '../utils/dates';
 import './EventCard.css';
 
-const EventCard = ({ event, onUpdate }) => {
+// warning is an optional notice shown on the card, e.g. a schedule overlap
+const EventCard = ({ event, onUpdate, inviteToken, warning }) => {
   const navigate = useNavigate();
   const { user } = useAuth();
   const cardRef = useRef(null);
   const imageRef = useRef(null);
 
   const isCreator = user && String(event.createdBy?._id || event.createdBy) === String(user.id);
-  const isAttending = user && event.attendees?.some(a => String(a) === String(user.id));
-  const isFull = (event.attendeeCount || event.attendees?.length || 0) >= event.capacity;
-  const canRSVP = user && !isCreator && !isAttending && !isFull;
+  // Organizer role from the server: 'owner', 'manager', 'editor' or null
+  const role = event.myRole !== undefined ? event.myRole : isCreator ? 'owner' : null;
+  const isHost = !!role;
+  const canManageAttendees = role === 'owner' || role === 'manager';
+  const myRsvp = user
+    ? event.attendees?.find(a => String(a.user?._id || a.user) === String(user.id))
+    : null;
+  const isAttending = !!myRsvp;
+  const waitlistIndex = user
+    ? (event.waitlist || []).findIndex(w => String(w.user?._id || w.user) === String(user.id))
+    : -1;
+  const isWaitlisted = waitlistIndex !== -1;
+  const seatsTaken = event.seatsTaken ?? (event.attendees || []).reduce((sum, a) => sum + (a.partySize || 1), 0);
+  const seatsLeft = Math.max(event.capacity - seatsTaken, 0);
+  const maxPartySize = event.maxPartySize || 1;
+  const [partySize, setPartySize] = useState(1);
+  const [showQuestions, setShowQuestions] = useState(false);
+  const [showTicket, setShowTicket] = useState(false);
+  const hasQuestions = event.questions?.length > 0;
+  const isFull = seatsLeft === 0;
+  const status = event.status || 'published';
+  // RSVPs close when the event starts (the server enforces this too)
+  const hasStarted = new Date(event.dateTime) <= new Date();
+  const isOpen = status === 'published' && !hasStarted;
+  const canRSVP = user && isOpen && !isHost && !isAttending && !isWaitlisted && partySize <= seatsLeft;
+  const canJoinWaitlist = user && isOpen && !isHost && !isAttending && !isWaitlisted && partySize > seatsLeft;
 
-  // Get image source from base64 data stored in MongoDB
-  const getImageSrc = () => {
-    if (event.imageData) {
-      return `data:${event.imageContentType || 'image/jpeg'};base64,${event.imageData}`;
-    }
-    // Fallback for old imageUrl format (if any existing data)
-    if (event.imageUrl) {
-      const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
-      return `${API_URL}${event.imageUrl}`;
+  // Cards show the resized card variant; the server sends image URLs, not data
+  const getImageSrc = () => serverUrl(event.imageUrls?.card);
+
+  // RSVP, asking first if the event overlaps events the user attends (the
+  // server answers 409 with the overlapping events). Resolves to null if the
+  // user backs out.
+  const sendRsvp = async (answers) => {
+    const data = { partySize, answers, invite: inviteToken };
+    try {
+      return await eventsAPI.rsvp(event._id, data);
+    } catch (error) {
+      const conflicts = error.response?.status === 409 && error.response.data.conflicts;
+      if (!conflicts) throw error;
+      const list = conflicts
+        .map((c) => `- ${c.title} (${formatRangeInZone(c.dateTime, c.endDateTime, c.timeZone)})`)
+        .join('\n');
+      if (!window.confirm(`This event overlaps events you're attending:\n${list}\n\nRSVP anyway?`)) {
+        return null;
+      }
+      return eventsAPI.rsvp(event._id, { ...data, confirmOverlap: true });
     }
-    return null;
   };
 
-  const handleRSVP = async () => {
+  const handleRSVP = async (answers) => {
     if (!user) {
       navigate('/login');
       return;
     }
+    if (hasQuestions && !answers) {
+      setShowQuestions(true);
+      return;
+    }
 
     try {
-      await eventsAPI.rsvp(event._id);
+      if (!(await sendRsvp(answers))) return;
+      setShowQuestions(false);
       onUpdate();
     } catch (error) {
       alert(error.response?.data?.message || 'Failed to RSVP');
@@ -52,12 +94,108 @@ const EventCard = ({ event, onUpdate }) => {
     }
   };
 
+  const handleJoinWaitlist = async (answers) => {
+    if (hasQuestions && !answers) {
+      setShowQuestions(true);
+      return;
+    }
+
+    try {
+      const response = await sendRsvp(answers);
+      if (!response) return;
+      setShowQuestions(false);
+      if (!response.data.waitlisted) {
+        alert('A seat opened up - you are now attending this event!');
+      }
+      onUpdate();
+    } catch (error) {
+      alert(error.response?.data?.message || 'Failed to join waitlist');
+    }
+  };
+
+  // Bookmarks keep track of an event without taking a seat
+  const handleToggleBookmark = async () => {
+    try {
+      if (event.bookmarked) {
+        await eventsAPI.unbookmark(event._id);
+      } else {
+        await eventsAPI.bookmark(event._id, inviteToken);
+      }
+      onUpdate();
+    } catch (error) {
+      alert(error.response?.data?.message || 'Failed to update bookmark');
+    }
+  };
+
+  const handlePartySizeChange = async (e) => {
+    const size = parseInt(e.target.value);
+    if (!isAttending) {
+      setPartySize(size);
+      return;
+    }
+
+    try {
+      await eventsAPI.updatePartySize(event._id, size);
+      onUpdate();
+    } catch (error) {
+      alert(error.response?.data?.message || 'Failed to update party size');
+    }
+  };
+
+  // Download the event as an .ics file that calendar apps can import
+  const handleAddToCalendar = async () => {
+    try {
+      const response = await eventsAPI.downloadIcs(event._id, inviteToken);
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${event.title.replace(/[^\w-]+/g, '-').toLowerCase() || 'event'}.ics`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      alert('Failed to download calendar file');
+    }
+  };
+
   const handleEdit = () => {
     navigate(`/edit-event/${event._id}`);
   };
 
+  const handleCheckIn = () => {
+    navigate(`/events/${event._id}/checkin`);
+  };
+
+  const handleViewResponses = () => {
+    navigate(`/events/${event._id}/attendees`);
+  };
+
+  const handleViewHistory = () => {
+    navigate(`/events/${event._id}/history`);
+  };
+
+  const handleStatusChange = async (action) => {
+    let data = {};
+    if (action !== 'publish') {
+      const reason = window.prompt(
+        `Optional: tell attendees why the event is ${action === 'cancel' ? 'cancelled' : 'postponed'}`
+      );
+      if (reason === null) return;
+      data = { reason };
+    }
+
+    try {
+      await eventsAPI[action](event._id, data);
+      onUpdate();
+    } catch (error) {
+      alert(error.response?.data?.message || `Failed to ${action} event`);
+    }
+  };
+
   const handleDelete = async () => {
-    if (!window.confirm('Are you sure you want to delete this event?')) return;
+    const message = event.series
+      ? 'Delete this occurrence? Other events in the series will not be affected.'
+      : 'Are you sure you want to delete this event?';
+    if (!window.confirm(message)) return;
 
     try {
       await eventsAPI.delete(event._id);
@@ -67,15 +205,32 @@ const EventCard = ({ event, onUpdate }) => {
     }
   };
 
-  const formatDate = (dateString) => {
-    const date = new Date(dateString);
-    return date.toLocaleString('en-US', {
-      month: 'short',
-      day: 'numeric',
-      year: 'numeric',
-      hour: 'numeric',
-      minute: '2-digit',
-    });
+  // Shown in the event's own time zone, with the viewer's local time when it differs
+  const formatDate = (start, end) => {
+    const eventZone = event.timeZone || 'UTC';
+    const viewerZone = browserTimeZone();
+    const local = formatRangeInZone(start, end, eventZone);
+    if (!differsInZone(start, eventZone, viewerZone)) return local;
+    return `${local} (${formatRangeInZone(start, end, viewerZone)} your time)`;
+  };
+
+  // Search results carry highlighted segments for matching fields
+  const renderHighlighted = (field) => {
+    const segments = event.highlights?.[field];
+    if (!segments) return event[field];
+    return segments.map((segment, i) =>
+      segment.match ? <mark key={i}>{segment.text}</mark> : <span key={i}>{segment.text}</span>
+    );
+  };
+
+  const formatDistance = (km) => (km < 1 ? `${Math.round(km * 1000)} m` : `${km.toFixed(1)} km`);
+
+  const formatRecurrence = ({ frequency, interval }) => {
+    if (interval > 1) {
+      const units = { daily: 'days', weekly: 'weeks', monthly: 'months' };
+      return `Every ${interval} ${units[frequency]}`;
+    }
+    return frequency.charAt(0).toUpperCase() + frequency.slice(1);
   };
 
   const imageSrc = getImageSrc();
@@ -138,60 +293,221 @@ const EventCard = ({ event, onUpdate }) => {
     <div className="event-card" ref={cardRef}>
       {imageSrc && (
         <div className="event-image">
-          <img src={imageSrc} alt={event.title} ref={imageRef} />
+          <img src={imageSrc} alt={event.title} ref={imageRef} loading="lazy" />
         </div>
       )}
       <div className="event-content">
-        <h3 className="event-title">{event.title}</h3>
-        <p className="event-description">{event.description}</p>
+        {status !== 'published' && (
+          <div className={`event-status-banner ${status}`}>
+            {status === 'draft' && 'Draft - only visible to you'}
+            {status === 'cancelled' && 'This event has been cancelled'}
+            {status === 'postponed' && 'This event has been postponed'}
+            {event.statusReason && <span className="event-status-reason">{event.statusReason}</span>}
+          </div>
+        )}
+        {warning && <div className="event-warning">{warning}</div>}
+        <h3 className="event-title">
+          {renderHighlighted('title')}
+          {event.visibility && event.visibility !== 'public' && (
+            <span className={`event-visibility ${event.visibility}`}>
+              {event.visibility === 'private' ? 'Private' : 'Unlisted'}
+            </span>
+          )}
+          {user && status !== 'draft' && (
+            <button
+              onClick={handleToggleBookmark}
+              className={`btn-bookmark ${event.bookmarked ? 'saved' : ''}`}
+              aria-pressed={!!event.bookmarked}
+              title={event.bookmarked ? 'Remove from saved events' : 'Save for later'}
+            >
+              {event.bookmarked ? '★ Saved' : '☆ Save'}
+            </button>
+          )}
+        </h3>
+        <p className="event-description">{renderHighlighted('description')}</p>
+        {event.tags?.length > 0 && (
+          <div className="event-tags">
+            {event.tags.map((tag) => (
+              <span key={tag} className="event-tag">#{tag}</span>
+            ))}
+          </div>
+        )}
         <div className="event-details">
           <div className="event-detail-item">
             <span className="detail-icon">Date:</span>
-            <span>{formatDate(event.dateTime)}</span>
+            <span>{formatDate(event.dateTime, event.endDateTime)}</span>
           </div>
+          {event.series?.recurrence && (
+            <div className="event-detail-item">
+              <span className="detail-icon">Repeats:</span>
+              <span>{formatRecurrence(event.series.recurrence)}</span>
+            </div>
+          )}
           <div className="event-detail-item">
             <span className="detail-icon">Location:</span>
-            <span>{event.location}</span>
+            <span>
+              {renderHighlighted('location')}
+              {event.distanceKm !== undefined && (
+                <span className="event-distance"> ({formatDistance(event.distanceKm)} away)</span>
+              )}
+              {event.geoLocation?.coordinates && (
+                <a
+                  href={`https://www.openstreetmap.org/?mlat=${event.geoLocation.coordinates[1]}&mlon=${event.geoLocation.coordinates[0]}#map=16/${event.geoLocation.coordinates[1]}/${event.geoLocation.coordinates[0]}`}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="event-map-link"
+                >
+                  Map
+                </a>
+              )}
+            </span>
           </div>
           <div className="event-detail-item">
-            <span className="detail-icon">Attendees:</span>
+            <span className="detail-icon">Seats:</span>
             <span>
-              {event.attendeeCount || event.attendees?.length || 0} / {event.capacity}
+              {seatsTaken} / {event.capacity}
+              {seatsTaken !== (event.attendeeCount ?? event.attendees?.length ?? 0) &&
+                ` (${event.attendeeCount ?? event.attendees?.length} RSVPs)`}
             </span>
           </div>
-        </div>
-        <div className="event-actions">
-          {isCreator ? (
-            <>
-              <button onClick={handleEdit} className="btn-edit">
-                Edit
-              </button>
-              <button onClick={handleDelete} className="btn-delete">
-                Delete
-              </button>
-            </>
-          ) : (
-            <>
-              {isAttending ? (
-                <button onClick={handleUnRSVP} className="btn-unrsvp">
-                  Cancel RSVP
-                </button>
-              ) : canRSVP ? (
-                <button onClick={handleRSVP} className="btn-rsvp">
-                  RSVP
-                </button>
-              ) : isFull ? (
-                <button disabled className="btn-disabled">
-                  Event Full
-                </button>
-              ) : (
-                <button onClick={() => navigate('/login')} className="btn-rsvp">
-                  Login to RSVP
-                </button>
-              )}
-            </>
+          {isHost && event.interestCount > 0 && (
+            <div className="event-detail-item">
+              <span className="detail-icon">Interested:</span>
+              <span>{event.interestCount} saved this event</span>
+            </div>
+          )}
+          {(event.waitlistCount || event.waitlist?.length || 0) > 0 && (
+            <div className="event-detail-item">
+              <span className="detail-icon">Waitlist:</span>
+              <span>
+                {isWaitlisted
+                  ? `You are #${waitlistIndex + 1} of ${event.waitlistCount || event.waitlist.length}`
+                  : `${event.waitlistCount || event.waitlist.length} waiting`}
+              </span>
+            </div>
           )}
         </div>
+        {maxPartySize > 1 && (isAttending || canRSVP || canJoinWaitlist) && (
+          <div className="party-size">
+            <label htmlFor={`party-size-${event._id}`}>Party size</label>
+            <select
+              id={`party-size-${event._id}`}
+              value={isAttending ? myRsvp.partySize || 1 : partySize}
+              onChange={handlePartySizeChange}
+              className="party-size-select"
+            >
+              {Array.from({ length: maxPartySize }, (_, i) => i + 1).map((size) => (
+                <option key={size} value={size}>
+                  {size === 1 ? 'Just me' : `Me + ${size - 1}`}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+        {showTicket && isAttending && event.ticketCode && (
+          <div className="event-ticket">
+            <QRCodeSVG value={event.ticketCode} size={160} />
+            <code className="ticket-code">{event.ticketCode}</code>
+            {myRsvp.checkedInAt && <span className="ticket-status">Checked in</span>}
+          </div>
+        )}
+        {status !== 'draft' && (
+          <button onClick={handleAddToCalendar} className="btn-calendar">
+            Add to Calendar
+          </button>
+        )}
+        {showQuestions ? (
+          <RsvpQuestions
+            questions={event.questions}
+            submitLabel={canJoinWaitlist ? 'Join Waitlist' : 'RSVP'}
+            onSubmit={canJoinWaitlist ? handleJoinWaitlist : handleRSVP}
+            onCancel={() => setShowQuestions(false)}
+          />
+        ) : (
+          <div className="event-actions">
+            {isHost ? (
+              <>
+                <button onClick={handleEdit} className="btn-edit">
+                  Edit
+                </button>
+                {(status === 'draft' || status === 'postponed') && (
+                  <button onClick={() => handleStatusChange('publish')} className="btn-rsvp">
+                    Publish
+                  </button>
+                )}
+                {status === 'published' && (
+                  <button onClick={() => handleStatusChange('postpone')} className="btn-unrsvp">
+                    Postpone
+                  </button>
+                )}
+                {(status === 'published' || status === 'postponed') && (
+                  <button onClick={() => handleStatusChange('cancel')} className="btn-unrsvp">
+                    Cancel Event
+                  </button>
+                )}
+                {canManageAttendees && (
+                  <>
+                    <button onClick={handleCheckIn} className="btn-unrsvp">
+                      Check-in
+                    </button>
+                    <button onClick={handleViewResponses} className="btn-unrsvp">
+                      Attendees
+                    </button>
+                  </>
+                )}
+                {role === 'owner' && (
+                  <>
+                    <button onClick={handleViewHistory} className="btn-unrsvp">
+                      History
+                    </button>
+                    <button onClick={handleDelete} className="btn-delete">
+                      Delete
+                    </button>
+                  </>
+                )}
+              </>
+            ) : (
+              <>
+                {isAttending ? (
+                  <>
+                    {event.ticketCode && (
+                      <button onClick={() => setShowTicket((prev) => !prev)} className="btn-rsvp">
+                        {showTicket ? 'Hide Ticket' : 'Show Ticket'}
+                      </button>
+                    )}
+                    <button onClick={handleUnRSVP} className="btn-unrsvp">
+                      Cancel RSVP
+                    </button>
+                  </>
+                ) : isWaitlisted ? (
+                  <button onClick={handleUnRSVP} className="btn-unrsvp">
+                    Leave Waitlist (#{waitlistIndex + 1})
+                  </button>
+                ) : canRSVP ? (
+                  <button onClick={() => handleRSVP()} className="btn-rsvp">
+                    RSVP
+                  </button>
+                ) : canJoinWaitlist ? (
+                  <button onClick={() => handleJoinWaitlist()} className="btn-rsvp">
+                    Join Waitlist
+                  </button>
+                ) : !isOpen ? (
+                  <button disabled className="btn-disabled">
+                    {status === 'cancelled' ? 'Cancelled' : status === 'postponed' ? 'Postponed' : 'RSVPs Closed'}
+                  </button>
+                ) : isFull ? (
+                  <button disabled className="btn-disabled">
+                    Event Full
+                  </button>
+                ) : (
+                  <button onClick={() => navigate('/login')} className="btn-rsvp">
+                    Login to RSVP
+                  </button>
+                )}
+              </>
+            )}
+          </div>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,64 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate, useParams, useSearchParams } from 'react-router-dom';
+import { eventsAPI } from '../services/api';
+import EventCard from './EventCard';
+import EventGallery from './EventGallery';
+import LoadingSpinner from './LoadingSpinner';
+import './EventDetails.css';
+
+// A single event, reachable by link. This is how unlisted events are shared
+// and how invitees open private events (the link carries ?invite=<token>).
+const EventDetails = () => {
+  const { id } = useParams();
+  const [searchParams] = useSearchParams();
+  const inviteToken = searchParams.get('invite') || undefined;
+  const navigate = useNavigate();
+  const [event, setEvent] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchEvent = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await eventsAPI.getById(id, inviteToken);
+      setEvent(response.data);
+      setError('');
+    } catch (err) {
+      setError(
+        err.response?.status === 404
+          ? 'This event does not exist, or your invite link is no longer valid.'
+          : 'Failed to load event'
+      );
+      console.error('Error fetching event:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [id, inviteToken]);
+
+  useEffect(() => {
+    fetchEvent();
+  }, [fetchEvent]);
+
+  if (loading) {
+    return (
+      <div className="event-details-container">
+        <LoadingSpinner message="Loading event..." />
+      </div>
+    );
+  }
+
+  return (
+    <div className="event-details-container">
+      <div className="responses-header">
+        <button onClick={() => navigate('/')} className="btn-back">
+          All Events
+        </button>
+      </div>
+      {error && <div className="error-banner">{error}</div>}
+      {event && <EventCard event={event} onUpdate={fetchEvent} inviteToken={inviteToken} />}
+      {event?.images?.length > 0 && <EventGallery images={event.images} />}
+    </div>
+  );
+};
+
+export default EventDetails;
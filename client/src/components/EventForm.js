@@ -1,9 +1,15 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { gsap } from 'gsap';
-import { useNavigate, useParams } from 'react-router-dom';
+import { Link, useNavigate, useParams } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
-import { eventsAPI, aiAPI } from '../services/api';
+import { eventsAPI, categoriesAPI, aiAPI, serverUrl } from '../services/api';
 import LoadingSpinner from './LoadingSpinner';
+import CoHostManager from './CoHostManager';
+import InviteManager from './InviteManager';
+import LocationPicker, { EMPTY_ADDRESS } from './LocationPicker';
+import GalleryEditor from './GalleryEditor';
+import TagInput from './TagInput';
+import { browserTimeZone, timeZoneOptions, toDateTimeLocal, zonedToDate } from '../utils/dates';
 import './EventForm.css';
 
 const EventForm = () => {
@@ -18,17 +24,46 @@ const EventForm = () => {
     title: '',
     description: '',
     dateTime: '',
+    endDateTime: '',
+    timeZone: browserTimeZone(),
     location: '',
     capacity: '',
+    maxPartySize: 1,
     category: 'General',
+    tags: [],
+    visibility: 'public',
     image: null,
   });
+  const [recurrence, setRecurrence] = useState({
+    frequency: 'none',
+    interval: 1,
+    endType: 'count',
+    until: '',
+    count: 4,
+    exceptions: '',
+  });
+  const [questions, setQuestions] = useState([]);
+  const [address, setAddress] = useState(EMPTY_ADDRESS);
+  const [coordinates, setCoordinates] = useState({ latitude: '', longitude: '' });
+  const [seriesInfo, setSeriesInfo] = useState(null);
+  const [eventStatus, setEventStatus] = useState(null);
+  const [coHosts, setCoHosts] = useState(null);
+  const [invites, setInvites] = useState(null);
+  const [editScope, setEditScope] = useState('occurrence');
   const [previewImage, setPreviewImage] = useState(null);
+  const [gallery, setGallery] = useState([]);
   const [generatingDescription, setGeneratingDescription] = useState(false);
   const formCardRef = useRef(null);
   const formFieldsRef = useRef(null);
 
-  const categories = ['General', 'Technology', 'Business', 'Education', 'Entertainment', 'Sports', 'Networking', 'Other'];
+  const [categories, setCategories] = useState(['General']);
+
+  // Categories are managed on the server
+  useEffect(() => {
+    categoriesAPI.getAll()
+      .then((response) => setCategories(response.data.map((c) => c.name)))
+      .catch((err) => console.error('Error fetching categories:', err));
+  }, []);
 
   useEffect(() => {
     if (!user) {
@@ -60,17 +95,55 @@ const EventForm = () => {
       setFormData({
         title: event.title || '',
         description: event.description || '',
-        dateTime: event.dateTime ? new Date(event.dateTime).toISOString().slice(0, 16) : '',
+        // Edited as a local time in the event's own time zone
+        dateTime: event.dateTime ? toDateTimeLocal(event.dateTime, event.timeZone) : '',
+        endDateTime: event.endDateTime ? toDateTimeLocal(event.endDateTime, event.timeZone) : '',
+        timeZone: event.timeZone || 'UTC',
         location: event.location || '',
         capacity: event.capacity || '',
+        maxPartySize: event.maxPartySize || 1,
         category: event.category || 'General',
+        tags: event.tags || [],
+        visibility: event.visibility || 'public',
       });
-      if (event.imageData) {
-        setPreviewImage(`data:${event.imageContentType || 'image/jpeg'};base64,${event.imageData}`);
-      } else if (event.imageUrl) {
-        const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
-        setPreviewImage(`${API_URL}${event.imageUrl}`);
+      setQuestions(
+        (event.questions || []).map((q) => ({
+          _id: q._id,
+          label: q.label,
+          type: q.type,
+          optionsText: (q.options || []).join(', '),
+          required: q.required,
+        }))
+      );
+      setAddress({ ...EMPTY_ADDRESS, ...event.address });
+      if (event.geoLocation?.coordinates) {
+        const [longitude, latitude] = event.geoLocation.coordinates;
+        setCoordinates({ latitude: String(latitude), longitude: String(longitude) });
+      }
+      setEventStatus(event.status || 'published');
+      // Only the owner receives the co-host list
+      if (event.myRole === 'owner') {
+        setCoHosts(event.coHosts || []);
+      }
+      // Invite links are only sent to organizers who manage attendees
+      if (event.invites) {
+        setInvites(event.invites);
       }
+      if (event.series) {
+        setSeriesInfo(event.series.recurrence || {});
+      }
+      if (event.imageUrls) {
+        setPreviewImage(serverUrl(event.imageUrls.card));
+      }
+      setGallery(
+        (event.images || []).map((image) => ({
+          key: image._id,
+          hash: image.hash,
+          preview: serverUrl(image.urls.thumbnail),
+          caption: image.caption || '',
+          alt: image.alt || '',
+        }))
+      );
     } catch (err) {
       setError('Failed to load event');
       console.error('Error fetching event:', err);
@@ -95,11 +168,17 @@ const EventForm = () => {
     if (!formData.dateTime) {
       errors.dateTime = 'Date and time is required';
     } else {
-      const selectedDate = new Date(formData.dateTime);
+      const selectedDate = zonedToDate(formData.dateTime, formData.timeZone);
       const now = new Date();
       if (selectedDate < now) {
         errors.dateTime = 'Event date must be in the future';
       }
+      if (
+        formData.endDateTime &&
+        zonedToDate(formData.endDateTime, formData.timeZone) <= selectedDate
+      ) {
+        errors.endDateTime = 'End time must be after the start';
+      }
     }
     
     if (!formData.location.trim()) {
@@ -114,6 +193,34 @@ const EventForm = () => {
       errors.capacity = 'Capacity cannot exceed 10,000';
     }
     
+    const maxPartySize = parseInt(formData.maxPartySize);
+    if (!maxPartySize || maxPartySize < 1) {
+      errors.maxPartySize = 'Party size must be at least 1';
+    } else if (formData.capacity && maxPartySize > parseInt(formData.capacity)) {
+      errors.maxPartySize = 'Party size cannot exceed capacity';
+    }
+
+    questions.forEach((q, index) => {
+      if (!q.label.trim()) {
+        errors.questions = `Question ${index + 1} needs a label`;
+      } else if (
+        (q.type === 'single' || q.type === 'multi') &&
+        q.optionsText.split(',').filter((o) => o.trim()).length < 2
+      ) {
+        errors.questions = `"${q.label}" needs at least two comma-separated options`;
+      }
+    });
+
+    if (!isEdit && recurrence.frequency !== 'none') {
+      if (parseInt(recurrence.interval) < 1 || !recurrence.interval) {
+        errors.recurrence = 'Repeat interval must be at least 1';
+      } else if (recurrence.endType === 'until' && !recurrence.until) {
+        errors.recurrence = 'Choose the date the series ends';
+      } else if (recurrence.endType === 'count' && !(parseInt(recurrence.count) >= 1 && parseInt(recurrence.count) <= 100)) {
+        errors.recurrence = 'Number of occurrences must be between 1 and 100';
+      }
+    }
+
     setValidationErrors(errors);
     return Object.keys(errors).length === 0;
   };
@@ -131,6 +238,54 @@ const EventForm = () => {
     }
   };
 
+  const handleRecurrenceChange = (e) => {
+    const { name, value } = e.target;
+    setRecurrence((prev) => ({ ...prev, [name]: value }));
+    if (validationErrors.recurrence) {
+      setValidationErrors((prev) => {
+        const newErrors = { ...prev };
+        delete newErrors.recurrence;
+        return newErrors;
+      });
+    }
+  };
+
+  const buildRecurrence = () => ({
+    frequency: recurrence.frequency,
+    interval: parseInt(recurrence.interval),
+    ...(recurrence.endType === 'until'
+      ? { until: `${recurrence.until}T23:59:59` }
+      : { count: parseInt(recurrence.count) }),
+    exceptions: recurrence.exceptions
+      .split(',')
+      .map((d) => d.trim())
+      .filter(Boolean),
+  });
+
+  const addQuestion = () => {
+    setQuestions((prev) => [...prev, { label: '', type: 'text', optionsText: '', required: false }]);
+  };
+
+  const updateQuestion = (index, changes) => {
+    setQuestions((prev) => prev.map((q, i) => (i === index ? { ...q, ...changes } : q)));
+  };
+
+  const removeQuestion = (index) => {
+    setQuestions((prev) => prev.filter((_, i) => i !== index));
+  };
+
+  const buildQuestions = () =>
+    questions.map((q) => ({
+      ...(q._id ? { _id: q._id } : {}),
+      label: q.label.trim(),
+      type: q.type,
+      options:
+        q.type === 'single' || q.type === 'multi'
+          ? q.optionsText.split(',').map((o) => o.trim()).filter(Boolean)
+          : [],
+      required: q.required,
+    }));
+
   const handleImageChange = (e) => {
     const file = e.target.files[0];
     if (file) {
@@ -166,6 +321,7 @@ const EventForm = () => {
         category: formData.category,
         location: formData.location,
         dateTime: formData.dateTime,
+        timeZone: formData.timeZone,
       });
       setFormData((prev) => ({ ...prev, description: response.data.description }));
     } catch (err) {
@@ -175,7 +331,8 @@ const EventForm = () => {
     }
   };
 
-  const handleSubmit = async (e) => {
+  // status is 'draft' for "Save as draft", otherwise the event is published
+  const handleSubmit = async (e, status = 'published') => {
     e.preventDefault();
     setError('');
     
@@ -191,20 +348,56 @@ const EventForm = () => {
       submitData.append('title', formData.title.trim());
       submitData.append('description', formData.description.trim());
       submitData.append('dateTime', formData.dateTime);
+      submitData.append('endDateTime', formData.endDateTime);
+      submitData.append('timeZone', formData.timeZone);
       submitData.append('location', formData.location.trim());
       submitData.append('capacity', formData.capacity);
+      submitData.append('maxPartySize', formData.maxPartySize);
       submitData.append('category', formData.category);
+      submitData.append('tags', JSON.stringify(formData.tags));
+      submitData.append('visibility', formData.visibility);
+      submitData.append('address', JSON.stringify(address));
+      submitData.append('latitude', coordinates.latitude);
+      submitData.append('longitude', coordinates.longitude);
+      submitData.append('questions', JSON.stringify(buildQuestions()));
+      // Existing gallery images are referenced by hash, so only new photos are uploaded
+      const uploads = gallery.filter((item) => item.file);
+      uploads.forEach((item) => submitData.append('galleryImages', item.file));
+      submitData.append(
+        'gallery',
+        JSON.stringify(
+          gallery.map(({ file, hash, caption, alt }) =>
+            file
+              ? { upload: uploads.findIndex((item) => item.file === file), caption, alt }
+              : { hash, caption, alt }
+          )
+        )
+      );
       if (formData.image) {
         submitData.append('image', formData.image);
       }
+      if (isEdit && seriesInfo) {
+        submitData.append('scope', editScope);
+      }
+      if (!isEdit && recurrence.frequency !== 'none') {
+        submitData.append('recurrence', JSON.stringify(buildRecurrence()));
+      }
+      if (!isEdit) {
+        submitData.append('status', status);
+      }
 
       if (isEdit) {
         await eventsAPI.update(id, submitData);
+        if (eventStatus === 'draft' && status === 'published') {
+          await eventsAPI.publish(id, { scope: seriesInfo ? editScope : 'occurrence' });
+        }
       } else {
         await eventsAPI.create(submitData);
       }
 
-      navigate('/');
+      // Drafts only show up on the creator's own dashboard
+      const isDraft = isEdit ? eventStatus === 'draft' && status === 'draft' : status === 'draft';
+      navigate(isDraft ? '/my-dashboard' : '/');
     } catch (err) {
       setError(err.response?.data?.message || 'Failed to save event');
     } finally {
@@ -224,6 +417,11 @@ const EventForm = () => {
     <div className="form-container">
       <div className="form-card" ref={formCardRef}>
         <h2>{isEdit ? 'Edit Event' : 'Create New Event'}</h2>
+        {!isEdit && (
+          <p className="field-hint import-link">
+            Have a spreadsheet or calendar file? <Link to="/import-events">Import events in bulk</Link>
+          </p>
+        )}
         {error && <div className="error-message">{error}</div>}
         <form onSubmit={handleSubmit} ref={formFieldsRef}>
           <div className="form-group">
@@ -304,6 +502,54 @@ const EventForm = () => {
             </div>
           </div>
 
+          <div className="form-group">
+            <label>End Time</label>
+            <input
+              type="datetime-local"
+              name="endDateTime"
+              value={formData.endDateTime}
+              onChange={handleChange}
+              min={formData.dateTime}
+              className={validationErrors.endDateTime ? 'error' : ''}
+            />
+            {validationErrors.endDateTime && (
+              <span className="field-error">{validationErrors.endDateTime}</span>
+            )}
+            <span className="field-hint">
+              Optional. Without an end time the event is treated as an hour long.
+            </span>
+          </div>
+
+          <div className="form-group">
+            <label>Time Zone</label>
+            <select name="timeZone" value={formData.timeZone} onChange={handleChange}>
+              {timeZoneOptions(formData.timeZone).map((zone) => (
+                <option key={zone} value={zone}>{zone.replace(/_/g, ' ')}</option>
+              ))}
+            </select>
+            <span className="field-hint">
+              The date and time above are local to this zone. Attendees also see them in their own time.
+            </span>
+          </div>
+
+          <div className="form-group">
+            <label>Max Party Size</label>
+            <input
+              type="number"
+              name="maxPartySize"
+              value={formData.maxPartySize}
+              onChange={handleChange}
+              min="1"
+              className={validationErrors.maxPartySize ? 'error' : ''}
+            />
+            <span className="field-hint">
+              Seats one RSVP may take, including the attendee. Use 1 to disallow guests.
+            </span>
+            {validationErrors.maxPartySize && (
+              <span className="field-error">{validationErrors.maxPartySize}</span>
+            )}
+          </div>
+
           <div className="form-row">
             <div className="form-group">
               <label>Location *</label>
@@ -329,7 +575,8 @@ const EventForm = () => {
                 onChange={handleChange}
                 className="filter-select"
               >
-                {categories.map((cat) => (
+                {/* Keep an event's category selectable even if it's no longer offered */}
+                {[...new Set([...categories, formData.category])].map((cat) => (
                   <option key={cat} value={cat}>
                     {cat}
                   </option>
@@ -339,7 +586,196 @@ const EventForm = () => {
           </div>
 
           <div className="form-group">
-            <label>Event Image</label>
+            <label>Tags</label>
+            <TagInput
+              tags={formData.tags}
+              onChange={(tags) => setFormData((prev) => ({ ...prev, tags }))}
+            />
+            <span className="field-hint">Press Enter or comma after each tag.</span>
+          </div>
+
+          <LocationPicker
+            address={address}
+            coordinates={coordinates}
+            onAddressChange={setAddress}
+            onCoordinatesChange={setCoordinates}
+            fallbackQuery={formData.location}
+          />
+
+          <div className="form-group">
+            <label>Visibility</label>
+            <select
+              name="visibility"
+              value={formData.visibility}
+              onChange={handleChange}
+              className="filter-select"
+            >
+              <option value="public">Public - listed on the dashboard</option>
+              <option value="unlisted">Unlisted - anyone with the link</option>
+              <option value="private">Private - invitees only</option>
+            </select>
+            {isEdit && formData.visibility === 'unlisted' && (
+              <span className="field-hint">
+                Share this link: {`${window.location.origin}/events/${id}`}
+              </span>
+            )}
+            {formData.visibility === 'private' && (
+              <span className="field-hint">
+                {isEdit
+                  ? 'Share an invite link below with the people you want to invite.'
+                  : 'Once the event is created, edit it to create invite links.'}
+              </span>
+            )}
+          </div>
+
+          {isEdit ? (
+            seriesInfo && (
+              <div className="form-group">
+                <label>Apply Changes To</label>
+                <select
+                  value={editScope}
+                  onChange={(e) => setEditScope(e.target.value)}
+                  className="filter-select"
+                >
+                  <option value="occurrence">This occurrence</option>
+                  <option value="following">This and following occurrences</option>
+                  <option value="series">Whole series</option>
+                </select>
+                <span className="field-hint">
+                  This event repeats {seriesInfo.frequency || 'regularly'}.
+                </span>
+              </div>
+            )
+          ) : (
+            <div className="form-group">
+              <label>Repeat</label>
+              <div className="form-row recurrence-row">
+                <select
+                  name="frequency"
+                  value={recurrence.frequency}
+                  onChange={handleRecurrenceChange}
+                  className="filter-select"
+                >
+                  <option value="none">Does not repeat</option>
+                  <option value="daily">Daily</option>
+                  <option value="weekly">Weekly</option>
+                  <option value="monthly">Monthly</option>
+                </select>
+                {recurrence.frequency !== 'none' && (
+                  <input
+                    type="number"
+                    name="interval"
+                    value={recurrence.interval}
+                    onChange={handleRecurrenceChange}
+                    min="1"
+                    title="Repeat every N days, weeks or months"
+                  />
+                )}
+              </div>
+              {recurrence.frequency !== 'none' && (
+                <>
+                  <div className="form-row recurrence-row">
+                    <select
+                      name="endType"
+                      value={recurrence.endType}
+                      onChange={handleRecurrenceChange}
+                      className="filter-select"
+                    >
+                      <option value="count">Ends after</option>
+                      <option value="until">Ends on</option>
+                    </select>
+                    {recurrence.endType === 'count' ? (
+                      <input
+                        type="number"
+                        name="count"
+                        value={recurrence.count}
+                        onChange={handleRecurrenceChange}
+                        min="1"
+                        max="100"
+                        placeholder="Occurrences"
+                      />
+                    ) : (
+                      <input
+                        type="date"
+                        name="until"
+                        value={recurrence.until}
+                        onChange={handleRecurrenceChange}
+                      />
+                    )}
+                  </div>
+                  <input
+                    type="text"
+                    name="exceptions"
+                    value={recurrence.exceptions}
+                    onChange={handleRecurrenceChange}
+                    placeholder="Skip dates, e.g. 2026-12-25, 2027-01-01"
+                  />
+                </>
+              )}
+              {validationErrors.recurrence && (
+                <span className="field-error">{validationErrors.recurrence}</span>
+              )}
+            </div>
+          )}
+
+          <div className="form-group">
+            <label>Registration Questions</label>
+            {questions.map((q, index) => (
+              <div key={q._id || index} className="question-item">
+                <div className="form-row recurrence-row">
+                  <input
+                    type="text"
+                    value={q.label}
+                    onChange={(e) => updateQuestion(index, { label: e.target.value })}
+                    placeholder="Question, e.g. Dietary needs"
+                  />
+                  <select
+                    value={q.type}
+                    onChange={(e) => updateQuestion(index, { type: e.target.value })}
+                    className="filter-select"
+                  >
+                    <option value="text">Short text</option>
+                    <option value="single">Single choice</option>
+                    <option value="multi">Multiple choice</option>
+                    <option value="checkbox">Checkbox</option>
+                  </select>
+                </div>
+                {(q.type === 'single' || q.type === 'multi') && (
+                  <input
+                    type="text"
+                    value={q.optionsText}
+                    onChange={(e) => updateQuestion(index, { optionsText: e.target.value })}
+                    placeholder="Options, comma separated, e.g. S, M, L, XL"
+                    className="recurrence-row"
+                  />
+                )}
+                <div className="question-footer">
+                  <label className="question-required">
+                    <input
+                      type="checkbox"
+                      checked={q.required}
+                      onChange={(e) => updateQuestion(index, { required: e.target.checked })}
+                    />
+                    Required
+                  </label>
+                  <button type="button" onClick={() => removeQuestion(index)} className="btn-remove-question">
+                    Remove
+                  </button>
+                </div>
+              </div>
+            ))}
+            {questions.length < 10 && (
+              <button type="button" onClick={addQuestion} className="btn-add-question">
+                + Add question
+              </button>
+            )}
+            {validationErrors.questions && (
+              <span className="field-error">{validationErrors.questions}</span>
+            )}
+          </div>
+
+          <div className="form-group">
+            <label>Cover Image</label>
             <input
               type="file"
               accept="image/*"
@@ -353,6 +789,11 @@ const EventForm = () => {
             )}
           </div>
 
+          <div className="form-group">
+            <label>Photo Gallery</label>
+            <GalleryEditor items={gallery} onChange={setGallery} onError={setError} />
+          </div>
+
           <div className="form-actions">
             <button
               type="button"
@@ -361,11 +802,29 @@ const EventForm = () => {
             >
               Cancel
             </button>
+            {(!isEdit || eventStatus === 'draft') && (
+              <button
+                type="button"
+                onClick={(e) => handleSubmit(e, 'draft')}
+                disabled={loading}
+                className="btn-cancel"
+              >
+                {isEdit ? 'Save Draft' : 'Save as Draft'}
+              </button>
+            )}
             <button type="submit" disabled={loading} className="btn-submit">
-              {loading ? 'Saving...' : isEdit ? 'Update Event' : 'Create Event'}
+              {loading
+                ? 'Saving...'
+                : eventStatus === 'draft'
+                  ? 'Save & Publish'
+                  : isEdit
+                    ? 'Update Event'
+                    : 'Create Event'}
             </button>
           </div>
         </form>
+        {isEdit && coHosts && <CoHostManager eventId={id} initialCoHosts={coHosts} />}
+        {isEdit && invites && <InviteManager eventId={id} initialInvites={invites} />}
       </div>
     </div>
   );
@@ -0,0 +1,106 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { gsap } from 'gsap';
+import { serverUrl } from '../services/api';
+import './EventGallery.css';
+
+// An event's photo gallery: a grid of thumbnails that open in a lightbox.
+// The lightbox steps through the photos with the arrow keys and closes on Escape.
+const EventGallery = ({ images }) => {
+  const [openIndex, setOpenIndex] = useState(null);
+  const lightboxRef = useRef(null);
+  const isOpen = openIndex !== null;
+
+  const showPrevious = () => setOpenIndex((i) => (i - 1 + images.length) % images.length);
+  const showNext = () => setOpenIndex((i) => (i + 1) % images.length);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    gsap.fromTo(lightboxRef.current, { opacity: 0 }, { opacity: 1, duration: 0.2 });
+
+    const handleKey = (e) => {
+      if (e.key === 'Escape') setOpenIndex(null);
+      if (e.key === 'ArrowLeft') setOpenIndex((i) => (i - 1 + images.length) % images.length);
+      if (e.key === 'ArrowRight') setOpenIndex((i) => (i + 1) % images.length);
+    };
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, [isOpen, images.length]);
+
+  if (!images?.length) return null;
+  const current = isOpen ? images[openIndex] : null;
+
+  return (
+    <div className="event-gallery">
+      <h3>Photos</h3>
+      <div className="gallery-grid">
+        {images.map((image, index) => (
+          <button
+            key={image._id}
+            type="button"
+            className="gallery-thumb"
+            onClick={() => setOpenIndex(index)}
+          >
+            <img
+              src={serverUrl(image.urls.thumbnail)}
+              alt={image.alt || image.caption || `Photo ${index + 1}`}
+              loading="lazy"
+            />
+          </button>
+        ))}
+      </div>
+
+      {current && (
+        <div
+          className="lightbox"
+          ref={lightboxRef}
+          role="dialog"
+          aria-modal="true"
+          onClick={() => setOpenIndex(null)}
+        >
+          <div className="lightbox-content" onClick={(e) => e.stopPropagation()}>
+            <img
+              src={serverUrl(current.urls.original)}
+              alt={current.alt || current.caption || `Photo ${openIndex + 1}`}
+            />
+            <div className="lightbox-footer">
+              <span className="lightbox-caption">{current.caption}</span>
+              <span className="lightbox-count">
+                {openIndex + 1} / {images.length}
+              </span>
+            </div>
+            {images.length > 1 && (
+              <>
+                <button
+                  type="button"
+                  className="lightbox-nav previous"
+                  onClick={showPrevious}
+                  aria-label="Previous photo"
+                >
+                  ‹
+                </button>
+                <button
+                  type="button"
+                  className="lightbox-nav next"
+                  onClick={showNext}
+                  aria-label="Next photo"
+                >
+                  ›
+                </button>
+              </>
+            )}
+            <button
+              type="button"
+              className="lightbox-close"
+              onClick={() => setOpenIndex(null)}
+              aria-label="Close"
+            >
+              ×
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EventGallery;
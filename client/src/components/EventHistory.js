@@ -0,0 +1,181 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { eventsAPI } from '../services/api';
+import { formatInZone } from '../utils/dates';
+import LoadingSpinner from './LoadingSpinner';
+import './EventResponses.css';
+import './EventHistory.css';
+
+const ACTION_LABELS = {
+  create: 'Created the event',
+  update: 'Edited the event',
+  status: 'Changed the status',
+  restore: 'Restored an earlier version',
+  delete: 'Deleted the event',
+  rsvp: 'RSVPed',
+  waitlist: 'Joined the waitlist',
+  promoted: 'Got a seat from the waitlist',
+  cancel: 'Cancelled an RSVP',
+  leave_waitlist: 'Left the waitlist',
+  removed: 'Removed an attendee',
+  resize: 'Changed party size',
+};
+
+const FIELD_LABELS = {
+  title: 'Title',
+  description: 'Description',
+  dateTime: 'Starts',
+  endDateTime: 'Ends',
+  timeZone: 'Time zone',
+  location: 'Location',
+  address: 'Address',
+  geoLocation: 'Map pin',
+  category: 'Category',
+  tags: 'Tags',
+  capacity: 'Capacity',
+  maxPartySize: 'Max party size',
+  visibility: 'Visibility',
+  questions: 'Registration questions',
+  status: 'Status',
+  statusReason: 'Status note',
+  image: 'Cover image',
+  images: 'Gallery',
+  attendees: 'Attendees',
+  waitlist: 'Waitlist',
+};
+
+// The creator's view of everything that happened to an event: edits with
+// field-level changes, lifecycle changes and RSVPs, with a way back to any
+// earlier version of the details
+const EventHistory = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [event, setEvent] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchHistory = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await eventsAPI.getHistory(id);
+      setHistory(response.data);
+      setError('');
+      // The history outlives the event, so a deleted event is fine here
+      const eventResponse = await eventsAPI.getById(id).catch(() => null);
+      setEvent(eventResponse?.data || null);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load history');
+      console.error('Error fetching history:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    fetchHistory();
+  }, [fetchHistory]);
+
+  const handleRestore = async (entry) => {
+    if (
+      !window.confirm(
+        'Restore the event details from this version? Attendees, status and images stay as they are.'
+      )
+    ) {
+      return;
+    }
+    try {
+      await eventsAPI.restoreRevision(id, entry._id);
+      fetchHistory();
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to restore this version');
+    }
+  };
+
+  const timeZone = event?.timeZone || 'UTC';
+
+  const formatValue = (field, value) => {
+    if (value === null || value === undefined || value === '') return '—';
+    switch (field) {
+      case 'dateTime':
+      case 'endDateTime':
+        return formatInZone(value, timeZone);
+      case 'attendees':
+      case 'waitlist':
+        return `${value.user?.name || 'Someone'}${value.partySize > 1 ? ` (party of ${value.partySize})` : ''}`;
+      case 'questions':
+        return value.map((q) => q.label).join(', ') || '—';
+      case 'images':
+        return value.length === 1 ? '1 photo' : `${value.length} photos`;
+      case 'image':
+        return 'Image';
+      case 'address':
+        return Object.values(value).filter(Boolean).join(', ');
+      case 'geoLocation':
+        return value.coordinates ? `${value.coordinates[1]}, ${value.coordinates[0]}` : '—';
+      default:
+        return Array.isArray(value) ? value.join(', ') || '—' : String(value);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="responses-container">
+        <LoadingSpinner message="Loading history..." />
+      </div>
+    );
+  }
+
+  return (
+    <div className="responses-container">
+      <div className="responses-header">
+        <button onClick={() => navigate(-1)} className="btn-back">
+          Back
+        </button>
+        <h1>History{event ? `: ${event.title}` : ''}</h1>
+      </div>
+
+      {error && <div className="error-banner">{error}</div>}
+
+      {!error && history.length === 0 ? (
+        <div className="empty-state">
+          <p>No changes have been recorded for this event.</p>
+        </div>
+      ) : (
+        <ol className="history-list">
+          {history.map((entry) => (
+            <li key={entry._id} className={`history-entry ${entry.type}`}>
+              <div className="history-entry-header">
+                <span>
+                  <strong>{entry.actor?.name || 'Automatic'}</strong> {ACTION_LABELS[entry.action]}
+                </span>
+                <span className="history-time">{formatInZone(entry.at, timeZone)}</span>
+              </div>
+              {entry.changes.length > 0 && (
+                <table className="history-changes">
+                  <tbody>
+                    {entry.changes.map((change, i) => (
+                      <tr key={i}>
+                        <th>{FIELD_LABELS[change.field] || change.field}</th>
+                        <td className="history-from">{formatValue(change.field, change.from)}</td>
+                        <td className="history-arrow">→</td>
+                        <td>{formatValue(change.field, change.to)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+              {entry.restorable && (
+                <button onClick={() => handleRestore(entry)} className="btn-link">
+                  Restore this version
+                </button>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+export default EventHistory;
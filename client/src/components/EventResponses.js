@@ -0,0 +1,124 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { eventsAPI } from '../services/api';
+import LoadingSpinner from './LoadingSpinner';
+import './EventResponses.css';
+
+// Organizer view of the attendee list and everyone's answers to the
+// event's registration questions
+const EventResponses = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [event, setEvent] = useState(null);
+  const [questions, setQuestions] = useState([]);
+  const [responses, setResponses] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchResponses = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [eventResponse, answersResponse] = await Promise.all([
+        eventsAPI.getById(id),
+        eventsAPI.getAnswers(id),
+      ]);
+      setEvent(eventResponse.data);
+      setQuestions(answersResponse.data.questions);
+      setResponses(answersResponse.data.responses);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load attendees');
+      console.error('Error fetching attendees:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    fetchResponses();
+  }, [fetchResponses]);
+
+  const handleRemove = async (attendee) => {
+    if (!window.confirm(`Remove ${attendee.name} from this event?`)) return;
+
+    try {
+      await eventsAPI.removeAttendee(id, attendee._id);
+      fetchResponses();
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to remove attendee');
+    }
+  };
+
+  const formatAnswer = (value) => {
+    if (value === undefined || value === null) return '-';
+    if (value === true) return 'Yes';
+    if (Array.isArray(value)) return value.join(', ');
+    return value;
+  };
+
+  if (loading) {
+    return (
+      <div className="responses-container">
+        <LoadingSpinner message="Loading attendees..." />
+      </div>
+    );
+  }
+
+  return (
+    <div className="responses-container">
+      <div className="responses-header">
+        <button onClick={() => navigate(-1)} className="btn-back">
+          Back
+        </button>
+        <h1>Attendees{event ? `: ${event.title}` : ''}</h1>
+      </div>
+
+      {error && <div className="error-banner">{error}</div>}
+
+      {!error && responses.length === 0 ? (
+        <div className="empty-state">
+          <p>Nobody has RSVPed yet.</p>
+        </div>
+      ) : (
+        !error && (
+          <div className="responses-table-wrapper">
+            <table className="responses-table">
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th>Email</th>
+                  <th>Status</th>
+                  <th>Party</th>
+                  {questions.map((q) => (
+                    <th key={q._id}>{q.label}</th>
+                  ))}
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {responses.map((r) => (
+                  <tr key={r.user?._id}>
+                    <td>{r.user?.name}</td>
+                    <td>{r.user?.email}</td>
+                    <td>{r.status === 'waitlisted' ? 'Waitlisted' : 'Attending'}</td>
+                    <td>{r.partySize}</td>
+                    {questions.map((q) => (
+                      <td key={q._id}>{formatAnswer(r.answers[q._id])}</td>
+                    ))}
+                    <td>
+                      <button onClick={() => handleRemove(r.user)} className="btn-remove-attendee">
+                        Remove
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )
+      )}
+    </div>
+  );
+};
+
+export default EventResponses;
@@ -0,0 +1,67 @@
+import React, { useState } from 'react';
+import { eventsAPI } from '../services/api';
+import { formatDayInZone } from '../utils/dates';
+import './FeedbackPrompt.css';
+
+const MAX_RATING = 5;
+
+// Asks an attendee how a past event went: a star rating and an optional comment
+const FeedbackPrompt = ({ event, onDone }) => {
+  const [rating, setRating] = useState(0);
+  const [hovered, setHovered] = useState(0);
+  const [comment, setComment] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      await eventsAPI.submitFeedback(event._id, { rating, comment });
+      onDone(event._id);
+    } catch (error) {
+      alert(error.response?.data?.message || 'Failed to send feedback');
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form className="feedback-prompt" onSubmit={handleSubmit}>
+      <div className="feedback-prompt-header">
+        <strong>How was {event.title}?</strong>
+        <span>{formatDayInZone(event.dateTime, event.timeZone || 'UTC')}</span>
+      </div>
+      <div className="star-rating" onMouseLeave={() => setHovered(0)}>
+        {Array.from({ length: MAX_RATING }, (_, i) => i + 1).map((stars) => (
+          <button
+            key={stars}
+            type="button"
+            className={stars <= (hovered || rating) ? 'filled' : ''}
+            onClick={() => setRating(stars)}
+            onMouseEnter={() => setHovered(stars)}
+            aria-label={`${stars} star${stars > 1 ? 's' : ''}`}
+            aria-pressed={stars === rating}
+          >
+            ★
+          </button>
+        ))}
+      </div>
+      <textarea
+        value={comment}
+        onChange={(e) => setComment(e.target.value)}
+        placeholder="Anything the organizers should know? (optional)"
+        maxLength={1000}
+        rows={2}
+      />
+      <div className="feedback-prompt-actions">
+        <button type="submit" className="btn-feedback" disabled={!rating || submitting}>
+          {submitting ? 'Sending...' : 'Send Feedback'}
+        </button>
+        <button type="button" className="btn-link" onClick={() => onDone(event._id)}>
+          Not now
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default FeedbackPrompt;
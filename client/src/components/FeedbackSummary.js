@@ -0,0 +1,112 @@
+import React, { useState, useEffect } from 'react';
+import { eventsAPI } from '../services/api';
+import { formatDayInZone } from '../utils/dates';
+import './FeedbackSummary.css';
+
+const formatAverage = (summary) =>
+  summary.average === null ? 'No ratings' : `${summary.average.toFixed(1)} ★`;
+
+// Bars showing how many ratings of each star value a summary has
+const RatingBars = ({ summary }) => (
+  <div className="rating-bars">
+    {[5, 4, 3, 2, 1].map((stars) => (
+      <div key={stars} className="rating-bar">
+        <span>{stars} ★</span>
+        <div className="rating-bar-track">
+          <div
+            className="rating-bar-fill"
+            style={{ width: `${summary.count ? (summary.distribution[stars] / summary.count) * 100 : 0}%` }}
+          />
+        </div>
+        <span>{summary.distribution[stars]}</span>
+      </div>
+    ))}
+  </div>
+);
+
+// Attendee ratings across the events the user hosts, with each event's
+// comments a click away (see GET /api/events/:id/feedback)
+const FeedbackSummary = () => {
+  const [summary, setSummary] = useState(null);
+  const [openEvent, setOpenEvent] = useState(null);
+  const [comments, setComments] = useState({});
+
+  useEffect(() => {
+    eventsAPI
+      .getFeedbackSummary()
+      .then((response) => setSummary(response.data))
+      .catch((err) => console.error('Error fetching feedback summary:', err));
+  }, []);
+
+  const toggleComments = async (eventId) => {
+    if (openEvent === eventId) {
+      setOpenEvent(null);
+      return;
+    }
+    setOpenEvent(eventId);
+    if (comments[eventId]) return;
+    try {
+      const response = await eventsAPI.getFeedback(eventId);
+      setComments((prev) => ({ ...prev, [eventId]: response.data.comments }));
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to load comments');
+    }
+  };
+
+  if (!summary || summary.overall.count === 0) return null;
+
+  return (
+    <div className="feedback-summary">
+      <div className="feedback-overall">
+        <div>
+          <h3>Attendee Feedback</h3>
+          <div className="feedback-average">{formatAverage(summary.overall)}</div>
+          <div className="feedback-count">
+            {summary.overall.count} rating{summary.overall.count !== 1 && 's'} across{' '}
+            {summary.events.length} event{summary.events.length !== 1 && 's'}
+          </div>
+        </div>
+        <RatingBars summary={summary.overall} />
+      </div>
+      <ul className="feedback-events">
+        {summary.events.map(({ event, ...eventSummary }) => (
+          <li key={event._id}>
+            <div className="feedback-event-row">
+              <span className="feedback-event-title">
+                {event.title}
+                <span>{formatDayInZone(event.dateTime, event.timeZone || 'UTC')}</span>
+              </span>
+              <span>
+                {formatAverage(eventSummary)} ({eventSummary.count})
+              </span>
+              <button onClick={() => toggleComments(event._id)} className="btn-link">
+                {openEvent === event._id ? 'Hide details' : 'Details'}
+              </button>
+            </div>
+            {openEvent === event._id && (
+              <div className="feedback-event-details">
+                <RatingBars summary={eventSummary} />
+                {!comments[event._id] ? (
+                  <p className="feedback-comment-empty">Loading comments...</p>
+                ) : comments[event._id].length === 0 ? (
+                  <p className="feedback-comment-empty">No comments yet.</p>
+                ) : (
+                  <ul className="feedback-comments">
+                    {comments[event._id].map((c) => (
+                      <li key={c._id}>
+                        <span className="feedback-comment-rating">{'★'.repeat(c.rating)}</span>
+                        {c.comment}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default FeedbackSummary;
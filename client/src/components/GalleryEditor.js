@@ -0,0 +1,116 @@
+import React, { useState } from 'react';
+
+// Matches the server's limit (MAX_GALLERY_IMAGES)
+export const MAX_GALLERY_IMAGES = 12;
+
+// Gallery section of the event form. Items are existing images ({ hash }) or
+// new uploads ({ file }), each with a preview, caption and alt text, in display
+// order. Drag an item onto another to move it there.
+const GalleryEditor = ({ items, onChange, onError }) => {
+  const [dragIndex, setDragIndex] = useState(null);
+
+  const handleFiles = (e) => {
+    const files = Array.from(e.target.files);
+    e.target.value = '';
+    if (files.some((file) => !file.type.startsWith('image/'))) {
+      onError('Please select valid image files');
+      return;
+    }
+    if (files.some((file) => file.size > 5 * 1024 * 1024)) {
+      onError('Each image must be less than 5MB');
+      return;
+    }
+    if (items.length + files.length > MAX_GALLERY_IMAGES) {
+      onError(`A gallery can have at most ${MAX_GALLERY_IMAGES} images`);
+      return;
+    }
+    const added = files.map((file, i) => ({
+      key: `new-${Date.now()}-${i}`,
+      file,
+      preview: URL.createObjectURL(file),
+      caption: '',
+      alt: '',
+    }));
+    onChange([...items, ...added]);
+    onError('');
+  };
+
+  const updateItem = (index, changes) => {
+    onChange(items.map((item, i) => (i === index ? { ...item, ...changes } : item)));
+  };
+
+  const removeItem = (index) => {
+    const item = items[index];
+    if (item.file) URL.revokeObjectURL(item.preview);
+    onChange(items.filter((_, i) => i !== index));
+  };
+
+  const handleDrop = (index) => {
+    if (dragIndex === null || dragIndex === index) return;
+    const next = [...items];
+    const [moved] = next.splice(dragIndex, 1);
+    next.splice(index, 0, moved);
+    onChange(next);
+    setDragIndex(null);
+  };
+
+  return (
+    <div className="gallery-editor">
+      {items.length > 0 && (
+        <ul className="gallery-items">
+          {items.map((item, index) => (
+            <li
+              key={item.key}
+              className={`gallery-item ${dragIndex === index ? 'dragging' : ''}`}
+              draggable
+              onDragStart={() => setDragIndex(index)}
+              onDragOver={(e) => e.preventDefault()}
+              onDrop={() => handleDrop(index)}
+              onDragEnd={() => setDragIndex(null)}
+            >
+              <span className="gallery-handle" title="Drag to reorder">⠿</span>
+              <img src={item.preview} alt={item.alt || `Gallery image ${index + 1}`} />
+              <div className="gallery-item-fields">
+                <input
+                  type="text"
+                  value={item.caption}
+                  onChange={(e) => updateItem(index, { caption: e.target.value })}
+                  placeholder="Caption"
+                  maxLength={200}
+                />
+                <input
+                  type="text"
+                  value={item.alt}
+                  onChange={(e) => updateItem(index, { alt: e.target.value })}
+                  placeholder="Alt text (describe the image)"
+                  maxLength={200}
+                />
+              </div>
+              <button
+                type="button"
+                onClick={() => removeItem(index)}
+                className="btn-remove-question"
+              >
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {items.length < MAX_GALLERY_IMAGES && (
+        <input
+          type="file"
+          accept="image/*"
+          multiple
+          onChange={handleFiles}
+          className="file-input"
+        />
+      )}
+      <span className="field-hint">
+        Up to {MAX_GALLERY_IMAGES} photos. Drag them to change the order.
+      </span>
+    </div>
+  );
+};
+
+export default GalleryEditor;
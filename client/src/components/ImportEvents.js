@@ -0,0 +1,270 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { eventsAPI } from '../services/api';
+import { formatInZone } from '../utils/dates';
+import './EventForm.css';
+import './EventResponses.css';
+import './ImportEvents.css';
+
+// Event fields a CSV column can be mapped to
+const FIELD_LABELS = {
+  title: 'Title *',
+  description: 'Description *',
+  dateTime: 'Date & Time *',
+  location: 'Location *',
+  capacity: 'Capacity *',
+  maxPartySize: 'Max Party Size',
+  visibility: 'Visibility',
+};
+
+// Bulk import from a spreadsheet export (CSV) or another calendar (.ics).
+// Every import is previewed first (a dry run) so per-row errors can be fixed
+// before anything is created.
+const ImportEvents = () => {
+  const navigate = useNavigate();
+  const [file, setFile] = useState(null);
+  const [format, setFormat] = useState('csv');
+  const [columns, setColumns] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [defaults, setDefaults] = useState({ capacity: '', description: '', location: '', status: 'published' });
+  const [preview, setPreview] = useState(null);
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleFileChange = (e) => {
+    const selected = e.target.files[0] || null;
+    setFile(selected);
+    setFormat(selected && /\.ics$/i.test(selected.name) ? 'ics' : 'csv');
+    setColumns([]);
+    setMapping({});
+    setPreview(null);
+    setResult(null);
+    setError('');
+  };
+
+  const handleMappingChange = (field, column) => {
+    setMapping((prev) => ({ ...prev, [field]: column || undefined }));
+    setPreview(null);
+  };
+
+  const handleDefaultChange = (e) => {
+    const { name, value } = e.target;
+    setDefaults((prev) => ({ ...prev, [name]: value }));
+    setPreview(null);
+  };
+
+  const buildFormData = (dryRun) => {
+    const data = new FormData();
+    data.append('file', file);
+    data.append('format', format);
+    data.append('mapping', JSON.stringify(mapping));
+    data.append('defaults', JSON.stringify(defaults));
+    data.append('dryRun', String(dryRun));
+    return data;
+  };
+
+  const handlePreview = async () => {
+    if (!file) {
+      setError('Choose a file to import');
+      return;
+    }
+    try {
+      setLoading(true);
+      setError('');
+      const response = await eventsAPI.importEvents(buildFormData(true));
+      setColumns(response.data.columns || []);
+      setMapping(response.data.mapping || {});
+      setPreview(response.data);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to read the file');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleImport = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const response = await eventsAPI.importEvents(buildFormData(false));
+      setResult(response.data);
+      setPreview(null);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to import events');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const renderFailedRows = (failed) =>
+    failed.length > 0 && (
+      <div className="import-section">
+        <h3>{failed.length} row(s) with errors</h3>
+        <div className="responses-table-wrapper">
+          <table className="responses-table">
+            <thead>
+              <tr>
+                <th>{format === 'csv' ? 'Line' : 'Event #'}</th>
+                <th>Title</th>
+                <th>Error</th>
+              </tr>
+            </thead>
+            <tbody>
+              {failed.map((f) => (
+                <tr key={f.row}>
+                  <td>{f.row}</td>
+                  <td>{f.title || '-'}</td>
+                  <td className="import-error">{f.error}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    );
+
+  return (
+    <div className="form-container">
+      <div className="form-card import-card">
+        <h2>Import Events</h2>
+        {error && <div className="error-message">{error}</div>}
+
+        {result ? (
+          <>
+            <p className="import-summary">
+              Created {result.created} of {result.total} events.
+            </p>
+            {renderFailedRows(result.failed)}
+            <div className="form-actions">
+              <button type="button" onClick={() => setResult(null)} className="btn-cancel">
+                Import More
+              </button>
+              <button type="button" onClick={() => navigate('/my-dashboard')} className="btn-submit">
+                Go to My Dashboard
+              </button>
+            </div>
+          </>
+        ) : (
+          <>
+            <div className="form-group">
+              <label>CSV or iCalendar (.ics) file</label>
+              <input type="file" accept=".csv,.ics,text/csv,text/calendar" onChange={handleFileChange} />
+              <span className="field-hint">
+                CSV files need a header row. Columns named like the fields below are matched automatically.
+              </span>
+            </div>
+
+            {format === 'csv' && columns.length > 0 && (
+              <div className="import-section">
+                <h3>Column Mapping</h3>
+                <div className="form-row">
+                  {Object.entries(FIELD_LABELS).map(([field, label]) => (
+                    <div className="form-group" key={field}>
+                      <label>{label}</label>
+                      <select
+                        value={mapping[field] || ''}
+                        onChange={(e) => handleMappingChange(field, e.target.value)}
+                        className="filter-select"
+                      >
+                        <option value="">(not in file)</option>
+                        {columns.map((column) => (
+                          <option key={column} value={column}>
+                            {column}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            <div className="import-section">
+              <h3>Defaults for Missing Values</h3>
+              <div className="form-row">
+                <div className="form-group">
+                  <label>Capacity</label>
+                  <input type="number" name="capacity" min="1" value={defaults.capacity} onChange={handleDefaultChange} />
+                </div>
+                <div className="form-group">
+                  <label>Location</label>
+                  <input type="text" name="location" value={defaults.location} onChange={handleDefaultChange} />
+                </div>
+              </div>
+              <div className="form-group">
+                <label>Description</label>
+                <input type="text" name="description" value={defaults.description} onChange={handleDefaultChange} />
+              </div>
+              <div className="form-group">
+                <label>Create As</label>
+                <select name="status" value={defaults.status} onChange={handleDefaultChange} className="filter-select">
+                  <option value="published">Published</option>
+                  <option value="draft">Drafts</option>
+                </select>
+              </div>
+            </div>
+
+            {preview && (
+              <>
+                <div className="import-section">
+                  <h3>
+                    Preview: {preview.events.length} of {preview.total} events ready to import
+                  </h3>
+                  {preview.events.length > 0 && (
+                    <div className="responses-table-wrapper">
+                      <table className="responses-table">
+                        <thead>
+                          <tr>
+                            <th>{format === 'csv' ? 'Line' : 'Event #'}</th>
+                            <th>Title</th>
+                            <th>Date</th>
+                            <th>Location</th>
+                            <th>Capacity</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {preview.events.map((e) => (
+                            <tr key={e.row}>
+                              <td>{e.row}</td>
+                              <td>{e.title}</td>
+                              <td>{formatInZone(e.dateTime, e.timeZone)}</td>
+                              <td>{e.location}</td>
+                              <td>{e.capacity}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+                </div>
+                {renderFailedRows(preview.failed)}
+              </>
+            )}
+
+            <div className="form-actions">
+              <button type="button" onClick={() => navigate(-1)} className="btn-cancel">
+                Cancel
+              </button>
+              <button type="button" onClick={handlePreview} disabled={loading || !file} className="btn-cancel">
+                {loading && !preview ? 'Checking...' : 'Preview'}
+              </button>
+              <button
+                type="button"
+                onClick={handleImport}
+                disabled={loading || !preview || preview.events.length === 0}
+                className="btn-submit"
+              >
+                {loading && preview
+                  ? 'Importing...'
+                  : `Import ${preview ? preview.events.length : ''} Events`}
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ImportEvents;
@@ -0,0 +1,121 @@
+import React, { useState } from 'react';
+import { eventsAPI } from '../services/api';
+
+const inviteLink = (eventId, token) => `${window.location.origin}/events/${eventId}?invite=${token}`;
+
+const describeInvite = (invite) => {
+  if (invite.revokedAt) return 'Revoked';
+  if (invite.expiresAt && new Date(invite.expiresAt) <= new Date()) return 'Expired';
+  const uses = invite.maxUses ? `${invite.uses} / ${invite.maxUses} uses` : `${invite.uses} uses`;
+  return invite.expiresAt
+    ? `${uses}, expires ${new Date(invite.expiresAt).toLocaleString()}`
+    : uses;
+};
+
+// Panel for organizers who manage attendees to create, share and revoke
+// invite links. Private events can only be seen and RSVPed to with one.
+const InviteManager = ({ eventId, initialInvites = [] }) => {
+  const [invites, setInvites] = useState(initialInvites);
+  const [label, setLabel] = useState('');
+  const [maxUses, setMaxUses] = useState('');
+  const [expiresAt, setExpiresAt] = useState('');
+  const [error, setError] = useState('');
+
+  const handleCreate = async () => {
+    try {
+      setError('');
+      const response = await eventsAPI.createInvite(eventId, {
+        label,
+        maxUses: maxUses || undefined,
+        expiresAt: expiresAt ? new Date(expiresAt).toISOString() : undefined,
+      });
+      setInvites((prev) => [...prev, response.data]);
+      setLabel('');
+      setMaxUses('');
+      setExpiresAt('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to create invite link');
+    }
+  };
+
+  const handleRevoke = async (inviteId) => {
+    if (!window.confirm('Revoke this invite link? People who already RSVPed keep their spot.')) {
+      return;
+    }
+    try {
+      setError('');
+      const response = await eventsAPI.revokeInvite(eventId, inviteId);
+      setInvites((prev) => prev.map((i) => (i._id === inviteId ? response.data : i)));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to revoke invite link');
+    }
+  };
+
+  const handleCopy = async (token) => {
+    const link = inviteLink(eventId, token);
+    try {
+      await navigator.clipboard.writeText(link);
+      alert('Invite link copied to clipboard');
+    } catch (err) {
+      window.prompt('Copy this invite link:', link);
+    }
+  };
+
+  return (
+    <div className="form-group cohost-manager">
+      <label>Invite Links</label>
+      {invites.map((invite) => (
+        <div key={invite._id} className="cohost-item">
+          <span className="cohost-email">
+            {invite.label || 'Invite link'} - {describeInvite(invite)}
+          </span>
+          {!invite.revokedAt && (
+            <>
+              <button
+                type="button"
+                onClick={() => handleCopy(invite.token)}
+                className="btn-add-question"
+              >
+                Copy Link
+              </button>
+              <button
+                type="button"
+                onClick={() => handleRevoke(invite._id)}
+                className="btn-remove-question"
+              >
+                Revoke
+              </button>
+            </>
+          )}
+        </div>
+      ))}
+      <div className="cohost-item">
+        <input
+          type="text"
+          value={label}
+          onChange={(e) => setLabel(e.target.value)}
+          placeholder="Label (optional)"
+        />
+        <input
+          type="number"
+          min="1"
+          value={maxUses}
+          onChange={(e) => setMaxUses(e.target.value)}
+          placeholder="Max uses"
+        />
+        <input
+          type="datetime-local"
+          value={expiresAt}
+          onChange={(e) => setExpiresAt(e.target.value)}
+          title="Expires at (optional)"
+        />
+        <button type="button" onClick={handleCreate} className="btn-add-question">
+          Create Link
+        </button>
+      </div>
+      {error && <span className="field-error">{error}</span>}
+    </div>
+  );
+};
+
+export default InviteManager;
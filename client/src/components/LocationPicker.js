@@ -0,0 +1,127 @@
+import React, { useState } from 'react';
+import { eventsAPI } from '../services/api';
+
+const ADDRESS_FIELDS = [
+  ['street', 'Street'],
+  ['city', 'City'],
+  ['region', 'State / Region'],
+  ['postalCode', 'Postal Code'],
+  ['country', 'Country'],
+];
+
+export const EMPTY_ADDRESS = { street: '', city: '', region: '', postalCode: '', country: '' };
+
+// Optional structured address and map pin (latitude/longitude) for an event,
+// so it shows up in "near me" searches. The pin can come from looking up the
+// address, the organizer's current location, or be typed in.
+const LocationPicker = ({ address, coordinates, onAddressChange, onCoordinatesChange, fallbackQuery }) => {
+  const [looking, setLooking] = useState(false);
+  const [message, setMessage] = useState('');
+
+  const hasPin = coordinates.latitude !== '' && coordinates.longitude !== '';
+
+  const handleLookup = async () => {
+    const query =
+      ADDRESS_FIELDS.map(([field]) => address[field].trim()).filter(Boolean).join(', ') ||
+      fallbackQuery.trim();
+    if (!query) {
+      setMessage('Enter an address or location first');
+      return;
+    }
+    try {
+      setLooking(true);
+      setMessage('');
+      const response = await eventsAPI.geocode(query);
+      onCoordinatesChange({
+        latitude: String(response.data.latitude),
+        longitude: String(response.data.longitude),
+      });
+      setMessage(`Pinned to ${response.data.label}`);
+    } catch (err) {
+      setMessage(err.response?.data?.message || 'Failed to look up the address');
+    } finally {
+      setLooking(false);
+    }
+  };
+
+  const handleUseMyLocation = () => {
+    if (!navigator.geolocation) {
+      setMessage('Your browser cannot share its location');
+      return;
+    }
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        onCoordinatesChange({
+          latitude: position.coords.latitude.toFixed(6),
+          longitude: position.coords.longitude.toFixed(6),
+        });
+        setMessage('Pinned to your current location');
+      },
+      () => setMessage('Could not get your location')
+    );
+  };
+
+  return (
+    <div className="form-group location-picker">
+      <label>Address & Map Pin (optional)</label>
+      <div className="form-row">
+        {ADDRESS_FIELDS.map(([field, label]) => (
+          <input
+            key={field}
+            type="text"
+            value={address[field]}
+            onChange={(e) => onAddressChange({ ...address, [field]: e.target.value })}
+            placeholder={label}
+          />
+        ))}
+      </div>
+      <div className="form-row">
+        <input
+          type="number"
+          step="any"
+          value={coordinates.latitude}
+          onChange={(e) => onCoordinatesChange({ ...coordinates, latitude: e.target.value })}
+          placeholder="Latitude"
+        />
+        <input
+          type="number"
+          step="any"
+          value={coordinates.longitude}
+          onChange={(e) => onCoordinatesChange({ ...coordinates, longitude: e.target.value })}
+          placeholder="Longitude"
+        />
+      </div>
+      <div className="location-actions">
+        <button type="button" onClick={handleLookup} disabled={looking} className="btn-add-question">
+          {looking ? 'Looking up...' : 'Look Up Address'}
+        </button>
+        <button type="button" onClick={handleUseMyLocation} className="btn-add-question">
+          Use My Location
+        </button>
+        {hasPin && (
+          <>
+            <a
+              href={`https://www.openstreetmap.org/?mlat=${coordinates.latitude}&mlon=${coordinates.longitude}#map=16/${coordinates.latitude}/${coordinates.longitude}`}
+              target="_blank"
+              rel="noopener noreferrer"
+            >
+              View on map
+            </a>
+            <button
+              type="button"
+              onClick={() => onCoordinatesChange({ latitude: '', longitude: '' })}
+              className="btn-remove-question"
+            >
+              Remove Pin
+            </button>
+          </>
+        )}
+      </div>
+      <span className="field-hint">
+        {message || 'Without a pin, the address is looked up when you save.'}
+      </span>
+    </div>
+  );
+};
+
+export default LocationPicker;
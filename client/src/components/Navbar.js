@@ -3,6 +3,7 @@ import { gsap } from 'gsap';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { useTheme } from '../context/ThemeContext';
+import NotificationBell from './NotificationBell';
 import './Navbar.css';
 
 const Navbar = () => {
@@ -76,6 +77,7 @@ const Navbar = () => {
               <Link to="/create-event" className="navbar-link" onClick={closeMenu}>
                 Create Event
               </Link>
+              <NotificationBell onNavigate={closeMenu} />
               <button onClick={toggleDarkMode} className="btn-theme-toggle" title={darkMode ? 'Switch to light mode' : 'Switch to dark mode'}>
                 {darkMode ? '☀️' : '🌙'}
               </button>
@@ -0,0 +1,137 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { notificationsAPI } from '../services/api';
+import './NotificationBell.css';
+
+// How often to check for new notifications while the app is open
+const POLL_INTERVAL_MS = 60 * 1000;
+
+// Bell with the unread count that opens the user's latest notifications.
+// onNavigate is called when the list takes the user to another page.
+const NotificationBell = ({ onNavigate }) => {
+  const navigate = useNavigate();
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [isOpen, setIsOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  const fetchNotifications = useCallback(async () => {
+    try {
+      const response = await notificationsAPI.getAll({ limit: 10 });
+      setNotifications(response.data.notifications);
+      setUnreadCount(response.data.unreadCount);
+    } catch (err) {
+      console.error('Error fetching notifications:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchNotifications();
+    const timer = setInterval(fetchNotifications, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [fetchNotifications]);
+
+  // Close the list on clicks outside it
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const handleClick = (e) => {
+      if (!containerRef.current?.contains(e.target)) setIsOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [isOpen]);
+
+  const toggleOpen = () => {
+    if (!isOpen) fetchNotifications();
+    setIsOpen(!isOpen);
+  };
+
+  const goTo = (path) => {
+    setIsOpen(false);
+    if (onNavigate) onNavigate();
+    navigate(path);
+  };
+
+  const handleOpenNotification = async (notification) => {
+    if (!notification.readAt) {
+      try {
+        const response = await notificationsAPI.markRead(notification._id);
+        setNotifications((current) =>
+          current.map((n) => (n._id === notification._id ? response.data.notification : n))
+        );
+        setUnreadCount(response.data.unreadCount);
+      } catch (err) {
+        console.error('Error marking notification read:', err);
+      }
+    }
+    // Deleted events have nothing left to show
+    if (notification.event && notification.type !== 'event_deleted') {
+      goTo(`/events/${notification.event}`);
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await notificationsAPI.markAllRead();
+      const now = new Date().toISOString();
+      setNotifications((current) => current.map((n) => ({ ...n, readAt: n.readAt || now })));
+      setUnreadCount(0);
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to mark notifications read');
+    }
+  };
+
+  return (
+    <div className="notification-bell" ref={containerRef}>
+      <button
+        className="btn-notifications"
+        onClick={toggleOpen}
+        aria-label={unreadCount > 0 ? `Notifications (${unreadCount} unread)` : 'Notifications'}
+        aria-expanded={isOpen}
+      >
+        🔔
+        {unreadCount > 0 && (
+          <span className="notification-badge">{unreadCount > 99 ? '99+' : unreadCount}</span>
+        )}
+      </button>
+      {isOpen && (
+        <div className="notification-dropdown">
+          <div className="notification-header">
+            <strong>Notifications</strong>
+            {unreadCount > 0 && (
+              <button className="btn-link" onClick={handleMarkAllRead}>
+                Mark all read
+              </button>
+            )}
+          </div>
+          {notifications.length === 0 ? (
+            <p className="notification-empty">You're all caught up.</p>
+          ) : (
+            <ul className="notification-list">
+              {notifications.map((notification) => (
+                <li key={notification._id}>
+                  <button
+                    className={`notification-item ${notification.readAt ? '' : 'unread'}`}
+                    onClick={() => handleOpenNotification(notification)}
+                  >
+                    <span className="notification-message">{notification.message}</span>
+                    <span className="notification-time">
+                      {new Date(notification.createdAt).toLocaleString()}
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+          <div className="notification-footer">
+            <button className="btn-link" onClick={() => goTo('/settings')}>
+              Email settings
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
@@ -0,0 +1,202 @@
+import React, { useState, useEffect } from 'react';
+import { eventsAPI } from '../services/api';
+import { formatDayInZone } from '../utils/dates';
+import './OrganizerAnalytics.css';
+
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 200;
+const CHART_PADDING = 30;
+
+const formatPercent = (rate) => (rate === null ? '–' : `${Math.round(rate * 100)}%`);
+
+const formatDuration = (ms) => {
+  if (ms === null) return '–';
+  const hours = ms / (60 * 60 * 1000);
+  if (hours < 1) return `${Math.max(Math.round(ms / 60000), 1)} min`;
+  if (hours < 48) return `${Math.round(hours)} h`;
+  return `${Math.round(hours / 24)} days`;
+};
+
+// Daily signups (bars above the axis) and cancellations (below it), with the
+// running number of seats taken as a line against the event's capacity
+const SignupChart = ({ analytics }) => {
+  const days = analytics.byDay;
+  if (days.length === 0) {
+    return <p className="analytics-empty">No RSVPs yet.</p>;
+  }
+
+  const plotWidth = CHART_WIDTH - CHART_PADDING * 2;
+  const plotHeight = CHART_HEIGHT - CHART_PADDING * 2;
+  const step = plotWidth / days.length;
+  const barWidth = Math.max(Math.min(step * 0.6, 24), 2);
+
+  // Bars share the lower part of the chart; seats use the full height
+  const maxDaily = Math.max(...days.map((d) => Math.max(d.signups, d.cancellations)), 1);
+  const axisY = CHART_PADDING + plotHeight * 0.75;
+  const barScale = (plotHeight * 0.25) / maxDaily;
+  const maxSeats = Math.max(analytics.capacity, ...days.map((d) => d.seats), 1);
+  const seatY = (seats) => CHART_PADDING + plotHeight - (seats / maxSeats) * plotHeight;
+  const dayX = (i) => CHART_PADDING + step * i + step / 2;
+
+  const seatLine = days.map((d, i) => `${dayX(i)},${seatY(d.seats)}`).join(' ');
+  const capacityY = seatY(analytics.capacity);
+
+  return (
+    <svg
+      className="signup-chart"
+      viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+      role="img"
+      aria-label="Signups, cancellations and seats taken per day"
+    >
+      <line
+        className="chart-capacity"
+        x1={CHART_PADDING}
+        x2={CHART_WIDTH - CHART_PADDING}
+        y1={capacityY}
+        y2={capacityY}
+      />
+      <text className="chart-label" x={CHART_WIDTH - CHART_PADDING} y={capacityY - 4} textAnchor="end">
+        Capacity {analytics.capacity}
+      </text>
+      <line
+        className="chart-axis"
+        x1={CHART_PADDING}
+        x2={CHART_WIDTH - CHART_PADDING}
+        y1={axisY}
+        y2={axisY}
+      />
+      {days.map((d, i) => (
+        <g key={d.date}>
+          <title>
+            {d.date}: {d.signups} signups, {d.cancellations} cancellations, {d.seats} seats taken
+          </title>
+          <rect
+            className="chart-signups"
+            x={dayX(i) - barWidth / 2}
+            y={axisY - d.signups * barScale}
+            width={barWidth}
+            height={d.signups * barScale}
+          />
+          <rect
+            className="chart-cancellations"
+            x={dayX(i) - barWidth / 2}
+            y={axisY}
+            width={barWidth}
+            height={d.cancellations * barScale}
+          />
+        </g>
+      ))}
+      <polyline className="chart-seats" points={seatLine} />
+      <text className="chart-label" x={CHART_PADDING} y={CHART_HEIGHT - 8}>
+        {days[0].date}
+      </text>
+      <text className="chart-label" x={CHART_WIDTH - CHART_PADDING} y={CHART_HEIGHT - 8} textAnchor="end">
+        {days[days.length - 1].date}
+      </text>
+    </svg>
+  );
+};
+
+// RSVP analytics for the events the user hosts: a comparison of fill rate,
+// signups, cancellations and time-to-full, and a day-by-day chart per event
+const OrganizerAnalytics = () => {
+  const [events, setEvents] = useState(null);
+  const [openEvent, setOpenEvent] = useState(null);
+  const [details, setDetails] = useState({});
+
+  useEffect(() => {
+    eventsAPI
+      .getAnalytics()
+      .then((response) => setEvents(response.data))
+      .catch((err) => console.error('Error fetching analytics:', err));
+  }, []);
+
+  const toggleChart = async (eventId) => {
+    if (openEvent === eventId) {
+      setOpenEvent(null);
+      return;
+    }
+    setOpenEvent(eventId);
+    if (details[eventId]) return;
+    try {
+      const response = await eventsAPI.getEventAnalytics(eventId);
+      setDetails((prev) => ({ ...prev, [eventId]: response.data }));
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to load analytics');
+      setOpenEvent(null);
+    }
+  };
+
+  if (!events || events.length === 0) return null;
+
+  return (
+    <div className="organizer-analytics">
+      <h3>RSVP Analytics</h3>
+      <div className="analytics-table-wrapper">
+        <table className="analytics-table">
+          <thead>
+            <tr>
+              <th>Event</th>
+              <th>Fill rate</th>
+              <th>Signups</th>
+              <th>Cancellations</th>
+              <th>Time to full</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {events.map((row) => (
+              <React.Fragment key={row.event._id}>
+                <tr>
+                  <td>
+                    <span className="analytics-event-title">{row.event.title}</span>
+                    <span className="analytics-event-date">
+                      {formatDayInZone(row.event.dateTime, row.event.timeZone || 'UTC')}
+                    </span>
+                  </td>
+                  <td>
+                    <div className="fill-bar" title={`${row.seatsTaken} of ${row.event.capacity} seats`}>
+                      <div
+                        className="fill-bar-value"
+                        style={{ width: `${Math.min((row.fillRate || 0) * 100, 100)}%` }}
+                      />
+                    </div>
+                    {formatPercent(row.fillRate)}
+                  </td>
+                  <td>{row.signups}</td>
+                  <td>
+                    {row.cancellations} ({formatPercent(row.cancellationRate)})
+                  </td>
+                  <td>{formatDuration(row.timeToFullMs)}</td>
+                  <td>
+                    <button onClick={() => toggleChart(row.event._id)} className="btn-link">
+                      {openEvent === row.event._id ? 'Hide chart' : 'Chart'}
+                    </button>
+                  </td>
+                </tr>
+                {openEvent === row.event._id && (
+                  <tr className="analytics-chart-row">
+                    <td colSpan={6}>
+                      {details[row.event._id] ? (
+                        <SignupChart analytics={details[row.event._id]} />
+                      ) : (
+                        <p className="analytics-empty">Loading...</p>
+                      )}
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div className="analytics-legend">
+        <span className="legend-signups">Signups</span>
+        <span className="legend-cancellations">Cancellations</span>
+        <span className="legend-seats">Seats taken</span>
+      </div>
+    </div>
+  );
+};
+
+export default OrganizerAnalytics;
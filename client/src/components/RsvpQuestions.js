@@ -0,0 +1,111 @@
+import React, { useState } from 'react';
+import './RsvpQuestions.css';
+
+// Registration form shown before RSVPing to an event that has questions
+const RsvpQuestions = ({ questions, onSubmit, onCancel, submitLabel = 'RSVP' }) => {
+  const [answers, setAnswers] = useState({});
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const setAnswer = (id, value) => {
+    setAnswers((prev) => ({ ...prev, [id]: value }));
+  };
+
+  const toggleOption = (id, option) => {
+    const current = answers[id] || [];
+    setAnswer(
+      id,
+      current.includes(option) ? current.filter((o) => o !== option) : [...current, option]
+    );
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const missing = questions.find((q) => {
+      const value = answers[q._id];
+      return q.required && (!value || (Array.isArray(value) && value.length === 0));
+    });
+    if (missing) {
+      setError(`Please answer "${missing.label}"`);
+      return;
+    }
+
+    setError('');
+    setSubmitting(true);
+    try {
+      await onSubmit(answers);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form className="rsvp-questions" onSubmit={handleSubmit}>
+      {questions.map((q) => (
+        <div key={q._id} className="rsvp-question">
+          {q.type === 'checkbox' ? (
+            <label className="rsvp-option">
+              <input
+                type="checkbox"
+                checked={!!answers[q._id]}
+                onChange={(e) => setAnswer(q._id, e.target.checked)}
+              />
+              {q.label}
+              {q.required && ' *'}
+            </label>
+          ) : (
+            <>
+              <label className="rsvp-question-label">
+                {q.label}
+                {q.required && ' *'}
+              </label>
+              {q.type === 'text' && (
+                <input
+                  type="text"
+                  value={answers[q._id] || ''}
+                  onChange={(e) => setAnswer(q._id, e.target.value)}
+                  maxLength={500}
+                />
+              )}
+              {q.type === 'single' && (
+                <select
+                  value={answers[q._id] || ''}
+                  onChange={(e) => setAnswer(q._id, e.target.value)}
+                >
+                  <option value="">Select...</option>
+                  {q.options.map((option) => (
+                    <option key={option} value={option}>
+                      {option}
+                    </option>
+                  ))}
+                </select>
+              )}
+              {q.type === 'multi' &&
+                q.options.map((option) => (
+                  <label key={option} className="rsvp-option">
+                    <input
+                      type="checkbox"
+                      checked={(answers[q._id] || []).includes(option)}
+                      onChange={() => toggleOption(q._id, option)}
+                    />
+                    {option}
+                  </label>
+                ))}
+            </>
+          )}
+        </div>
+      ))}
+      {error && <div className="rsvp-questions-error">{error}</div>}
+      <div className="event-actions">
+        <button type="button" onClick={onCancel} className="btn-unrsvp">
+          Cancel
+        </button>
+        <button type="submit" disabled={submitting} className="btn-rsvp">
+          {submitting ? 'Saving...' : submitLabel}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default RsvpQuestions;
@@ -0,0 +1,92 @@
+import React, { useState, useEffect, useId } from 'react';
+import { eventsAPI } from '../services/api';
+import './TagInput.css';
+
+// Matches the server's limits (see utils/tags.js)
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+
+const normalizeTag = (tag) => tag.trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Tag chips with a text box that suggests tags other events already use.
+// Enter or a comma adds the typed tag; Backspace in an empty box removes the last one.
+const TagInput = ({ tags, onChange, placeholder = 'Add a tag' }) => {
+  const [text, setText] = useState('');
+  const [suggestions, setSuggestions] = useState([]);
+  const listId = useId();
+
+  useEffect(() => {
+    // Wait for a pause in typing before asking the server
+    const timer = setTimeout(async () => {
+      try {
+        const response = await eventsAPI.getTags(normalizeTag(text));
+        setSuggestions(response.data.map((s) => s.tag).filter((tag) => !tags.includes(tag)));
+      } catch (err) {
+        setSuggestions([]);
+      }
+    }, 250);
+    return () => clearTimeout(timer);
+  }, [text, tags]);
+
+  const addTag = (value) => {
+    const tag = normalizeTag(value).slice(0, MAX_TAG_LENGTH);
+    setText('');
+    if (!tag || tags.includes(tag) || tags.length >= MAX_TAGS) return;
+    onChange([...tags, tag]);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault();
+      addTag(text);
+    } else if (e.key === 'Backspace' && !text && tags.length > 0) {
+      onChange(tags.slice(0, -1));
+    }
+  };
+
+  // Picking a suggestion from the list fills in the whole tag
+  const handleChange = (e) => {
+    const { value } = e.target;
+    if (suggestions.includes(value)) {
+      addTag(value);
+    } else {
+      setText(value);
+    }
+  };
+
+  return (
+    <div className="tag-input">
+      {tags.map((tag) => (
+        <span key={tag} className="tag-chip">
+          {tag}
+          <button
+            type="button"
+            onClick={() => onChange(tags.filter((t) => t !== tag))}
+            aria-label={`Remove ${tag}`}
+          >
+            ×
+          </button>
+        </span>
+      ))}
+      {tags.length < MAX_TAGS && (
+        <input
+          type="text"
+          value={text}
+          onChange={handleChange}
+          onKeyDown={handleKeyDown}
+          onBlur={() => text && addTag(text)}
+          placeholder={placeholder}
+          list={listId}
+          maxLength={MAX_TAG_LENGTH}
+        />
+      )}
+      <datalist id={listId}>
+        {suggestions.map((tag) => (
+          <option key={tag} value={tag} />
+        ))}
+      </datalist>
+    </div>
+  );
+};
+
+export default TagInput;
@@ -2,17 +2,26 @@ import React, { useState, useEffect, useRef } from 'react';
 import { gsap } from 'gsap';
 import { useAuth } from '../context/AuthContext';
 import { eventsAPI } from '../services/api';
+import Dashboard from './Dashboard';
 import EventCard from './EventCard';
+import FeedbackPrompt from './FeedbackPrompt';
+import FeedbackSummary from './FeedbackSummary';
+import OrganizerAnalytics from './OrganizerAnalytics';
 import LoadingSpinner from './LoadingSpinner';
 import './UserDashboard.css';
 
 const UserDashboard = () => {
   const { user } = useAuth();
-  const [activeTab, setActiveTab] = useState('attending'); // 'attending' or 'created'
+  const [activeTab, setActiveTab] = useState('attending'); // 'attending', 'waitlisted', 'saved', 'created' or 'past'
   const [attendingEvents, setAttendingEvents] = useState([]);
+  const [waitlistedEvents, setWaitlistedEvents] = useState([]);
+  const [savedEvents, setSavedEvents] = useState([]);
   const [createdEvents, setCreatedEvents] = useState([]);
+  // Past events the user attended but hasn't rated yet
+  const [feedbackEvents, setFeedbackEvents] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  const [calendarUrl, setCalendarUrl] = useState('');
   const headerRef = useRef(null);
   const tabsRef = useRef(null);
   const eventsGridRef = useRef(null);
@@ -26,12 +35,19 @@ const UserDashboard = () => {
   const fetchEvents = async () => {
     try {
       setLoading(true);
-      const [attending, created] = await Promise.all([
-        eventsAPI.getAttending(),
-        eventsAPI.getMyEvents(),
+      // Ended events are only listed under Past
+      const [attending, waitlisted, saved, created, pendingFeedback] = await Promise.all([
+        eventsAPI.getAttending('upcoming'),
+        eventsAPI.getWaitlisted('upcoming'),
+        eventsAPI.getBookmarked('upcoming'),
+        eventsAPI.getMyEvents('upcoming'),
+        eventsAPI.getPendingFeedback(),
       ]);
       setAttendingEvents(attending.data);
+      setWaitlistedEvents(waitlisted.data);
+      setSavedEvents(saved.data);
       setCreatedEvents(created.data);
+      setFeedbackEvents(pendingFeedback.data);
       setError('');
       
       // Animate events after loading
@@ -50,6 +66,26 @@ const UserDashboard = () => {
     }
   };
 
+  // Show the URL calendar apps can subscribe to for attended and hosted events
+  const handleSubscribe = async (reset = false) => {
+    if (reset && !window.confirm('Reset your calendar link? Calendars using the old link will stop updating.')) {
+      return;
+    }
+    try {
+      const response = reset
+        ? await eventsAPI.resetCalendarSubscription()
+        : await eventsAPI.getCalendarSubscription();
+      setCalendarUrl(response.data.url);
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to load calendar link');
+    }
+  };
+
+  // Rated or dismissed for now; dismissed events are asked about again next visit
+  const handleFeedbackDone = (eventId) => {
+    setFeedbackEvents((prev) => prev.filter((e) => e._id !== eventId));
+  };
+
   const refreshEvents = () => {
     fetchEvents();
   };
@@ -75,15 +111,52 @@ const UserDashboard = () => {
     );
   }
 
-  const currentEvents = activeTab === 'attending' ? attendingEvents : createdEvents;
+  // Attended events that clash with other attended events (see overlapsWith)
+  const overlapWarning = (event) => {
+    const titles = (event.overlapsWith || [])
+      .map((id) => attendingEvents.find((e) => e._id === id)?.title)
+      .filter(Boolean);
+    return titles.length > 0 ? `Overlaps with ${titles.join(', ')}` : null;
+  };
+
+  const eventsByTab = {
+    attending: attendingEvents,
+    waitlisted: waitlistedEvents,
+    saved: savedEvents,
+    created: createdEvents,
+  };
+  const currentEvents = eventsByTab[activeTab];
 
   return (
     <div className="user-dashboard-container">
       <div className="dashboard-header" ref={headerRef}>
         <h1>My Dashboard</h1>
         <p className="welcome-text">Welcome back, {user?.name}!</p>
+        <div className="calendar-subscription">
+          {calendarUrl ? (
+            <>
+              <span>Subscribe to this link in your calendar app:</span>
+              <input type="text" value={calendarUrl} readOnly onFocus={(e) => e.target.select()} />
+              <button onClick={() => handleSubscribe(true)} className="btn-link">
+                Reset link
+              </button>
+            </>
+          ) : (
+            <button onClick={() => handleSubscribe()} className="btn-link">
+              Subscribe in your calendar
+            </button>
+          )}
+        </div>
       </div>
 
+      {feedbackEvents.length > 0 && (
+        <div className="feedback-prompts">
+          {feedbackEvents.map((event) => (
+            <FeedbackPrompt key={event._id} event={event} onDone={handleFeedbackDone} />
+          ))}
+        </div>
+      )}
+
       <div className="tabs" ref={tabsRef}>
         <button
           className={`tab ${activeTab === 'attending' ? 'active' : ''}`}
@@ -91,26 +164,64 @@ const UserDashboard = () => {
         >
           Events I'm Attending ({attendingEvents.length})
         </button>
+        <button
+          className={`tab ${activeTab === 'waitlisted' ? 'active' : ''}`}
+          onClick={() => setActiveTab('waitlisted')}
+        >
+          Waitlisted ({waitlistedEvents.length})
+        </button>
+        <button
+          className={`tab ${activeTab === 'saved' ? 'active' : ''}`}
+          onClick={() => setActiveTab('saved')}
+        >
+          Saved ({savedEvents.length})
+        </button>
         <button
           className={`tab ${activeTab === 'created' ? 'active' : ''}`}
           onClick={() => setActiveTab('created')}
         >
-          Events I Created ({createdEvents.length})
+          Events I'm Hosting ({createdEvents.length})
+        </button>
+        <button
+          className={`tab ${activeTab === 'past' ? 'active' : ''}`}
+          onClick={() => setActiveTab('past')}
+        >
+          Past
         </button>
       </div>
 
       {error && <div className="error-banner">{error}</div>}
 
-      {currentEvents.length === 0 ? (
+      {activeTab === 'created' && (
+        <>
+          <OrganizerAnalytics />
+          <FeedbackSummary />
+        </>
+      )}
+
+      {activeTab === 'past' ? (
+        // Past events the user attended or hosted, with the same search and filters as the event list
+        <Dashboard mine defaultArchive="past" />
+      ) : currentEvents.length === 0 ? (
         <div className="empty-state">
           {activeTab === 'attending' ? (
             <div>
               <p>You're not attending any events yet.</p>
               <p>Browse events and RSVP to join!</p>
             </div>
+          ) : activeTab === 'waitlisted' ? (
+            <div>
+              <p>You're not on any waitlists.</p>
+              <p>Join the waitlist of a full event to get the next free seat.</p>
+            </div>
+          ) : activeTab === 'saved' ? (
+            <div>
+              <p>You haven't saved any events.</p>
+              <p>Save events you're interested in to find them here later.</p>
+            </div>
           ) : (
             <div>
-              <p>You haven't created any events yet.</p>
+              <p>You aren't hosting any events yet.</p>
               <p>Create your first event to get started!</p>
             </div>
           )}
@@ -118,7 +229,12 @@ const UserDashboard = () => {
       ) : (
         <div className="events-grid" ref={eventsGridRef}>
           {currentEvents.map((event) => (
-            <EventCard key={event._id} event={event} onUpdate={refreshEvents} />
+            <EventCard
+              key={event._id}
+              event={event}
+              onUpdate={refreshEvents}
+              warning={activeTab === 'attending' ? overlapWarning(event) : null}
+            />
           ))}
         </div>
       )}
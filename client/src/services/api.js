@@ -1,4 +1,5 @@
 import axios from 'axios';
+import { browserTimeZone, zonedToDate } from '../utils/dates';
 
 const API_URL = process.env.REACT_APP_API_URL || 'https://fissionassignment.onrender.com';
 
@@ -6,6 +7,9 @@ const api = axios.create({
   baseURL: API_URL,
 });
 
+// Absolute URL for a server path such as an event's imageUrls entry
+export const serverUrl = (path) => (path ? new URL(path, API_URL).href : null);
+
 // Add token to requests if available
 api.interceptors.request.use((config) => {
   const token = localStorage.getItem('token');
@@ -36,22 +40,54 @@ api.interceptors.response.use(
 export const authAPI = {
   register: (data) => api.post('/auth/register', data),
   login: (data) => api.post('/auth/login', data),
+  getEmailPreferences: () => api.get('/auth/email-preferences'),
+  // preferences: { [name]: true | false }
+  updateEmailPreferences: (preferences) => api.put('/auth/email-preferences', preferences),
 };
 
 // Events API
+export const categoriesAPI = {
+  getAll: () => api.get('/categories'),
+};
+
 export const eventsAPI = {
   getAll: (filters) => {
     const params = new URLSearchParams();
+    if (filters?.archive) params.append('archive', filters.archive);
+    if (filters?.mine) params.append('mine', 'true');
     if (filters?.category && filters.category !== 'All') params.append('category', filters.category);
+    if (filters?.tags?.length) params.append('tags', filters.tags.join(','));
     if (filters?.startDate) params.append('startDate', filters.startDate);
     if (filters?.endDate) params.append('endDate', filters.endDate);
     if (filters?.search) params.append('search', filters.search);
+    if (filters?.near) {
+      params.append('lat', filters.near.latitude);
+      params.append('lng', filters.near.longitude);
+      params.append('radius', filters.near.radius);
+    }
+    if (filters?.sort) params.append('sort', filters.sort);
+    if (filters?.limit) params.append('limit', filters.limit);
+    if (filters?.cursor) params.append('cursor', filters.cursor);
+    // Date facets ("today", "this week") follow the viewer's calendar
+    params.append('tz', browserTimeZone());
     const queryString = params.toString();
     return api.get(`/events${queryString ? `?${queryString}` : ''}`);
   },
-  getById: (id) => api.get(`/events/${id}`),
-  getMyEvents: () => api.get('/events/my-events'),
-  getAttending: () => api.get('/events/attending'),
+  getById: (id, invite) => api.get(`/events/${id}`, { params: invite ? { invite } : {} }),
+  downloadIcs: (id, invite) =>
+    api.get(`/events/${id}/ics`, { params: invite ? { invite } : {}, responseType: 'blob' }),
+  getCalendarSubscription: () => api.get('/events/calendar/subscription'),
+  resetCalendarSubscription: () => api.post('/events/calendar/subscription/reset'),
+  geocode: (q) => api.get('/events/geocode', { params: { q } }),
+  getTags: (q) => api.get('/events/tags', { params: q ? { q } : {} }),
+  // archive: "upcoming", "past" or "all" (the default)
+  getMyEvents: (archive) => api.get('/events/my-events', { params: archive ? { archive } : {} }),
+  getAttending: (archive) => api.get('/events/attending', { params: archive ? { archive } : {} }),
+  getWaitlisted: (archive) => api.get('/events/waitlisted', { params: archive ? { archive } : {} }),
+  getBookmarked: (archive) => api.get('/events/bookmarked', { params: archive ? { archive } : {} }),
+  getPendingFeedback: () => api.get('/events/feedback/pending'),
+  getFeedbackSummary: () => api.get('/events/feedback/summary'),
+  getAnalytics: () => api.get('/events/analytics'),
   create: (formData) => {
     // Get token and add to headers
     const token = localStorage.getItem('token');
@@ -72,15 +108,48 @@ export const eventsAPI = {
     // Don't set Content-Type - let axios set it with boundary for FormData
     return api.put(`/events/${id}`, formData, { headers });
   },
+  // formData: file, format, mapping, defaults and dryRun (see POST /events/import)
+  importEvents: (formData) => api.post('/events/import', formData),
   delete: (id) => api.delete(`/events/${id}`),
-  rsvp: (id) => api.post(`/events/${id}/rsvp`),
+  publish: (id, data) => api.post(`/events/${id}/publish`, data),
+  postpone: (id, data) => api.post(`/events/${id}/postpone`, data),
+  cancel: (id, data) => api.post(`/events/${id}/cancel`, data),
+  // data: { partySize, answers, invite } - invite is the token from a private event's link
+  rsvp: (id, data = {}) => api.post(`/events/${id}/rsvp`, data),
+  updatePartySize: (id, partySize) => api.patch(`/events/${id}/rsvp`, { partySize }),
   unrsvp: (id) => api.post(`/events/${id}/unrsvp`),
+  bookmark: (id, invite) => api.post(`/events/${id}/bookmark`, { invite }),
+  unbookmark: (id) => api.post(`/events/${id}/unbookmark`),
+  // data: { rating (1-5), comment }
+  submitFeedback: (id, data) => api.post(`/events/${id}/feedback`, data),
+  getFeedback: (id) => api.get(`/events/${id}/feedback`),
+  getEventAnalytics: (id) => api.get(`/events/${id}/analytics`),
+  getHistory: (id) => api.get(`/events/${id}/history`),
+  restoreRevision: (id, revisionId) => api.post(`/events/${id}/history/${revisionId}/restore`),
+  getAnswers: (id) => api.get(`/events/${id}/answers`),
+  removeAttendee: (id, userId) => api.delete(`/events/${id}/attendees/${userId}`),
+  addCoHost: (id, data) => api.post(`/events/${id}/cohosts`, data),
+  updateCoHost: (id, cohostId, role) => api.patch(`/events/${id}/cohosts/${cohostId}`, { role }),
+  removeCoHost: (id, cohostId) => api.delete(`/events/${id}/cohosts/${cohostId}`),
+  getInvites: (id) => api.get(`/events/${id}/invites`),
+  createInvite: (id, data) => api.post(`/events/${id}/invites`, data),
+  revokeInvite: (id, inviteId) => api.delete(`/events/${id}/invites/${inviteId}`),
+  getCheckInStats: (id) => api.get(`/events/${id}/checkin`),
+  checkIn: (id, code) => api.post(`/events/${id}/checkin`, { code }),
+};
+
+// Notifications API
+export const notificationsAPI = {
+  // params: { limit, unread }
+  getAll: (params = {}) => api.get('/notifications', { params }),
+  markRead: (id) => api.post(`/notifications/${id}/read`),
+  markAllRead: () => api.post('/notifications/read-all'),
 };
 
 // AI API - Direct call to Gemini from frontend
 export const aiAPI = {
   generateDescription: async (data) => {
-    const { title, category, location, dateTime } = data;
+    const { title, category, location, dateTime, timeZone } = data;
     const API_KEY = process.env.REACT_APP_GEMINI_API_KEY;
     
     // Debug: Check if API key is loaded (remove in production)
@@ -95,13 +164,16 @@ export const aiAPI = {
     }
 
     // Prepare the prompt
-    const dateText = dateTime ? new Date(dateTime).toLocaleDateString('en-US', {
+    // dateTime is the form's local time in the event's time zone
+    const dateText = dateTime ? zonedToDate(dateTime, timeZone).toLocaleDateString('en-US', {
       weekday: 'long',
       year: 'numeric',
       month: 'long',
       day: 'numeric',
       hour: 'numeric',
-      minute: '2-digit'
+      minute: '2-digit',
+      timeZone,
+      timeZoneName: 'short'
     }) : "";
 
     const prompt = `Generate a compelling and engaging event description for the following event:
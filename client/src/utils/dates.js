@@ -0,0 +1,87 @@
+// Time zone helpers for showing and editing event times. Events store an
+// instant plus the IANA zone they were scheduled in (see Event.timeZone).
+
+const DEFAULT_TIME_ZONE = 'UTC';
+
+export const browserTimeZone = () =>
+  Intl.DateTimeFormat().resolvedOptions().timeZone || DEFAULT_TIME_ZONE;
+
+// Every zone the browser knows, for time zone pickers. The list may leave out
+// aliases like "UTC", so the selected and the browser's own zone are added.
+export const timeZoneOptions = (selected) => {
+  const zones = typeof Intl.supportedValuesOf === 'function'
+    ? Intl.supportedValuesOf('timeZone')
+    : [];
+  const extra = [selected, browserTimeZone(), DEFAULT_TIME_ZONE]
+    .filter((zone, i, all) => zone && !zones.includes(zone) && all.indexOf(zone) === i);
+  return [...extra, ...zones];
+};
+
+// Date and time fields of an instant as seen in a zone
+const zonedParts = (date, timeZone) => Object.fromEntries(
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+  })
+    .formatToParts(new Date(date))
+    .map(p => [p.type, p.value])
+);
+
+// Value for a datetime-local input showing the event's local time
+export const toDateTimeLocal = (date, timeZone = DEFAULT_TIME_ZONE) => {
+  const p = zonedParts(date, timeZone);
+  return `${p.year}-${p.month}-${p.day}T${p.hour}:${p.minute}`;
+};
+
+// The instant a datetime-local value means in a zone
+export const zonedToDate = (value, timeZone = DEFAULT_TIME_ZONE) => {
+  const wall = new Date(`${value}:00Z`);
+  if (Number.isNaN(wall.getTime())) return wall;
+  const offsetAt = (ms) => {
+    const p = zonedParts(ms, timeZone);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute) - (ms - (ms % 60000));
+  };
+  const guess = wall.getTime() - offsetAt(wall.getTime());
+  return new Date(wall.getTime() - offsetAt(guess));
+};
+
+// Date and time in the given zone, in the viewer's locale, e.g.
+// "Jun 1, 2025, 9:00 AM EDT"
+export const formatInZone = (date, timeZone = DEFAULT_TIME_ZONE, options = {}) =>
+  new Date(date).toLocaleString(undefined, {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZone,
+    timeZoneName: 'short',
+    ...options,
+  });
+
+// The calendar day of an instant in the given zone, e.g. "Jun 1, 2025"
+export const formatDayInZone = (date, timeZone = DEFAULT_TIME_ZONE) =>
+  formatInZone(date, timeZone, { hour: undefined, minute: undefined, timeZoneName: undefined });
+
+// A start and optional end in the given zone, e.g. "Jun 1, 2025, 9:00 – 11:00 AM EDT"
+export const formatRangeInZone = (start, end, timeZone = DEFAULT_TIME_ZONE) => {
+  if (!end) return formatInZone(start, timeZone);
+  return new Intl.DateTimeFormat(undefined, {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZone,
+    timeZoneName: 'short',
+  }).formatRange(new Date(start), new Date(end));
+};
+
+// Whether an instant reads differently in two zones (e.g. the event's and the viewer's)
+export const differsInZone = (date, zoneA, zoneB) =>
+  toDateTimeLocal(date, zoneA) !== toDateTimeLocal(date, zoneB);
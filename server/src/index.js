@@ -6,12 +6,25 @@ import mongoose from "mongoose";
 import authRoutes from "./routes/auth.js";
 import eventRoutes from "./routes/events.js";
 import aiRoutes from "./routes/ai.js";
+import categoryRoutes from "./routes/categories.js";
+import notificationRoutes from "./routes/notifications.js";
+import Event from "./models/Event.js";
+import Category from "./models/Category.js";
+import User from "./models/User.js";
+import { registerJobHandler, startJobWorker } from "./jobs/scheduler.js";
+import { sendEmailJob } from "./jobs/email.js";
+import { geocodeEventJob } from "./jobs/geocode.js";
 
 dotenv.config();
 
+registerJobHandler("email", sendEmailJob);
+registerJobHandler("geocode", geocodeEventJob);
+
 const app = express();
 const PORT = process.env.PORT || 5000;
 const MONGO_URI = process.env.MONGO_URI || "mongodb://localhost:27017/fission-events";
+// How often to look for upcoming events whose attendees need a reminder
+const REMINDER_INTERVAL_MS = 5 * 60 * 1000;
 
 // Middleware
 app.use(cors());
@@ -21,6 +34,8 @@ app.use(express.json());
 app.use("/api/auth", authRoutes);
 app.use("/api/events", eventRoutes);
 app.use("/api/ai", aiRoutes);
+app.use("/api/categories", categoryRoutes);
+app.use("/api/notifications", notificationRoutes);
 
 // Health check
 app.get("/", (req, res) => {
@@ -30,11 +45,50 @@ app.get("/", (req, res) => {
 // Connect to MongoDB and start server
 mongoose
   .connect(MONGO_URI)
-  .then(() => {
+  .then(async () => {
     console.log("Connected to MongoDB");
+
+    const migrated = await Event.migrateLegacyAttendees();
+    if (migrated > 0) {
+      console.log(`Migrated attendees of ${migrated} events to RSVP entries`);
+    }
+
+    const seeded = await Category.ensureDefaults();
+    if (seeded > 0) {
+      console.log(`Created ${seeded} default event categories`);
+    }
+
+    const migratedImages = await Event.migrateLegacyImages();
+    if (migratedImages > 0) {
+      console.log(`Moved the images of ${migratedImages} events to the image collection`);
+    }
+
+    const normalizedEmails = await User.normalizeEmails();
+    if (normalizedEmails > 0) {
+      console.log(`Lowercased the emails of ${normalizedEmails} users`);
+    }
+
+    const backfilled = await Event.backfillRsvpActivity();
+    if (backfilled > 0) {
+      console.log(`Recorded the RSVP history of ${backfilled} events`);
+    }
+
+    const reminders = await Event.backfillReminderEmails();
+    if (reminders > 0) {
+      console.log(`Scheduled ${reminders} reminder emails for existing RSVPs`);
+    }
+
     app.listen(PORT, () => {
       console.log(`Server listening on port ${PORT}`);
     });
+
+    const sendReminders = () =>
+      Event.remindAttendees().catch((err) => console.error("Send reminders error", err));
+    sendReminders();
+    setInterval(sendReminders, REMINDER_INTERVAL_MS);
+
+    // Run queued and scheduled jobs, including any due while the server was down
+    startJobWorker();
   })
   .catch((err) => {
     console.error("MongoDB connection error:", err.message);
@@ -0,0 +1,39 @@
+import Event, { OPEN_STATUSES } from "../models/Event.js";
+import User from "../models/User.js";
+import { sendMail } from "../utils/mailer.js";
+import { EMAILED_NOTIFICATIONS, renderEmail } from "../utils/emails.js";
+
+// Handler for "email" jobs, queued with notifications (see models/Notification.js).
+// Notices carry { user, type, event, message } with the event's details as
+// they were when it changed, so they can be sent after a delete. Reminders
+// carry { user, type: "reminder", event, dateTime, leadMs } and are checked
+// when due: they're dropped if the user no longer attends, the event isn't
+// published or it moved (its new time has reminders of its own).
+// Users' opt-outs are checked at send time.
+export const sendEmailJob = async ({ user: userId, type, ...payload }) => {
+  const preference = type === "reminder" ? "reminder" : EMAILED_NOTIFICATIONS[type];
+  const user = await User.findById(userId).select("name email emailOptOuts").lean();
+  if (!user || user.emailOptOuts?.includes(preference)) return;
+
+  let { event } = payload;
+  if (type === "reminder") {
+    event = await Event.findOne({
+      _id: payload.event,
+      "attendees.user": userId,
+      status: { $in: OPEN_STATUSES },
+      dateTime: new Date(payload.dateTime),
+    })
+      .select("title dateTime endDateTime timeZone location address")
+      .lean();
+    if (!event) return;
+  }
+
+  await sendMail({
+    to: user.email,
+    ...renderEmail(type, event, {
+      name: user.name,
+      message: payload.message,
+      leadMs: payload.leadMs,
+    }),
+  });
+};
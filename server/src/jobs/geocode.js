@@ -0,0 +1,20 @@
+import Event from "../models/Event.js";
+import { geocode } from "../utils/geocoder.js";
+import { toPoint } from "../utils/geo.js";
+
+// Handler for "geocode" jobs, queued by imports (see POST /api/events/import)
+// so a large file isn't held up by the geocoder's rate limit. The payload is
+// { event }; the address is read when the job runs, and events that got a map
+// pin or a different address in the meantime are left alone.
+export const geocodeEventJob = async ({ event: eventId }) => {
+  const unplaced = { _id: eventId, "geoLocation.coordinates": null };
+  const event = await Event.findOne(unplaced).select("address").lean();
+  if (!event?.address) return;
+
+  const found = await geocode(event.address);
+  if (!found) return;
+  await Event.updateOne(
+    { ...unplaced, address: event.address },
+    { $set: { geoLocation: toPoint(found.latitude, found.longitude) } }
+  );
+};
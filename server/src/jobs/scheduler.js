@@ -0,0 +1,53 @@
+import Job from "../models/Job.js";
+
+// Runs stored background jobs (see models/Job.js). Handlers are registered by
+// job type and called with the job's payload; a handler that throws has its
+// job retried later.
+
+// How often the worker looks for due jobs
+const POLL_INTERVAL_MS = 30 * 1000;
+
+const handlers = {};
+
+export const registerJobHandler = (type, handler) => {
+  handlers[type] = handler;
+};
+
+// Run every job that is due, one at a time. Returns how many ran.
+export const runDueJobs = async (now = new Date()) => {
+  let ran = 0;
+  for (let job = await Job.claimDue(now); job; job = await Job.claimDue(now)) {
+    ran += 1;
+    try {
+      const handler = handlers[job.type];
+      if (!handler) {
+        throw new Error(`No handler for job type "${job.type}"`);
+      }
+      await handler(job.payload, job);
+      await Job.complete(job);
+    } catch (err) {
+      console.error(`Job ${job.type} error`, err.message);
+      await Job.fail(job, err);
+    }
+  }
+  return ran;
+};
+
+// Poll for due jobs until the process exits. A poll is skipped while the
+// previous one is still running.
+export const startJobWorker = (intervalMs = POLL_INTERVAL_MS) => {
+  let running = false;
+  const poll = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runDueJobs();
+    } catch (err) {
+      console.error("Job worker error", err);
+    } finally {
+      running = false;
+    }
+  };
+  poll();
+  return setInterval(poll, intervalMs);
+};
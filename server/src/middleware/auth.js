@@ -16,4 +16,17 @@ export const authMiddleware = (req, res, next) => {
   }
 };
 
-
+// Like authMiddleware, but lets anonymous requests through (req.user stays unset).
+// Used by public endpoints that show extra data to signed-in users.
+export const optionalAuth = (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith("Bearer ")) {
+    try {
+      const decoded = jwt.verify(authHeader.split(" ")[1], process.env.JWT_SECRET || "dev_secret");
+      req.user = { id: decoded.id, email: decoded.email };
+    } catch (err) {
+      // An invalid token is treated like no token on public endpoints
+    }
+  }
+  next();
+};
@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+
+// An event category. The list is managed in the database (see
+// GET /api/categories) so the create form and the list filters always agree.
+const categorySchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, unique: true, trim: true },
+    order: { type: Number, default: 0 }, // Position in category pickers
+  },
+  { timestamps: true }
+);
+
+// Categories created on first start, matching what the app offered before
+// categories were stored
+const DEFAULT_CATEGORIES = [
+  "General",
+  "Technology",
+  "Business",
+  "Education",
+  "Entertainment",
+  "Sports",
+  "Networking",
+  "Other",
+];
+
+// Seed the default categories into an empty collection. Returns how many were created.
+categorySchema.statics.ensureDefaults = async function () {
+  if (await this.exists({})) return 0;
+  await this.insertMany(DEFAULT_CATEGORIES.map((name, order) => ({ name, order })));
+  return DEFAULT_CATEGORIES.length;
+};
+
+// All category names, in picker order
+categorySchema.statics.names = async function () {
+  const categories = await this.find().sort({ order: 1, name: 1 }).select("name").lean();
+  return categories.map((c) => c.name);
+};
+
+const Category = mongoose.model("Category", categorySchema);
+
+export default Category;
@@ -1,23 +1,422 @@
 import mongoose from "mongoose";
+import EventImage from "./EventImage.js";
+import RsvpActivity from "./RsvpActivity.js";
+import Notification from "./Notification.js";
+import { hashImage, processImage } from "../utils/images.js";
+import { REMINDER_LEAD_MS } from "../utils/notifications.js";
+
+// An organizer-defined question attendees answer when they RSVP
+const questionSchema = new mongoose.Schema({
+  label: { type: String, required: true },
+  type: { type: String, enum: ["text", "single", "multi", "checkbox"], required: true },
+  options: [{ type: String }], // Choices for single and multi questions
+  required: { type: Boolean, default: false },
+});
+
+// A photo in the event gallery, stored in the EventImage collection under its hash
+const galleryImageSchema = new mongoose.Schema({
+  hash: { type: String, required: true },
+  contentType: { type: String },
+  width: { type: Number },
+  height: { type: Number },
+  caption: { type: String, default: "" },
+  alt: { type: String, default: "" }, // Text alternative for screen readers
+});
+
+// An organizer who helps run the event. Invited by email, so the invite also
+// works for people who register afterwards; user is filled in when known.
+const coHostSchema = new mongoose.Schema({
+  email: { type: String, required: true, lowercase: true, trim: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  role: { type: String, enum: ["editor", "manager"], required: true },
+  invitedAt: { type: Date, default: Date.now },
+});
+
+// A revocable invite link. Required to RSVP to private events.
+const inviteSchema = new mongoose.Schema({
+  token: { type: String, required: true },
+  label: { type: String }, // Organizer's note, e.g. "Engineering team"
+  maxUses: { type: Number, min: 1 }, // Unlimited when not set
+  uses: { type: Number, default: 0 },
+  expiresAt: { type: Date },
+  revokedAt: { type: Date },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  createdAt: { type: Date, default: Date.now },
+});
+
+// One RSVP: the user plus the guests they bring. Used for both confirmed
+// attendees and waitlist entries, so a promotion moves the entry as-is.
+const attendeeSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    partySize: { type: Number, default: 1, min: 1 }, // The user plus their guests
+    joinedAt: { type: Date, default: Date.now },
+    checkedInAt: { type: Date }, // Set when the organizer scans the attendee's ticket
+    // Answers to the event's registration questions
+    answers: [
+      {
+        _id: false,
+        question: { type: mongoose.Schema.Types.ObjectId, required: true },
+        value: { type: mongoose.Schema.Types.Mixed },
+      },
+    ],
+  },
+  { _id: false }
+);
 
 const eventSchema = new mongoose.Schema(
   {
     title: { type: String, required: true },
     description: { type: String, required: true },
     dateTime: { type: Date, required: true, index: true },
+    // IANA zone the organizer scheduled in; dateTime is shown and edited as a
+    // local time in this zone. Events created before zones existed are UTC.
+    timeZone: { type: String, default: "UTC" },
+    // Optional; events without an end are treated as an hour long (see utils/schedule.js)
+    endDateTime: { type: Date },
     location: { type: String, required: true },
+    // Optional structured address, geocoded into geoLocation when no pin is given
+    address: {
+      street: { type: String },
+      city: { type: String },
+      region: { type: String },
+      postalCode: { type: String },
+      country: { type: String },
+    },
+    // Optional GeoJSON point ([longitude, latitude]) for "near me" search
+    geoLocation: {
+      type: { type: String, enum: ["Point"] },
+      coordinates: { type: [Number], default: undefined },
+    },
     capacity: { type: Number, required: true, min: 1 },
-    category: { type: String, default: "General" }, // Event category
-    imageData: { type: String }, // Base64 encoded image stored in MongoDB
-    imageContentType: { type: String }, // MIME type (e.g., 'image/jpeg', 'image/png')
+    maxPartySize: { type: Number, default: 1, min: 1 }, // Most seats a single RSVP may take
+    category: { type: String, default: "General" }, // One of the managed categories (see Category)
+    tags: { type: [String], index: true }, // Free-form, normalized (see utils/tags.js)
+    // Drafts are only visible to the creator; cancelled and postponed events
+    // stay visible but don't accept new RSVPs
+    status: {
+      type: String,
+      enum: ["draft", "published", "cancelled", "postponed"],
+      default: "published",
+      index: true,
+    },
+    statusReason: { type: String }, // Optional note shown with cancelled/postponed events
+    // public: listed for everyone; unlisted: only reachable by link;
+    // private: only invitees (with a valid invite) can see and RSVP
+    visibility: {
+      type: String,
+      enum: ["public", "unlisted", "private"],
+      default: "public",
+      index: true,
+    },
+    invites: [inviteSchema],
+    // Cover image, stored in the EventImage collection under its hash
+    image: {
+      hash: { type: String, index: true },
+      contentType: { type: String }, // MIME type of the upload (e.g., 'image/jpeg')
+      width: { type: Number },
+      height: { type: Number },
+    },
+    images: [galleryImageSchema], // Gallery, in display order
+    // Legacy base64 image stored inline; moved to EventImage on startup (see migrateLegacyImages)
+    imageData: { type: String, select: false },
+    imageContentType: { type: String, select: false },
     createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
-    attendees: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+    coHosts: [coHostSchema],
+    series: { type: mongoose.Schema.Types.ObjectId, ref: "EventSeries", index: true }, // Set for occurrences of a recurring event
+    questions: [questionSchema],
+    attendees: [attendeeSchema],
+    // Users queued for a seat once the event is full, in join order
+    waitlist: [attendeeSchema],
+    // Users who saved the event to keep track of it; unlike an RSVP this takes no seat
+    bookmarkedBy: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+    // iCalendar SEQUENCE: bumped whenever details shown in calendars change,
+    // so subscribed calendar apps pick up the new version
+    sequence: { type: Number, default: 0 },
   },
   { timestamps: true }
 );
 
-const Event = mongoose.model("Event", eventSchema);
+eventSchema.index({ "coHosts.email": 1 });
+eventSchema.index({ "attendees.user": 1 });
+eventSchema.index({ "waitlist.user": 1 });
+eventSchema.index({ bookmarkedBy: 1 });
+eventSchema.index({ "images.hash": 1 });
+eventSchema.index({ geoLocation: "2dsphere" });
+// Full-text search for GET /api/events, ranking title matches highest
+eventSchema.index(
+  { title: "text", description: "text", location: "text", category: "text" },
+  { name: "event_text", weights: { title: 10, category: 5, location: 3, description: 1 } }
+);
 
-export default Event;
+// Fields exported to calendar feeds (see utils/ical.js)
+const CALENDAR_FIELDS = [
+  "title",
+  "description",
+  "dateTime",
+  "endDateTime",
+  "timeZone",
+  "location",
+  "status",
+  "statusReason",
+];
+
+eventSchema.pre("save", function () {
+  if (!this.isNew && this.isModified(CALENDAR_FIELDS)) {
+    this.sequence += 1;
+  }
+});
+
+// Statuses that accept new RSVPs (events created before statuses existed have none)
+export const OPEN_STATUSES = ["published", null];
+
+// Aggregation expression for the number of seats taken by confirmed attendees
+export const seatsTakenExpr = { $sum: "$attendees.partySize" };
+
+// Move people from the front of the waitlist into attendees while seats are free.
+// Each promotion is a single conditional update (like the RSVP itself), so
+// concurrent RSVPs and promotions can never push attendees past capacity.
+// The queue is strict FIFO: a party that doesn't fit yet blocks those behind it.
+// Promotion follows the rules of a new RSVP, so nobody is moved up once the
+// event has started or while it isn't open.
+// Returns the IDs of the promoted users, in order.
+eventSchema.statics.promoteWaitlist = async function (eventId) {
+  const promoted = [];
+  for (;;) {
+    const before = await this.findOneAndUpdate(
+      {
+        _id: eventId,
+        status: { $in: OPEN_STATUSES },
+        dateTime: { $gt: new Date() },
+        "waitlist.0": { $exists: true },
+        $expr: {
+          $lte: [
+            { $add: [seatsTakenExpr, { $first: "$waitlist.partySize" }] },
+            "$capacity",
+          ],
+        },
+      },
+      [
+        {
+          $set: {
+            attendees: {
+              $concatArrays: [
+                "$attendees",
+                [{ $mergeObjects: [{ $first: "$waitlist" }, { joinedAt: "$$NOW" }] }],
+              ],
+            },
+            waitlist: { $slice: ["$waitlist", 1, { $size: "$waitlist" }] },
+          },
+        },
+      ],
+      { updatePipeline: true }
+    ).lean();
+
+    if (!before) break;
+    const [entry] = before.waitlist;
+    promoted.push(entry.user);
+    await RsvpActivity.record(eventId, entry.user, "promoted", {
+      partySize: entry.partySize || 1,
+    });
+    await Notification.notify([entry.user], "promoted", before);
+  }
+  return promoted;
+};
 
+// Count one use of an invite, atomically, so a limited invite can't be used
+// more often than allowed by concurrent RSVPs. Returns false if the invite is
+// missing, revoked, expired or used up.
+eventSchema.statics.redeemInvite = async function (eventId, token) {
+  const now = new Date();
+  const usable = {
+    token,
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }],
+  };
 
+  const unlimited = await this.updateOne(
+    { _id: eventId, invites: { $elemMatch: { ...usable, maxUses: null } } },
+    { $inc: { "invites.$.uses": 1 } }
+  );
+  if (unlimited.modifiedCount > 0) return true;
+
+  // Limited invites: compare-and-swap on the use count. A failed swap means a
+  // concurrent RSVP used the invite first, so re-read and try again.
+  for (;;) {
+    const event = await this.findOne(
+      { _id: eventId, invites: { $elemMatch: usable } },
+      { "invites.$": 1 }
+    ).lean();
+    const invite = event?.invites?.[0];
+    if (!invite || invite.uses >= invite.maxUses) return false;
+
+    const limited = await this.updateOne(
+      { _id: eventId, invites: { $elemMatch: { ...usable, uses: invite.uses } } },
+      { $inc: { "invites.$.uses": 1 } }
+    );
+    if (limited.modifiedCount > 0) return true;
+  }
+};
+
+// Give back an invite use after an RSVP that redeemed it didn't go through
+eventSchema.statics.releaseInvite = async function (eventId, token) {
+  await this.updateOne(
+    { _id: eventId, invites: { $elemMatch: { token, uses: { $gt: 0 } } } },
+    { $inc: { "invites.$.uses": -1 } }
+  );
+};
+
+// Convert attendees stored as plain user IDs (before party sizes existed)
+// into RSVP entries with a party size of one
+eventSchema.statics.migrateLegacyAttendees = async function () {
+  const result = await this.updateMany(
+    { "attendees.0": { $type: "objectId" } },
+    [
+      {
+        $set: {
+          attendees: {
+            $map: {
+              input: "$attendees",
+              in: {
+                $cond: [
+                  { $eq: [{ $type: "$$this" }, "objectId"] },
+                  { user: "$$this", partySize: 1, joinedAt: "$createdAt" },
+                  "$$this",
+                ],
+              },
+            },
+          },
+        },
+      },
+    ],
+    { updatePipeline: true }
+  );
+  return result.modifiedCount;
+};
+
+// Move inline base64 images (imageData) into the EventImage collection, one
+// event at a time so a large backlog doesn't have to fit in memory. Images
+// that can't be resized are kept as originals only.
+eventSchema.statics.migrateLegacyImages = async function () {
+  let migrated = 0;
+  const cursor = this.find({ imageData: { $exists: true } })
+    .select("+imageData +imageContentType")
+    .lean()
+    .cursor();
+  for await (const event of cursor) {
+    const buffer = Buffer.from(event.imageData, "base64");
+    const contentType = event.imageContentType || "image/jpeg";
+    let processed;
+    try {
+      processed = await processImage(buffer);
+    } catch (err) {
+      console.error(`Could not resize the image of event ${event._id}`, err.message);
+      processed = {
+        hash: hashImage(buffer),
+        contentType,
+        variants: [{ size: "original", contentType, data: buffer }],
+      };
+    }
+    await EventImage.storeVariants(processed);
+    await this.updateOne(
+      { _id: event._id },
+      {
+        $set: {
+          image: {
+            hash: processed.hash,
+            contentType: processed.contentType,
+            width: processed.width,
+            height: processed.height,
+          },
+        },
+        $unset: { imageData: "", imageContentType: "" },
+      }
+    );
+    migrated += 1;
+  }
+  return migrated;
+};
+
+// Start the RSVP activity log of events that got RSVPs before it existed:
+// current attendees and waitlist entries are recorded as of when they joined.
+// Returns how many events were backfilled.
+eventSchema.statics.backfillRsvpActivity = async function () {
+  const logged = await RsvpActivity.distinct("event");
+  const cursor = this.find({
+    _id: { $nin: logged },
+    $or: [{ "attendees.0": { $exists: true } }, { "waitlist.0": { $exists: true } }],
+  })
+    .select("attendees waitlist createdAt")
+    .lean()
+    .cursor();
+
+  let backfilled = 0;
+  for await (const event of cursor) {
+    const entries = (list, action) =>
+      (list || []).map((a) => ({
+        event: event._id,
+        user: a.user,
+        action,
+        partySize: a.partySize || 1,
+        at: a.joinedAt || event.createdAt,
+      }));
+    await RsvpActivity.insertMany([
+      ...entries(event.attendees, "rsvp"),
+      ...entries(event.waitlist, "waitlist"),
+    ]);
+    backfilled += 1;
+  }
+  return backfilled;
+};
+
+// Schedule reminder emails for attendees of upcoming events, including those
+// who RSVPed before reminder emails existed. Reminders already scheduled are
+// skipped, so this is safe to run on every start. Returns how many were
+// scheduled.
+eventSchema.statics.backfillReminderEmails = async function (now = new Date()) {
+  const cursor = this.find({
+    status: { $in: OPEN_STATUSES },
+    dateTime: { $gt: now },
+    "attendees.0": { $exists: true },
+  })
+    .select("dateTime attendees.user")
+    .lean()
+    .cursor();
+
+  let scheduled = 0;
+  for await (const event of cursor) {
+    scheduled += await Notification.scheduleReminders(
+      event.attendees.map((a) => a.user),
+      event
+    );
+  }
+  return scheduled;
+};
+
+// Remind attendees of published events starting within REMINDER_LEAD_MS.
+// Reminders are keyed by start time, so each attendee gets one per event, and
+// another if the event is moved. Returns how many reminders were sent.
+eventSchema.statics.remindAttendees = async function (now = new Date()) {
+  const events = await this.find({
+    status: { $in: OPEN_STATUSES },
+    dateTime: { $gt: now, $lte: new Date(now.getTime() + REMINDER_LEAD_MS) },
+    "attendees.0": { $exists: true },
+  })
+    .select("title dateTime timeZone attendees.user")
+    .lean();
+
+  let sent = 0;
+  for (const event of events) {
+    sent += await Notification.notify(
+      event.attendees.map((a) => a.user),
+      "reminder",
+      event,
+      { key: `reminder:${event._id}:${event.dateTime.toISOString()}` }
+    );
+  }
+  return sent;
+};
+
+const Event = mongoose.model("Event", eventSchema);
+
+export default Event;
@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+
+// One stored size of an event image (see utils/images.js). Kept out of Event
+// documents so event lists don't carry image data. Images are keyed by the
+// hash of the original upload, so occurrences of a series share one copy.
+const eventImageSchema = new mongoose.Schema(
+  {
+    hash: { type: String, required: true },
+    size: { type: String, enum: ["original", "card", "thumbnail"], required: true },
+    contentType: { type: String, required: true },
+    data: { type: Buffer, required: true },
+    width: { type: Number },
+    height: { type: Number },
+  },
+  { timestamps: true }
+);
+
+eventImageSchema.index({ hash: 1, size: 1 }, { unique: true });
+
+// Store the variants of a processed image. Uploading the same image again
+// just rewrites the same documents.
+eventImageSchema.statics.storeVariants = async function ({ hash, variants }) {
+  await this.bulkWrite(
+    variants.map(({ size, contentType, data, width, height }) => ({
+      updateOne: {
+        filter: { hash, size },
+        update: { $set: { contentType, data, width, height } },
+        upsert: true,
+      },
+    }))
+  );
+};
+
+// Delete stored images no event uses anymore (as cover or in its gallery),
+// e.g. after an event is deleted or its images replaced
+eventImageSchema.statics.removeUnused = async function (hashes) {
+  const Event = mongoose.model("Event");
+  for (const hash of new Set(hashes.filter(Boolean))) {
+    if (!(await Event.exists({ $or: [{ "image.hash": hash }, { "images.hash": hash }] }))) {
+      await this.deleteMany({ hash });
+    }
+  }
+};
+
+const EventImage = mongoose.model("EventImage", eventImageSchema);
+
+export default EventImage;
@@ -0,0 +1,68 @@
+import mongoose from "mongoose";
+import { snapshotEvent, diffSnapshots } from "../utils/audit.js";
+
+// One change to an event's details: who made it, when, which fields changed
+// and the details afterwards, so the creator can restore any earlier version
+// (see GET /api/events/:id/history). RSVP changes are logged separately in
+// RsvpActivity and merged into the history.
+const eventRevisionSchema = new mongoose.Schema(
+  {
+    event: { type: mongoose.Schema.Types.ObjectId, ref: "Event", required: true },
+    // The event's creator, so its history stays readable after a delete
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    action: {
+      type: String,
+      enum: ["create", "update", "status", "restore", "delete"],
+      required: true,
+    },
+    changes: [
+      {
+        _id: false,
+        field: { type: String, required: true },
+        from: { type: mongoose.Schema.Types.Mixed },
+        to: { type: mongoose.Schema.Types.Mixed },
+      },
+    ],
+    // Audited details after the change (before it, for deletes); see utils/audit.js
+    snapshot: { type: mongoose.Schema.Types.Mixed },
+    restoredFrom: { type: mongoose.Schema.Types.ObjectId }, // Revision a restore went back to
+    at: { type: Date, default: Date.now },
+  },
+  { versionKey: false }
+);
+
+eventRevisionSchema.index({ event: 1, at: -1 });
+
+// Record a change to an event (a document or lean object, as it is now; the
+// deleted event for a delete). before is its snapshot from before the change,
+// unset for a create. Updates that changed nothing are skipped. Like RSVP
+// activity, failures are only reported so they never undo a change that
+// already happened.
+eventRevisionSchema.statics.record = async function (
+  action,
+  event,
+  { before = null, actor, restoredFrom } = {}
+) {
+  try {
+    const after = action === "delete" ? null : snapshotEvent(event);
+    const changes = diffSnapshots(before, after);
+    if (action === "update" && changes.length === 0) return;
+
+    await this.create({
+      event: event._id,
+      owner: event.createdBy?._id || event.createdBy,
+      actor,
+      action,
+      changes,
+      snapshot: after || before,
+      restoredFrom,
+    });
+  } catch (err) {
+    console.error("Record event revision error", err);
+  }
+};
+
+const EventRevision = mongoose.model("EventRevision", eventRevisionSchema);
+
+export default EventRevision;
@@ -0,0 +1,21 @@
+import mongoose from "mongoose";
+
+// A recurring event series. Each occurrence is stored as its own Event
+// (with its own capacity and attendees) that points back here.
+const eventSeriesSchema = new mongoose.Schema(
+  {
+    recurrence: {
+      frequency: { type: String, enum: ["daily", "weekly", "monthly"], required: true },
+      interval: { type: Number, default: 1, min: 1 },
+      until: { type: Date },
+      count: { type: Number, min: 1 },
+      exceptions: [{ type: Date }], // Dates skipped or deleted from the series
+    },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+  },
+  { timestamps: true }
+);
+
+const EventSeries = mongoose.model("EventSeries", eventSeriesSchema);
+
+export default EventSeries;
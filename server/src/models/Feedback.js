@@ -0,0 +1,30 @@
+import mongoose from "mongoose";
+import { MAX_RATING, MAX_COMMENT_LENGTH } from "../utils/feedback.js";
+
+// An attendee's rating of an event they went to, given after it ended.
+// One per attendee and event; rating again replaces the earlier feedback.
+const feedbackSchema = new mongoose.Schema(
+  {
+    event: { type: mongoose.Schema.Types.ObjectId, ref: "Event", required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    rating: { type: Number, required: true, min: 1, max: MAX_RATING },
+    comment: { type: String, trim: true, maxlength: MAX_COMMENT_LENGTH },
+  },
+  { timestamps: true }
+);
+
+feedbackSchema.index({ event: 1, user: 1 }, { unique: true });
+
+// Number of ratings of each star value for the given events,
+// as [{ event, rating, count }] (see summarizeRatings)
+feedbackSchema.statics.ratingCounts = async function (eventIds) {
+  const groups = await this.aggregate([
+    { $match: { event: { $in: eventIds.map((id) => new mongoose.Types.ObjectId(String(id))) } } },
+    { $group: { _id: { event: "$event", rating: "$rating" }, count: { $sum: 1 } } },
+  ]);
+  return groups.map((g) => ({ event: g._id.event, rating: g._id.rating, count: g.count }));
+};
+
+const Feedback = mongoose.model("Feedback", feedbackSchema);
+
+export default Feedback;
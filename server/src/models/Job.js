@@ -0,0 +1,92 @@
+import mongoose from "mongoose";
+
+// A background job, stored so scheduled work (like reminder emails) survives
+// restarts. Jobs are run by the worker in jobs/scheduler.js once runAt has
+// passed; failed runs are retried with a growing delay.
+export const JOB_STATUSES = ["pending", "running", "done", "failed"];
+
+// Jobs left running this long belong to a worker that stopped (e.g. the
+// server restarted mid-run) and are picked up again
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+// Delay before the first retry, doubled for each one after it
+const RETRY_DELAY_MS = 60 * 1000;
+// Finished jobs are deleted after this long
+const FINISHED_JOB_TTL_S = 30 * 24 * 60 * 60;
+
+const jobSchema = new mongoose.Schema(
+  {
+    type: { type: String, required: true }, // Handler to run (see registerJobHandler)
+    payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+    runAt: { type: Date, required: true, default: Date.now },
+    status: { type: String, enum: JOB_STATUSES, default: "pending" },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 5 },
+    lastError: { type: String },
+    lockedAt: { type: Date }, // When the current run started
+    finishedAt: { type: Date }, // When the job succeeded or ran out of attempts
+    // Set for jobs that must only be scheduled once (e.g. one reminder per
+    // attendee and start time); a second job with the same key is dropped
+    key: { type: String },
+  },
+  { timestamps: true }
+);
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ key: 1 }, { unique: true, sparse: true });
+jobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: FINISHED_JOB_TTL_S });
+
+// Schedule jobs: [{ type, payload, runAt, key }]. Returns how many were
+// scheduled. Like notifications, failures are only reported so they never
+// undo the change that scheduled the job; duplicate keys are skipped quietly.
+jobSchema.statics.schedule = async function (jobs) {
+  if (jobs.length === 0) return 0;
+  try {
+    const created = await this.insertMany(jobs, { ordered: false });
+    return created.length;
+  } catch (err) {
+    const duplicate = (e) => e.code === 11000 || e.err?.code === 11000;
+    if (!err.writeErrors?.every(duplicate) && err.code !== 11000) {
+      console.error("Schedule jobs error", err);
+    }
+    return err.insertedDocs?.length || 0;
+  }
+};
+
+// Claim the next due job for this worker, or null if none are due. The claim
+// is a single update, so several servers can share the queue safely.
+jobSchema.statics.claimDue = function (now = new Date()) {
+  return this.findOneAndUpdate(
+    {
+      $or: [
+        { status: "pending", runAt: { $lte: now } },
+        { status: "running", lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) } },
+      ],
+    },
+    { $set: { status: "running", lockedAt: now }, $inc: { attempts: 1 } },
+    { sort: { runAt: 1 }, new: true }
+  ).lean();
+};
+
+jobSchema.statics.complete = function (job) {
+  return this.updateOne(
+    { _id: job._id },
+    { $set: { status: "done", finishedAt: new Date() }, $unset: { lockedAt: 1 } }
+  );
+};
+
+// Record a failed run: retry later, or give up after maxAttempts
+jobSchema.statics.fail = function (job, err) {
+  const now = new Date();
+  const retry =
+    job.attempts < job.maxAttempts
+      ? { status: "pending", runAt: new Date(now.getTime() + RETRY_DELAY_MS * 2 ** (job.attempts - 1)) }
+      : { status: "failed", finishedAt: now };
+  return this.updateOne(
+    { _id: job._id },
+    { $set: { ...retry, lastError: err.message }, $unset: { lockedAt: 1 } }
+  );
+};
+
+const Job = mongoose.model("Job", jobSchema);
+
+export default Job;
@@ -0,0 +1,106 @@
+import mongoose from "mongoose";
+import Job from "./Job.js";
+import { NOTIFICATION_TYPES, notificationMessage } from "../utils/notifications.js";
+import { EMAILED_NOTIFICATIONS, REMINDER_LEADS_MS, emailEventFields } from "../utils/emails.js";
+
+// An in-app notification about an event the user is going to or waiting for
+// (see GET /api/notifications)
+const notificationSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    type: { type: String, enum: NOTIFICATION_TYPES, required: true },
+    event: { type: mongoose.Schema.Types.ObjectId, ref: "Event" },
+    eventTitle: { type: String }, // Kept so notifications about deleted events still read well
+    message: { type: String, required: true },
+    readAt: { type: Date },
+    // Set for notifications that must only be sent once (e.g. reminders); a
+    // second notification with the same key is dropped
+    key: { type: String },
+  },
+  { timestamps: true }
+);
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+notificationSchema.index({ key: 1 }, { unique: true, sparse: true });
+
+// Reminder email jobs for users going to an event, for each lead time that
+// hasn't passed yet. Reminders are keyed by start time, so each is scheduled
+// once however often it's queued.
+const reminderJobs = (recipients, event) => {
+  const jobs = [];
+  const start = new Date(event.dateTime);
+  for (const leadMs of REMINDER_LEADS_MS) {
+    const runAt = new Date(start.getTime() - leadMs);
+    if (runAt <= new Date()) continue;
+    for (const user of recipients) {
+      jobs.push({
+        type: "email",
+        payload: { user, type: "reminder", event: event._id, dateTime: start, leadMs },
+        runAt,
+        key: `reminder:${event._id}:${user}:${start.toISOString()}:${leadMs}`,
+      });
+    }
+  }
+  return jobs;
+};
+
+// Queue the emails that go with a notification (see jobs/email.js): the
+// notice itself for EMAILED_NOTIFICATIONS, plus reminders before the event
+// for users who just got seats or whose event moved
+const queueEmails = (recipients, type, event, message, options) => {
+  if (!EMAILED_NOTIFICATIONS[type]) return 0;
+  const jobs = recipients.map((user) => ({
+    type: "email",
+    payload: { user, type, event: emailEventFields(event), message },
+  }));
+
+  const moved = type === "event_updated" && options.changes?.some((c) => c.field === "dateTime");
+  if (type === "rsvp_confirmed" || type === "promoted" || moved) {
+    jobs.push(...reminderJobs(recipients, event));
+  }
+  return Job.schedule(jobs);
+};
+
+// Schedule reminder emails for users already going to an event. Returns how
+// many were scheduled; reminders scheduled before are skipped.
+notificationSchema.statics.scheduleReminders = function (users, event) {
+  return Job.schedule(reminderJobs([...new Set(users.map(String))], event));
+};
+
+// Notify users about an event (a document or lean object), in the app and,
+// for some types, by email. options are passed to notificationMessage, plus
+// key: a dedupe key, made unique per user. Returns how many notifications
+// were created. Like the RSVP log, failures are only reported so they never
+// undo the change being notified about.
+notificationSchema.statics.notify = async function (users, type, event, options = {}) {
+  const recipients = [...new Set(users.map(String))];
+  if (recipients.length === 0) return 0;
+  const message = notificationMessage(type, event, options);
+  await queueEmails(recipients, type, event, message, options);
+  try {
+    const created = await this.insertMany(
+      recipients.map((user) => ({
+        user,
+        type,
+        event: event._id,
+        eventTitle: event.title,
+        message,
+        key: options.key && `${options.key}:${user}`,
+      })),
+      { ordered: false }
+    );
+    return created.length;
+  } catch (err) {
+    // Duplicate keys are notifications that were already sent
+    const duplicate = (e) => e.code === 11000 || e.err?.code === 11000;
+    if (!err.writeErrors?.every(duplicate) && err.code !== 11000) {
+      console.error("Create notifications error", err);
+    }
+    return err.insertedDocs?.length || 0;
+  }
+};
+
+const Notification = mongoose.model("Notification", notificationSchema);
+
+export default Notification;
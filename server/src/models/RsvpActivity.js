@@ -0,0 +1,49 @@
+import mongoose from "mongoose";
+
+// What happened to an RSVP, for organizer analytics (see utils/analytics.js)
+// and the event history: rsvp: took seats; waitlist: joined the waitlist;
+// promoted: moved from the waitlist into seats; cancel: gave up their seats;
+// leave_waitlist: left the waitlist; removed: taken off the event by an
+// organizer; resize: changed their party size
+export const RSVP_ACTIONS = [
+  "rsvp",
+  "waitlist",
+  "promoted",
+  "cancel",
+  "leave_waitlist",
+  "removed",
+  "resize",
+];
+
+// One RSVP change with its timestamp. Events keep only their current
+// attendees, so this log is what signups over time are built from.
+const rsvpActivitySchema = new mongoose.Schema(
+  {
+    event: { type: mongoose.Schema.Types.ObjectId, ref: "Event", required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    action: { type: String, enum: RSVP_ACTIONS, required: true },
+    partySize: { type: Number, default: 1, min: 1 }, // Seats the change affects
+    previousPartySize: { type: Number }, // Party size before a resize
+    // Who made the change when it wasn't the user, e.g. the organizer who
+    // removed them. Unset for the user's own changes and automatic promotions.
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    at: { type: Date, default: Date.now },
+  },
+  { versionKey: false }
+);
+
+rsvpActivitySchema.index({ event: 1, at: 1 });
+
+// Log an RSVP change. Options: partySize, previousPartySize and actor.
+// Logging must never break an RSVP, so failures are only reported.
+rsvpActivitySchema.statics.record = async function (event, user, action, options = {}) {
+  try {
+    await this.create({ event, user, action, ...options });
+  } catch (err) {
+    console.error("Record RSVP activity error", err);
+  }
+};
+
+const RsvpActivity = mongoose.model("RsvpActivity", rsvpActivitySchema);
+
+export default RsvpActivity;
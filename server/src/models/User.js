@@ -1,14 +1,46 @@
 import mongoose from "mongoose";
+import { EMAIL_PREFERENCES } from "../utils/emails.js";
 
 const userSchema = new mongoose.Schema(
   {
     name: { type: String, required: true },
-    email: { type: String, required: true, unique: true, index: true },
+    // Stored lowercase so sign-in and co-host invites match however it's typed
+    email: {
+      type: String,
+      required: true,
+      unique: true,
+      index: true,
+      lowercase: true,
+      trim: true,
+    },
     passwordHash: { type: String, required: true },
+    // Secret for the user's calendar subscription URL, which calendar apps
+    // poll without a JWT. Created on first use; resetting it revokes old URLs.
+    calendarToken: { type: String, unique: true, sparse: true },
+    // Kinds of email the user turned off (see utils/emails.js); everything else is sent
+    emailOptOuts: [{ type: String, enum: Object.keys(EMAIL_PREFERENCES) }],
   },
   { timestamps: true }
 );
 
+// Lowercase the emails of accounts created before emails were normalized.
+// Accounts whose lowercase email is already taken by another account are left
+// as they are and reported, since merging them needs a person to decide.
+userSchema.statics.normalizeEmails = async function () {
+  const users = await this.find({ email: /[A-Z]|^\s|\s$/ }).select("email").lean();
+  let normalized = 0;
+  for (const user of users) {
+    try {
+      await this.updateOne({ _id: user._id }, { $set: { email: user.email.trim().toLowerCase() } });
+      normalized += 1;
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      console.error(`Can't lowercase the email of user ${user._id}: ${user.email} is taken`);
+    }
+  }
+  return normalized;
+};
+
 const User = mongoose.model("User", userSchema);
 
 export default User;
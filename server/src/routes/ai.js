@@ -1,5 +1,6 @@
 import express from "express";
 import { authMiddleware } from "../middleware/auth.js";
+import { DEFAULT_TIME_ZONE, isValidTimeZone, parseZonedDateTime } from "../utils/timezone.js";
 
 const router = express.Router();
 
@@ -7,6 +8,10 @@ const router = express.Router();
 router.post("/generate-description", authMiddleware, async (req, res) => {
   try {
     const { title, category, location, dateTime } = req.body;
+    const timeZone = req.body.timeZone || DEFAULT_TIME_ZONE;
+    if (!isValidTimeZone(timeZone)) {
+      return res.status(400).json({ message: "Invalid time zone" });
+    }
 
     if (!title) {
       return res.status(400).json({ message: "Title is required" });
@@ -19,14 +24,17 @@ router.post("/generate-description", authMiddleware, async (req, res) => {
       });
     }
 
-    // Prepare the prompt for Gemini
-    const dateText = dateTime ? new Date(dateTime).toLocaleDateString('en-US', {
+    // Prepare the prompt for Gemini. The prompt is English, so the date is too,
+    // but it's shown in the event's time zone rather than the server's.
+    const dateText = dateTime ? parseZonedDateTime(dateTime, timeZone).toLocaleDateString('en-US', {
       weekday: 'long',
       year: 'numeric',
       month: 'long',
       day: 'numeric',
       hour: 'numeric',
-      minute: '2-digit'
+      minute: '2-digit',
+      timeZone,
+      timeZoneName: 'short'
     }) : "";
 
     const prompt = `Generate a compelling and engaging event description for the following event:
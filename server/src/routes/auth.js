@@ -2,13 +2,19 @@ import express from "express";
 import bcrypt from "bcryptjs";
 import jwt from "jsonwebtoken";
 import User from "../models/User.js";
+import { authMiddleware } from "../middleware/auth.js";
+import { parseEmailPreferences, emailPreferences } from "../utils/emails.js";
 
 const router = express.Router();
 
+// Emails are matched case-insensitively (see the User model)
+const normalizeEmail = (email) => (typeof email === "string" ? email.trim().toLowerCase() : "");
+
 // POST /api/auth/register
 router.post("/register", async (req, res) => {
   try {
-    const { name, email, password } = req.body;
+    const { name, password } = req.body;
+    const email = normalizeEmail(req.body.email);
     if (!name || !email || !password) {
       return res.status(400).json({ message: "All fields are required" });
     }
@@ -40,7 +46,8 @@ router.post("/register", async (req, res) => {
 // POST /api/auth/login
 router.post("/login", async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { password } = req.body;
+    const email = normalizeEmail(req.body.email);
     if (!email || !password) {
       return res.status(400).json({ message: "Email and password required" });
     }
@@ -71,6 +78,47 @@ router.post("/login", async (req, res) => {
   }
 });
 
+// GET /api/auth/email-preferences - the kinds of email the user gets, each
+// with its name, label and whether it's enabled
+router.get("/email-preferences", authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select("emailOptOuts").lean();
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    return res.json(emailPreferences(user.emailOptOuts));
+  } catch (err) {
+    console.error("Get email preferences error", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+// PUT /api/auth/email-preferences - turn kinds of email on or off.
+// Body: { [name]: true | false }; kinds left out are unchanged.
+router.put("/email-preferences", authMiddleware, async (req, res) => {
+  try {
+    const { value, error } = parseEmailPreferences(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    const user = await User.findById(req.user.id).select("emailOptOuts");
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    const optOuts = new Set(user.emailOptOuts);
+    for (const [name, enabled] of Object.entries(value)) {
+      if (enabled) optOuts.delete(name);
+      else optOuts.add(name);
+    }
+    user.emailOptOuts = [...optOuts];
+    await user.save();
+    return res.json(emailPreferences(user.emailOptOuts));
+  } catch (err) {
+    console.error("Update email preferences error", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
 export default router;
 
 
@@ -0,0 +1,17 @@
+import express from "express";
+import Category from "../models/Category.js";
+
+const router = express.Router();
+
+// GET /api/categories - event categories, in picker order
+router.get("/", async (req, res) => {
+  try {
+    const categories = await Category.find().sort({ order: 1, name: 1 }).select("name").lean();
+    return res.json(categories);
+  } catch (err) {
+    console.error("List categories error", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+export default router;
@@ -1,7 +1,82 @@
 import express from "express";
 import multer from "multer";
-import Event from "../models/Event.js";
-import { authMiddleware } from "../middleware/auth.js";
+import mongoose from "mongoose";
+import Event, { seatsTakenExpr, OPEN_STATUSES } from "../models/Event.js";
+import EventSeries from "../models/EventSeries.js";
+import { authMiddleware, optionalAuth } from "../middleware/auth.js";
+import {
+  EDIT_SCOPES,
+  parseRecurrence,
+  expandRecurrenceInZone,
+  scopeFilter,
+  localShift,
+  shiftOccurrence,
+} from "../utils/recurrence.js";
+import { parseQuestions, validateAnswers } from "../utils/questions.js";
+import { createTicketCode, verifyTicketCode } from "../utils/tickets.js";
+import { COHOST_ROLES, getEventRole, canManageEvent } from "../utils/permissions.js";
+import { VISIBILITIES, createInviteToken, findUsableInvite } from "../utils/invites.js";
+import { buildCalendar, createFeedToken } from "../utils/ical.js";
+import {
+  IMPORT_FIELDS,
+  MAX_IMPORT_ROWS,
+  readCsvImport,
+  readIcsImport,
+  insertEach,
+} from "../utils/imports.js";
+import { parseLimit, encodeCursor, decodeCursor, afterCursorStage } from "../utils/pagination.js";
+import { searchStems, buildHighlights } from "../utils/search.js";
+import {
+  DEFAULT_RADIUS_KM,
+  MAX_RADIUS_KM,
+  toPoint,
+  parseCoordinates,
+  parseAddress,
+  withinRadius,
+  distanceKmExpr,
+} from "../utils/geo.js";
+import { geocode } from "../utils/geocoder.js";
+import {
+  DEFAULT_TIME_ZONE,
+  MAX_OFFSET_MS,
+  isValidTimeZone,
+  parseZonedDateTime,
+  endOfDayInZone,
+} from "../utils/timezone.js";
+import {
+  IMAGE_SIZES,
+  IMAGE_FORMATS,
+  MAX_GALLERY_IMAGES,
+  processImage,
+  imageUrls,
+  galleryImageUrls,
+  parseGallery,
+} from "../utils/images.js";
+import {
+  eventEnd,
+  parseDuration,
+  overlapQuery,
+  findOverlaps,
+  MAX_DURATION_MS,
+} from "../utils/schedule.js";
+import { parseTags, normalizeTag } from "../utils/tags.js";
+import { FEEDBACK_WINDOW_MS, parseFeedback, summarizeRatings } from "../utils/feedback.js";
+import { summarizeActivity, activityByDay } from "../utils/analytics.js";
+import {
+  RESTORABLE_FIELDS,
+  snapshotEvent,
+  diffSnapshots,
+  activityChanges,
+} from "../utils/audit.js";
+import { NOTIFIED_FIELDS } from "../utils/notifications.js";
+import EventImage from "../models/EventImage.js";
+import Category from "../models/Category.js";
+import Feedback from "../models/Feedback.js";
+import RsvpActivity from "../models/RsvpActivity.js";
+import EventRevision from "../models/EventRevision.js";
+import Job from "../models/Job.js";
+import Notification from "../models/Notification.js";
+import User from "../models/User.js";
 
 const router = express.Router();
 
@@ -21,318 +96,2465 @@ const upload = multer({
   },
 });
 
-// GET /api/events - list upcoming events with optional filters
-router.get("/", async (req, res) => {
+// Event forms upload a cover image and any new gallery photos
+const eventImagesUpload = upload.fields([
+  { name: "image", maxCount: 1 },
+  { name: "galleryImages", maxCount: MAX_GALLERY_IMAGES },
+]);
+
+// Import files (CSV or iCalendar) are parsed as text straight from memory
+const importUpload = multer({
+  storage,
+  limits: { fileSize: 2 * 1024 * 1024 }, // 2MB
+});
+
+// Sort orders for GET /. Seat counts are computed in the list pipeline.
+const LIST_SORTS = {
+  relevance: { field: "score", order: -1 }, // Best text search match first
+  distance: { field: "distanceKm", order: 1 }, // Nearest first (needs lat/lng)
+  date: { field: "dateTime", order: 1, isDate: true }, // Soonest first
+  recent: { field: "dateTime", order: -1, isDate: true }, // Latest first (default for past events)
+  newest: { field: "createdAt", order: -1, isDate: true }, // Most recently created first
+  popular: { field: "seatsTaken", order: -1 }, // Most seats taken first
+  seatsLeft: { field: "seatsLeft", order: 1 }, // Fewest seats left first
+};
+
+// Archive modes of the event lists: which events they include by start time
+const ARCHIVE_RANGES = {
+  upcoming: (now) => ({ $gte: now }),
+  past: (now) => ({ $lt: now }),
+  all: () => ({}),
+};
+
+// Parse the archive query param of an event list: { value } or { error }
+const parseArchive = (raw, fallback) => {
+  const archive = raw || fallback;
+  if (!ARCHIVE_RANGES[archive]) {
+    return { error: `Archive must be one of: ${Object.keys(ARCHIVE_RANGES).join(", ")}` };
+  }
+  return { value: archive };
+};
+
+// Query and sort for the user's own event lists (/attending, /my-events, ...)
+// in an archive mode: past events are listed most recent first
+const archiveListOptions = (archive, now) => {
+  const range = ARCHIVE_RANGES[archive](now);
+  return {
+    query: Object.keys(range).length > 0 ? { dateTime: range } : {},
+    sort: { dateTime: archive === "past" ? -1 : 1 },
+  };
+};
+
+// Seats taken by an event's confirmed attendees, guests included
+const seatsTaken = (e) =>
+  (e.attendees || []).reduce((sum, a) => sum + (a.partySize || 1), 0);
+
+// Users going to or waiting for an event
+const participants = (e) => [...(e.attendees || []), ...(e.waitlist || [])].map((a) => a.user);
+
+// Tell an event's attendees and waitlist when an organizer changed its time or
+// place. before is the event's snapshot from before the change.
+const notifyDetailChanges = async (event, before) => {
+  const changes = diffSnapshots(before, snapshotEvent(event)).filter((c) =>
+    NOTIFIED_FIELDS.includes(c.field)
+  );
+  if (changes.length > 0 && event.status !== "draft") {
+    await Notification.notify(participants(event), "event_updated", event, { changes });
+  }
+};
+
+// Whether a user attended an event: they hold seats and took them before it
+// started, so nobody can join a finished event just to rate it
+const attendedEvent = (e, userId) =>
+  (e.attendees || []).some(
+    (a) => String(a.user) === String(userId) && new Date(a.joinedAt) < new Date(e.dateTime)
+  );
+
+// Registration answers are only visible to the organizer (see GET /:id/answers)
+const withoutAnswers = (entries) => entries?.map(({ answers, ...entry }) => entry);
+
+// Shape a lean event document for API responses: add the derived counts the
+// client displays and the viewer's organizer role, and drop attendees' private
+// registration answers. Co-host emails are only shown to the owner, invite
+// links to organizers who manage attendees. Images are sent as URLs (see
+// GET /:id/image), never inline. Who bookmarked the event stays private:
+// viewers see whether they did, organizers only how many people did.
+const toEventResponse = (e, user) => {
+  const myRole = getEventRole(e, user);
+  const { imageData, imageContentType, bookmarkedBy, ...event } = e;
+  return {
+    ...event,
+    imageUrls: imageUrls(e),
+    images: e.images?.map((image) => ({ ...image, urls: galleryImageUrls(e, image) })),
+    coHosts: myRole === "owner" ? e.coHosts : undefined,
+    invites: canManageEvent(e, user, "manageAttendees") ? e.invites : undefined,
+    attendees: withoutAnswers(e.attendees),
+    waitlist: withoutAnswers(e.waitlist),
+    attendeeCount: e.attendees?.length || 0,
+    seatsTaken: seatsTaken(e),
+    waitlistCount: e.waitlist?.length || 0,
+    interestCount: myRole ? bookmarkedBy?.length || 0 : undefined,
+    bookmarked: Boolean(user && bookmarkedBy?.some((id) => String(id) === String(user.id))),
+    myRole,
+  };
+};
+
+// Query for events the user hosts, as creator or co-host
+const hostedBy = (user) => ({
+  $or: [
+    { createdBy: user.id },
+    { "coHosts.user": user.id },
+    { "coHosts.email": user.email?.toLowerCase() },
+  ],
+});
+
+// Query for events the user attends or hosts. IDs are cast up front because
+// aggregation pipelines don't cast query values.
+const involving = (user) => {
+  const userId = new mongoose.Types.ObjectId(String(user.id));
+  return {
+    $or: [
+      { "attendees.user": userId },
+      { createdBy: userId },
+      { "coHosts.user": userId },
+      { "coHosts.email": user.email?.toLowerCase() },
+    ],
+  };
+};
+
+// Whether a viewer may see an event: drafts only for organizers, private
+// events also for attendees, waitlisted users and holders of a valid invite
+const canViewEvent = (event, user, inviteToken) => {
+  const myRole = getEventRole(event, user);
+  if (myRole) return true;
+  if (event.status === "draft") return false;
+  if (event.visibility !== "private") return true;
+  const joined =
+    user &&
+    [...(event.attendees || []), ...(event.waitlist || [])].some(
+      (a) => String(a.user) === String(user.id)
+    );
+  return Boolean(joined || findUsableInvite(event, inviteToken));
+};
+
+// Resize and store an uploaded image (see utils/images.js).
+// Returns { image } for the event's image field, or { error } if the file
+// isn't an image we can read.
+const storeUpload = async (file) => {
+  let processed;
+  try {
+    processed = await processImage(file.buffer);
+  } catch (err) {
+    return { error: "Images must be JPEG, PNG, WebP or GIF files" };
+  }
+  await EventImage.storeVariants(processed);
+  const { hash, contentType, width, height } = processed;
+  return { image: { hash, contentType, width, height } };
+};
+
+// Build a gallery from parsed gallery entries (see parseGallery): listed
+// images are looked up by hash in the current gallery, uploads are stored.
+// Returns { images } or { error }.
+const buildGallery = async (entries, files = [], current = []) => {
+  const uploaded = new Map();
+  const images = [];
+  for (const { hash, upload: index, caption, alt } of entries) {
+    if (hash) {
+      const existing = current.find((i) => i.hash === hash);
+      if (!existing) {
+        await EventImage.removeUnused([...uploaded.values()].map((i) => i.hash));
+        return { error: "Gallery lists an image this event doesn't have" };
+      }
+      const { contentType, width, height } = existing;
+      images.push({ hash, contentType, width, height, caption, alt });
+      continue;
+    }
+    if (!uploaded.has(index)) {
+      const stored = await storeUpload(files[index]);
+      if (stored.error) {
+        await EventImage.removeUnused([...uploaded.values()].map((i) => i.hash));
+        return { error: stored.error };
+      }
+      uploaded.set(index, stored.image);
+    }
+    images.push({ ...uploaded.get(index), caption, alt });
+  }
+  return { images };
+};
+
+// Send a VCALENDAR document
+const sendCalendar = (res, events, { name, filename }) => {
+  res.set("Content-Type", "text/calendar; charset=utf-8");
+  if (filename) {
+    res.set("Content-Disposition", `attachment; filename="${filename}"`);
+  }
+  return res.send(buildCalendar(events, { name }));
+};
+
+// The occurrences an edit or status change applies to: just this event, or
+// for recurring events this and later occurrences or the whole series
+const findScopeTargets = async (event, scope) => {
+  const filter = scopeFilter(event, scope);
+  return filter ? Event.find(filter).sort({ dateTime: 1 }) : [event];
+};
+
+// Parse an optional per-event party size limit (defaults to 1, i.e. no guests)
+const parseMaxPartySize = (value) => {
+  if (value === undefined || value === null || value === "") return 1;
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) || parsed < 1 ? null : parsed;
+};
+
+// Coordinates for an address, or undefined if it can't be geocoded
+const locateAddress = async (address) => {
+  const found = await geocode(address);
+  return found ? toPoint(found.latitude, found.longitude) : undefined;
+};
+
+// Validate the fields of a new event, shared by POST / and imports.
+// dateTime without an offset is a local time in the event's timeZone;
+// categories lists the valid category names (see Category.names).
+// Returns { fields } or { error }.
+const parseEventFields = (body, { categories }) => {
+  const { title, description, dateTime, location, capacity, maxPartySize } = body;
+  if (!title || !description || !dateTime || !location || !capacity) {
+    return { error: "All fields are required" };
+  }
+
+  const timeZone = body.timeZone || DEFAULT_TIME_ZONE;
+  if (!isValidTimeZone(timeZone)) {
+    return { error: "Invalid time zone" };
+  }
+
+  const parsedDateTime = parseZonedDateTime(dateTime, timeZone);
+  if (Number.isNaN(parsedDateTime.getTime())) {
+    return { error: "Invalid date and time" };
+  }
+  // Optional end, as endDateTime or duration (see parseDuration)
+  const duration = parseDuration(body, parsedDateTime, timeZone);
+  if (duration.error) {
+    return { error: duration.error };
+  }
+
+  const parsedCapacity = parseInt(capacity, 10);
+  if (Number.isNaN(parsedCapacity) || parsedCapacity < 1) {
+    return { error: "Capacity must be a positive number" };
+  }
+
+  // New events are published right away unless saved as a draft
+  const status = body.status || "published";
+  if (!["draft", "published"].includes(status)) {
+    return { error: "New events must be drafts or published" };
+  }
+
+  const parsedMaxPartySize = parseMaxPartySize(maxPartySize);
+  if (!parsedMaxPartySize || parsedMaxPartySize > parsedCapacity) {
+    return { error: "Max party size must be between 1 and the event capacity" };
+  }
+
+  const visibility = body.visibility || "public";
+  if (!VISIBILITIES.includes(visibility)) {
+    return { error: "Invalid visibility" };
+  }
+
+  const category = body.category || "General";
+  if (!categories.includes(category)) {
+    return { error: "Unknown category" };
+  }
+  const tags = parseTags(body.tags);
+  if (tags.error) {
+    return { error: tags.error };
+  }
+
+  let questions = [];
+  if (body.questions) {
+    const parsed = parseQuestions(body.questions);
+    if (parsed.error) {
+      return { error: parsed.error };
+    }
+    questions = parsed.questions;
+  }
+
+  const coordinates = parseCoordinates(body.latitude, body.longitude);
+  if (coordinates.error) {
+    return { error: coordinates.error };
+  }
+  const address = parseAddress(body.address);
+  if (address.error) {
+    return { error: address.error };
+  }
+
+  return {
+    fields: {
+      title,
+      description,
+      dateTime: parsedDateTime,
+      endDateTime: duration.value ? new Date(parsedDateTime.getTime() + duration.value) : undefined,
+      timeZone,
+      location,
+      address: address.value || undefined,
+      geoLocation: coordinates.value
+        ? toPoint(coordinates.value.latitude, coordinates.value.longitude)
+        : undefined,
+      capacity: parsedCapacity,
+      maxPartySize: parsedMaxPartySize,
+      questions,
+      status,
+      visibility,
+      category,
+      tags: tags.value,
+    },
+  };
+};
+
+// Date buckets offered as quick filters, as [key, days from now]. "later"
+// covers everything after the last bucket.
+const DATE_BUCKETS = [
+  ["today", 0],
+  ["week", 7],
+  ["month", 30],
+];
+
+// An event's calendar day in its own time zone, e.g. "2025-06-01"
+const localDayExpr = {
+  $dateToString: {
+    format: "%Y-%m-%d",
+    date: "$dateTime",
+    timezone: { $ifNull: ["$timeZone", DEFAULT_TIME_ZONE] },
+  },
+};
+
+// Query conditions for the archive mode and the startDate/endDate filters.
+// Plain dates (YYYY-MM-DD, as sent by date inputs) are whole days in each
+// event's own time zone, so an end date includes events later that day
+// wherever they happen. Their UTC range is widened by the largest zone offset
+// so the dateTime index still narrows the match. Other values are exact instants.
+const dateRangeFilter = (startDate, endDate, archive, now) => {
+  const range = ARCHIVE_RANGES[archive](now);
+  const localDays = [];
+  if (startDate) {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(startDate)) {
+      range.$gte = new Date(Date.parse(`${startDate}T00:00:00Z`) - MAX_OFFSET_MS);
+      localDays.push({ $gte: [localDayExpr, startDate] });
+    } else {
+      range.$gte = new Date(startDate);
+    }
+  }
+  if (endDate) {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(endDate)) {
+      range.$lte = new Date(Date.parse(`${endDate}T23:59:59.999Z`) + MAX_OFFSET_MS);
+      localDays.push({ $lte: [localDayExpr, endDate] });
+    } else {
+      range.$lte = new Date(endDate);
+    }
+  }
+  return {
+    ...(Object.keys(range).length > 0 ? { dateTime: range } : {}),
+    ...(localDays.length ? { $expr: { $and: localDays } } : {}),
+  };
+};
+
+// Facet counts for the list filters: how many events each category and each
+// date bucket would return with the other filters applied. Buckets overlap
+// (today's events are also in "week"), matching how they filter. Days end at
+// midnight in the viewer's time zone. The buckets look ahead, so they're only
+// counted for upcoming events.
+// Returns { categories: { [name]: count }, dates: { today, week, month, later } }.
+const countFacets = async (
+  baseQuery,
+  { categoryFilter, dateFilter, archive, now, timeZone }
+) => {
+  const [categories, dates] = await Promise.all([
+    Event.aggregate([
+      { $match: { ...baseQuery, ...dateFilter } },
+      { $group: { _id: { $ifNull: ["$category", "General"] }, count: { $sum: 1 } } },
+    ]),
+    // Only the archive range applies here, not the user's own start and end dates
+    archive !== "upcoming" ? null : Event.aggregate([
+      { $match: { ...baseQuery, ...categoryFilter, dateTime: ARCHIVE_RANGES.upcoming(now) } },
+      {
+        $group: {
+          _id: null,
+          ...Object.fromEntries(
+            DATE_BUCKETS.map(([key, days]) => [
+              key,
+              {
+                $sum: {
+                  $cond: [{ $lte: ["$dateTime", endOfDayInZone(now, days, timeZone)] }, 1, 0],
+                },
+              },
+            ])
+          ),
+          later: {
+            $sum: {
+              $cond: [
+                {
+                  $gt: ["$dateTime", endOfDayInZone(now, DATE_BUCKETS.at(-1)[1], timeZone)],
+                },
+                1,
+                0,
+              ],
+            },
+          },
+        },
+      },
+    ]),
+  ]);
+
+  const categoryCounts = Object.fromEntries(categories.map((c) => [c._id, c.count]));
+  if (!dates) return { categories: categoryCounts };
+
+  const { _id, ...dateCounts } = dates[0] || {};
+  return {
+    categories: categoryCounts,
+    dates: {
+      ...Object.fromEntries([...DATE_BUCKETS.map(([key]) => key), "later"].map((k) => [k, 0])),
+      ...dateCounts,
+    },
+  };
+};
+
+// GET /api/events - list events with optional filters, a page at a time.
+// Query: archive (upcoming by default, past or all), mine=true (events the
+// signed-in user attends or hosts, whatever their visibility), category,
+// tags (comma-separated; events with all of them), startDate, endDate (see
+// dateRangeFilter), search (full-text), lat/lng/radius (events within radius
+// km, each with its distanceKm), sort (see LIST_SORTS; relevance by default
+// when searching, distance near a point, most recent first for past events),
+// limit and cursor (nextCursor from the previous page). Responds with
+// { events, nextCursor, total }; nextCursor is null on the last page. The
+// first page also carries facets (see countFacets), with date buckets in the
+// viewer's tz (IANA name, UTC by default). Search results include highlighted
+// matches.
+router.get("/", optionalAuth, async (req, res) => {
   try {
     const now = new Date();
-    const { category, startDate, endDate, search } = req.query;
+    const { category, startDate, endDate, search, cursor } = req.query;
+
+    // Optional "near" search: events within radius km of lat/lng
+    const near = parseCoordinates(req.query.lat, req.query.lng);
+    if (near.error) {
+      return res.status(400).json({ message: near.error });
+    }
+    const origin = near.value;
+    const radiusKm = req.query.radius ? Number(req.query.radius) : DEFAULT_RADIUS_KM;
+    if (Number.isNaN(radiusKm) || radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) {
+      return res
+        .status(400)
+        .json({ message: `Radius must be between 0 and ${MAX_RADIUS_KM} km` });
+    }
+
+    const archive = parseArchive(req.query.archive, "upcoming");
+    if (archive.error) {
+      return res.status(400).json({ message: archive.error });
+    }
+    const mine = req.query.mine === "true";
+    if (mine && !req.user) {
+      return res.status(401).json({ message: "Sign in to list your events" });
+    }
+
+    const sortKey =
+      req.query.sort ||
+      (search ? "relevance" : origin ? "distance" : archive.value === "past" ? "recent" : "date");
+    const sort = LIST_SORTS[sortKey];
+    if (!sort) {
+      return res
+        .status(400)
+        .json({ message: `Sort must be one of: ${Object.keys(LIST_SORTS).join(", ")}` });
+    }
+    if (sortKey === "relevance" && !search) {
+      return res.status(400).json({ message: "Sorting by relevance needs a search" });
+    }
+    if (sortKey === "distance" && !origin) {
+      return res.status(400).json({ message: "Sorting by distance needs lat and lng" });
+    }
+    const limit = parseLimit(req.query.limit);
+    if (limit.error) {
+      return res.status(400).json({ message: limit.error });
+    }
+    const viewerTimeZone = req.query.tz || DEFAULT_TIME_ZONE;
+    if (!isValidTimeZone(viewerTimeZone)) {
+      return res.status(400).json({ message: "Invalid time zone" });
+    }
+    let after = null;
+    if (cursor) {
+      after = decodeCursor(cursor, sort);
+      if (!after) {
+        return res.status(400).json({ message: "Invalid cursor" });
+      }
+    }
     
-    let query = { dateTime: { $gte: now } };
+    // Drafts are only listed to their creator (see /my-events); unlisted and
+    // private events are only reachable by link, unless the user is in them
+    const baseQuery = {
+      status: { $ne: "draft" },
+      ...(mine ? involving(req.user) : { visibility: { $nin: ["unlisted", "private"] } }),
+    };
     
-    // Filter by category
-    if (category && category !== "All") {
-      query.category = category;
+    // Full-text search over title, description, location and category
+    if (search) {
+      baseQuery.$text = { $search: search };
     }
-    
-    // Filter by date range
-    if (startDate) {
-      query.dateTime = { ...query.dateTime, $gte: new Date(startDate) };
+    if (origin) {
+      baseQuery.geoLocation = withinRadius(origin, radiusKm);
+    }
+    // Events with all of the given tags
+    const tags = parseTags(req.query.tags);
+    if (tags.error) {
+      return res.status(400).json({ message: tags.error });
+    }
+    if (tags.value.length > 0) {
+      baseQuery.tags = { $all: tags.value };
+    }
+
+    // Category and date range filters are kept apart so each facet can be
+    // counted without its own filter
+    const categoryFilter = category && category !== "All" ? { category } : {};
+    const dateFilter = dateRangeFilter(startDate, endDate, archive.value, now);
+    const query = {
+      ...baseQuery,
+      ...categoryFilter,
+      ...dateFilter,
+    };
+
+    // Fetch one extra event to know whether there is a next page
+    const pipeline = [
+      { $match: query },
+      ...(search ? [{ $addFields: { score: { $meta: "textScore" } } }] : []),
+      ...(origin ? [{ $addFields: { distanceKm: distanceKmExpr(origin) } }] : []),
+      { $addFields: { seatsTaken: seatsTakenExpr } },
+      { $addFields: { seatsLeft: { $subtract: ["$capacity", "$seatsTaken"] } } },
+      ...(after ? [afterCursorStage(after, sort)] : []),
+      { $sort: { [sort.field]: sort.order, _id: 1 } },
+      { $limit: limit.value + 1 },
+    ];
+    const [page, total, facets] = await Promise.all([
+      Event.aggregate(pipeline),
+      Event.countDocuments(query),
+      cursor
+        ? null
+        : countFacets(baseQuery, {
+            categoryFilter,
+            dateFilter,
+            archive: archive.value,
+            now,
+            timeZone: viewerTimeZone,
+          }),
+    ]);
+
+    const hasMore = page.length > limit.value;
+    const events = await Event.populate(page.slice(0, limit.value), [
+      { path: "createdBy", select: "name email" },
+      { path: "series", select: "recurrence" },
+    ]);
+
+    const stems = search ? searchStems(search) : [];
+    return res.json({
+      events: events.map((e) => ({
+        ...toEventResponse(e, req.user),
+        ...(search ? { highlights: buildHighlights(e, stems) } : {}),
+      })),
+      nextCursor: hasMore ? encodeCursor(events[events.length - 1], sort) : null,
+      total,
+      ...(facets ? { facets } : {}),
+    });
+  } catch (err) {
+    console.error("List events error", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+// GET /api/events/my-events - get events the user created or co-hosts; archive =
+// upcoming, past or all (default) (must come before /:id)
+router.get("/my-events", authMiddleware, async (req, res) => {
+  try {
+    const archive = parseArchive(req.query.archive, "all");
+    if (archive.error) {
+      return res.status(400).json({ message: archive.error });
+    }
+    const list = archiveListOptions(archive.value, new Date());
+    const events = await Event.find({ ...hostedBy(req.user), ...list.query })
+      .sort(list.sort)
+      .populate("createdBy", "name email")
+      .populate("series", "recurrence")
+      .lean();
+
+    return res.json(events.map((e) => toEventResponse(e, req.user)));
+  } catch (err) {
+    console.error("Get my events error", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+// GET /api/events/attending - get events user is attending; archive = upcoming,
+// past or all (default) (must come before /:id)
+router.get("/attending", authMiddleware, async (req, res) => {
+  try {
+    const archive = parseArchive(req.query.archive, "all");
+    if (archive.error) {
+      return res.status(400).json({ message: archive.error });
+    }
+    const list = archiveListOptions(archive.value, new Date());
+    const events = await Event.find({ "attendees.user": req.user.id, ...list.query })
+      .sort(list.sort)
+      .populate("createdBy", "name email")
+      .populate("series", "recurrence")
+      .lean();
+
+    // Events that clash with each other are flagged with overlapsWith (IDs)
+    const overlaps = findOverlaps(events.filter((e) => e.status !== "cancelled"));
+
+    // Each attendee gets a signed ticket code to show at check-in
+    return res.json(
+      events.map((e) => ({
+        ...toEventResponse(e, req.user),
+        ticketCode: createTicketCode(e._id, req.user.id),
+        overlapsWith: overlaps.get(String(e._id)) || [],
+      }))
+    );
+  } catch (err) {
+    console.error("Get attending events error", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+// GET /api/events/waitlisted - get events user is waitlisted for; archive =
+// upcoming, past or all (default) (must come before /:id)
+router.get("/waitlisted", authMiddleware, async (req, res) => {
+  try {
+    const archive = parseArchive(req.query.archive, "all");
+    if (archive.error) {
+      return res.status(400).json({ message: archive.error });
+    }
+    const list = archiveListOptions(archive.value, new Date());
+    const events = await Event.find({ "waitlist.user": req.user.id, ...list.query })
+      .sort(list.sort)
+      .populate("createdBy", "name email")
+      .populate("series", "recurrence")
+      .lean();
+
+    return res.json(events.map((e) => toEventResponse(e, req.user)));
+  } catch (err) {
+    console.error("Get waitlisted events error", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+// GET /api/events/bookmarked - get events the user saved; archive = upcoming,
+// past or all (default) (must come before /:id)
+router.get("/bookmarked", authMiddleware, async (req, res) => {
+  try {
+    const archive = parseArchive(req.query.archive, "all");
+    if (archive.error) {
+      return res.status(400).json({ message: archive.error });
+    }
+    const list = archiveListOptions(archive.value, new Date());
+    const events = await Event.find({ bookmarkedBy: req.user.id, ...list.query })
+      .sort(list.sort)
+      .populate("createdBy", "name email")
+      .populate("series", "recurrence")
+      .lean();
+
+    // Private events stay listed (the user had an invite when saving them),
+    // but drafts are only shown to their organizers
+    return res.json(
+      events
+        .filter((e) => e.status !== "draft" || getEventRole(e, req.user))
+        .map((e) => toEventResponse(e, req.user))
+    );
+  } catch (err) {
+    console.error("Get bookmarked events error", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+// GET /api/events/feedback/pending - events the user attended that ended in
+// the last 30 days and that they haven't rated yet (must come before /:id)
+router.get("/feedback/pending", authMiddleware, async (req, res) => {
+  try {
+    const now = new Date();
+    const since = new Date(now.getTime() - FEEDBACK_WINDOW_MS);
+    const events = await Event.find({
+      "attendees.user": req.user.id,
+      status: { $in: OPEN_STATUSES },
+      // Coarse bound on the start; the end is checked below
+      dateTime: { $gte: new Date(since.getTime() - MAX_DURATION_MS), $lt: now },
+    })
+      .sort({ dateTime: -1 })
+      .populate("createdBy", "name email")
+      .lean();
+
+    const ended = events.filter(
+      (e) => eventEnd(e) <= now && eventEnd(e) >= since && attendedEvent(e, req.user.id)
+    );
+    const rated = await Feedback.find({
+      user: req.user.id,
+      event: { $in: ended.map((e) => e._id) },
+    }).distinct("event");
+    const ratedIds = new Set(rated.map(String));
+
+    return res.json(
+      ended.filter((e) => !ratedIds.has(String(e._id))).map((e) => toEventResponse(e, req.user))
+    );
+  } catch (err) {
+    console.error("Get pending feedback error", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+// GET /api/events/feedback/summary - ratings across all events the user hosts:
+// { overall, events: [{ event, count, average, distribution }] } with rated events
+// most recent first (must come before /:id)
+router.get("/feedback/summary", authMiddleware, async (req, res) => {
+  try {
+    const events = await Event.find(hostedBy(req.user))
+      .sort({ dateTime: -1 })
+      .select("title dateTime timeZone")
+      .lean();
+    const counts = await Feedback.ratingCounts(events.map((e) => e._id));
+
+    const perEvent = events
+      .map((e) => ({
+        event: e,
+        ...summarizeRatings(counts.filter((c) => String(c.event) === String(e._id))),
+      }))
+      .filter((summary) => summary.count > 0);
+
+    return res.json({ overall: summarizeRatings(counts), events: perEvent });
+  } catch (err) {
+    console.error("Get feedback summary error", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+// GET /api/events/analytics - RSVP totals and rates of every event the user
+// hosts, for comparing them (see summarizeActivity), latest events first
+// (must come before /:id)
+router.get("/analytics", authMiddleware, async (req, res) => {
+  try {
+    const events = await Event.find(hostedBy(req.user))
+      .sort({ dateTime: -1 })
+      .select("title dateTime timeZone status capacity createdAt attendees.partySize")
+      .lean();
+    const activities = await RsvpActivity.find({ event: { $in: events.map((e) => e._id) } })
+      .select("event action partySize previousPartySize at")
+      .lean();
+
+    const byEvent = new Map();
+    for (const activity of activities) {
+      const key = String(activity.event);
+      byEvent.set(key, [...(byEvent.get(key) || []), activity]);
+    }
+
+    return res.json(
+      events.map(({ attendees, createdAt, ...event }) => {
+        const taken = seatsTaken({ attendees });
+        return {
+          event,
+          seatsTaken: taken,
+          ...summarizeActivity(byEvent.get(String(event._id)) || [], {
+            capacity: event.capacity,
+            seatsTaken: taken,
+            createdAt,
+          }),
+        };
+      })
+    );
+  } catch (err) {
+    console.error("Get organizer analytics error", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+// GET /api/events/tags - tag suggestions for autocomplete: the most used tags
+// of listed events, optionally starting with q. Responds with [{ tag, count }].
+router.get("/tags", async (req, res) => {
+  try {
+    const prefix = normalizeTag(req.query.q || "");
+    const escaped = prefix.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    const tags = await Event.aggregate([
+      {
+        $match: {
+          status: { $ne: "draft" },
+          visibility: { $nin: ["unlisted", "private"] },
+          ...(prefix ? { tags: { $regex: `^${escaped}` } } : { "tags.0": { $exists: true } }),
+        },
+      },
+      { $unwind: "$tags" },
+      ...(prefix ? [{ $match: { tags: { $regex: `^${escaped}` } } }] : []),
+      { $group: { _id: "$tags", count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: 10 },
+    ]);
+    return res.json(tags.map((t) => ({ tag: t._id, count: t.count })));
+  } catch (err) {
+    console.error("Tag suggestions error", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+// GET /api/events/geocode - look up coordinates for an address (q), for
+// placing an event in EventForm. Uses the configured geocoder (see utils/geocoder.js).
+router.get("/geocode", authMiddleware, async (req, res) => {
+  try {
+    const query = req.query.q?.trim();
+    if (!query) {
+      return res.status(400).json({ message: "Enter an address to look up" });
+    }
+    const found = await geocode(query);
+    if (!found) {
+      return res.status(404).json({ message: "Address not found" });
+    }
+    return res.json(found);
+  } catch (err) {
+    console.error("Geocode error", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+// URL of a user's calendar feed, served by GET /calendar/:token.ics below
+const feedUrl = (req, token) => `${req.protocol}://${req.get("host")}/api/events/calendar/${token}.ics`;
+
+// GET /api/events/calendar/subscription - get the user's calendar subscription URL
+router.get("/calendar/subscription", authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    if (!user.calendarToken) {
+      user.calendarToken = createFeedToken();
+      await user.save();
+    }
+    return res.json({ url: feedUrl(req, user.calendarToken) });
+  } catch (err) {
+    console.error("Get calendar subscription error", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+// POST /api/events/calendar/subscription/reset - replace the subscription URL,
+// revoking the old one
+router.post("/calendar/subscription/reset", authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { calendarToken: createFeedToken() },
+      { new: true }
+    );
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    return res.json({ url: feedUrl(req, user.calendarToken) });
+  } catch (err) {
+    console.error("Reset calendar subscription error", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+// GET /api/events/calendar/:token.ics - calendar feed of everything the user
+// attends or hosts. Authenticated by the token in the URL, as calendar apps
+// can't send a JWT.
+router.get("/calendar/:token.ics", async (req, res) => {
+  try {
+    const user = await User.findOne({ calendarToken: req.params.token }).select("name email").lean();
+    if (!user) {
+      return res.status(404).json({ message: "Calendar not found" });
+    }
+
+    const viewer = { id: String(user._id), email: user.email };
+    const events = await Event.find({
+      status: { $ne: "draft" },
+      $or: [{ "attendees.user": user._id }, ...hostedBy(viewer).$or],
+    })
+      .sort({ dateTime: 1 })
+      .lean();
+
+    return sendCalendar(res, events, { name: `EventHub - ${user.name}` });
+  } catch (err) {
+    console.error("Calendar feed error", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+// GET /api/events/:id - get single event (drafts only for their creator,
+// private events only for organizers, attendees and holders of a valid ?invite=)
+router.get("/:id", optionalAuth, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id)
+      .populate("createdBy", "name email")
+      .populate("series", "recurrence")
+      .lean();
+    if (!event) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+    if (!canViewEvent(event, req.user, req.query.invite)) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+    return res.json(toEventResponse(event, req.user));
+  } catch (err) {
+    console.error("Get event error", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+// GET /api/events/:id/ics - download a single event as an iCalendar file
+// (same visibility rules as GET /:id)
+router.get("/:id/ics", optionalAuth, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id).lean();
+    if (!event || !canViewEvent(event, req.user, req.query.invite)) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+    return sendCalendar(res, [event], { filename: `event-${event._id}.ics` });
+  } catch (err) {
+    console.error("Event ics error", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Send one size of a stored image. Query: size (original, card or thumbnail;
+// default original) and v (the image hash, as in imageUrls). Image tags can't
+// send the JWT, so events only their organizers can see (drafts, private
+// events) serve images to URLs with the current v. Versioned URLs are cached
+// for good; others are revalidated with the ETag.
+const sendImage = async (req, res, event, image) => {
+  const size = req.query.size || "original";
+  if (!IMAGE_SIZES.includes(size)) {
+    return res.status(400).json({ message: `Size must be one of: ${IMAGE_SIZES.join(", ")}` });
+  }
+  const hash = image?.hash;
+  const versioned = Boolean(hash) && req.query.v === hash;
+  const restricted = event.status === "draft" || event.visibility === "private";
+  if (!hash || (restricted && !versioned)) {
+    return res.status(404).json({ message: "Image not found" });
+  }
+
+  res.set("X-Content-Type-Options", "nosniff");
+  res.set("ETag", `"${hash}-${size}"`);
+  res.set(
+    "Cache-Control",
+    versioned ? `${restricted ? "private" : "public"}, max-age=31536000, immutable` : "no-cache"
+  );
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  // Images stored without resized variants fall back to the original
+  const stored =
+    (await EventImage.findOne({ hash, size })) ||
+    (await EventImage.findOne({ hash, size: "original" }));
+  if (!stored) {
+    return res.status(404).json({ message: "Image not found" });
+  }
+  // Only raster types are served as images; anything else stored before
+  // uploads were checked (e.g. an SVG) is sent as an opaque download
+  const safeType = Object.values(IMAGE_FORMATS).includes(stored.contentType);
+  res.set("Content-Type", safeType ? stored.contentType : "application/octet-stream");
+  return res.send(stored.data);
+};
+
+// GET /api/events/:id/image - the event's cover image (see sendImage)
+router.get("/:id/image", async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: "Image not found" });
+    }
+    const event = await Event.findById(req.params.id).select("image status visibility").lean();
+    if (!event) {
+      return res.status(404).json({ message: "Image not found" });
+    }
+    return await sendImage(req, res, event, event.image);
+  } catch (err) {
+    console.error("Event image error", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+// GET /api/events/:id/images/:imageId - one gallery image (see sendImage)
+router.get("/:id/images/:imageId", async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: "Image not found" });
+    }
+    const event = await Event.findById(req.params.id).select("images status visibility").lean();
+    if (!event) {
+      return res.status(404).json({ message: "Image not found" });
+    }
+    const image = event.images?.find((i) => String(i._id) === req.params.imageId);
+    return await sendImage(req, res, event, image);
+  } catch (err) {
+    console.error("Gallery image error", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+// POST /api/events - create event
+router.post(
+  "/",
+  authMiddleware,
+  eventImagesUpload,
+  async (req, res) => {
+    try {
+      const parsed = parseEventFields(req.body, { categories: await Category.names() });
+      if (parsed.error) {
+        return res.status(400).json({ message: parsed.error });
+      }
+      const { dateTime, endDateTime, ...details } = parsed.fields;
+      const { recurrence } = req.body;
+      const durationMs = endDateTime ? endDateTime.getTime() - dateTime.getTime() : null;
+
+      // A map pin wins; otherwise place the event by its address
+      if (!details.geoLocation && details.address) {
+        details.geoLocation = await locateAddress(details.address);
+      }
+
+      // Recurring event: every occurrence is created as its own event, so each
+      // one can be RSVPed to independently. Check the rule before storing images.
+      let rule = null;
+      let dates = [dateTime];
+      if (recurrence) {
+        const parsedRule = parseRecurrence(recurrence);
+        if (parsedRule.error) {
+          return res.status(400).json({ message: parsedRule.error });
+        }
+        rule = parsedRule.rule;
+        dates = expandRecurrenceInZone(dateTime, rule, details.timeZone);
+        if (dates.length === 0) {
+          return res.status(400).json({ message: "Recurrence does not produce any occurrences" });
+        }
+      }
+
+      const galleryFiles = req.files?.galleryImages || [];
+      const gallery = parseGallery(req.body.gallery, galleryFiles.length);
+      if (gallery.error) {
+        return res.status(400).json({ message: gallery.error });
+      }
+
+      let image;
+      const cover = req.files?.image?.[0];
+      if (cover) {
+        const stored = await storeUpload(cover);
+        if (stored.error) {
+          return res.status(400).json({ message: stored.error });
+        }
+        image = stored.image;
+      }
+      const built = await buildGallery(gallery.entries, galleryFiles);
+      if (built.error) {
+        await EventImage.removeUnused([image?.hash]);
+        return res.status(400).json({ message: built.error });
+      }
+
+      const fields = {
+        ...details,
+        image,
+        images: built.images,
+        createdBy: req.user.id,
+        attendees: [],
+      };
+
+      if (!rule) {
+        const event = await Event.create({ ...fields, dateTime, endDateTime });
+        await EventRevision.record("create", event, { actor: req.user.id });
+        return res.status(201).json(event);
+      }
+
+      // The series stores the rule once
+      const series = await EventSeries.create({ recurrence: rule, createdBy: req.user.id });
+      const occurrences = await Event.insertMany(
+        dates.map((date) => ({
+          ...fields,
+          dateTime: date,
+          endDateTime: durationMs ? new Date(date.getTime() + durationMs) : undefined,
+          series: series._id,
+        }))
+      );
+      for (const occurrence of occurrences) {
+        await EventRevision.record("create", occurrence, { actor: req.user.id });
+      }
+
+      return res.status(201).json({
+        ...occurrences[0].toObject(),
+        occurrenceCount: occurrences.length,
+      });
+    } catch (err) {
+      console.error("Create event error", err);
+      if (err.message === 'Only image files are allowed') {
+        return res.status(400).json({ message: err.message });
+      }
+      return res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Parse a JSON object sent as a multipart form field
+const parseJsonObject = (value) => {
+  if (!value) return {};
+  try {
+    const parsed = typeof value === "string" ? JSON.parse(value) : value;
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+const toImportPreview = (fields) => ({
+  _id: fields._id,
+  title: fields.title,
+  dateTime: fields.dateTime,
+  endDateTime: fields.endDateTime,
+  timeZone: fields.timeZone,
+  location: fields.location,
+  capacity: fields.capacity,
+  visibility: fields.visibility,
+  status: fields.status,
+});
+
+// POST /api/events/import - create events in bulk from a CSV or .ics file.
+// Multipart body: file, format ("csv" or "ics", defaults to the file
+// extension), mapping (JSON: event field -> CSV column), defaults (JSON:
+// values for fields missing from the file, e.g. capacity for .ics files) and
+// dryRun ("true" validates and previews without creating anything).
+// Every row is validated like POST /; valid rows are inserted together, and
+// rows that fail validation or saving are reported with their row number (CSV
+// line or VEVENT index). Addresses without a map pin are geocoded afterwards
+// by a background job.
+router.post("/import", authMiddleware, importUpload.single("file"), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: "Choose a CSV or .ics file to import" });
+    }
+    const format =
+      req.body.format || (/\.ics$/i.test(req.file.originalname) ? "ics" : "csv");
+    if (!["csv", "ics"].includes(format)) {
+      return res.status(400).json({ message: "Format must be csv or ics" });
+    }
+
+    const requestedMapping = parseJsonObject(req.body.mapping);
+    if (!requestedMapping) {
+      return res.status(400).json({ message: "Invalid column mapping" });
+    }
+    const defaults = parseJsonObject(req.body.defaults);
+    if (!defaults) {
+      return res.status(400).json({ message: "Invalid default values" });
+    }
+    const dryRun = req.body.dryRun === "true" || req.body.dryRun === true;
+
+    const text = req.file.buffer.toString("utf8");
+    const parsed = format === "csv" ? readCsvImport(text, requestedMapping) : readIcsImport(text);
+    if (parsed.error) {
+      return res.status(400).json({ message: parsed.error });
+    }
+    const { columns, mapping, rows } = parsed;
+    if (rows.length === 0) {
+      return res.status(400).json({ message: "No events found in the file" });
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res
+        .status(400)
+        .json({ message: `Import at most ${MAX_IMPORT_ROWS} events at a time` });
+    }
+
+    // Values from the file win over defaults; empty cells count as missing
+    const baseValues = Object.fromEntries(
+      [...IMPORT_FIELDS, "status"]
+        .filter((field) => defaults[field] !== undefined && defaults[field] !== "")
+        .map((field) => [field, defaults[field]])
+    );
+    const categories = await Category.names();
+    const valid = [];
+    const failed = [];
+    for (const { row, values, skip } of rows) {
+      if (skip) {
+        failed.push({ row, title: values.title, error: skip });
+        continue;
+      }
+      const provided = Object.fromEntries(
+        Object.entries(values).filter(([, value]) => value !== undefined && value !== null && value !== "")
+      );
+      const result = parseEventFields({ ...baseValues, ...provided }, { categories });
+      if (result.error) {
+        failed.push({ row, title: provided.title, error: result.error });
+      } else {
+        valid.push({ row, fields: result.fields });
+      }
+    }
+
+    const report = { format, columns, mapping, total: rows.length, failed };
+    if (dryRun) {
+      return res.json({
+        ...report,
+        dryRun: true,
+        events: valid.map(({ row, fields }) => ({ row, ...toImportPreview(fields) })),
+      });
+    }
+    if (valid.length === 0) {
+      return res.status(400).json({ ...report, message: "No valid rows to import" });
+    }
+
+    // Rows that fail to save are reported as failed like invalid ones
+    const outcomes = await insertEach(
+      Event,
+      valid.map(({ fields }) => new Event({ ...fields, createdBy: req.user.id, attendees: [] }))
+    );
+    const events = [];
+    const unplaced = [];
+    for (const [i, { doc: event, error }] of outcomes.entries()) {
+      const { row, fields } = valid[i];
+      if (error) {
+        failed.push({ row, title: fields.title, error });
+        continue;
+      }
+      await EventRevision.record("create", event, { actor: req.user.id });
+      events.push({ row, ...toImportPreview(event) });
+      if (!fields.geoLocation && fields.address) unplaced.push(event._id);
+    }
+    failed.sort((a, b) => a.row - b.row);
+
+    // Events without a map pin are placed from their address in the
+    // background, so the geocoder's rate limit doesn't hold up the import
+    await Job.schedule(unplaced.map((event) => ({ type: "geocode", payload: { event } })));
+    return res.status(events.length > 0 ? 201 : 500).json({
+      ...report,
+      created: events.length,
+      events,
+      ...(events.length === 0 && { message: "None of the events could be saved" }),
+    });
+  } catch (err) {
+    console.error("Import events error", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+// PUT /api/events/:id - update event (owner and co-hosts)
+router.put(
+  "/:id",
+  authMiddleware,
+  eventImagesUpload,
+  async (req, res) => {
+    try {
+      const event = await Event.findById(req.params.id);
+      if (!event) {
+        return res.status(404).json({ message: "Event not found" });
+      }
+      if (!canManageEvent(event, req.user, "edit")) {
+        return res.status(403).json({ message: "Not authorized to edit this event" });
+      }
+
+      const { title, description, dateTime, location, capacity, maxPartySize, category, visibility } =
+        req.body;
+      const scope = req.body.scope || "occurrence";
+      if (!EDIT_SCOPES.includes(scope)) {
+        return res
+          .status(400)
+          .json({ message: `Scope must be one of: ${EDIT_SCOPES.join(", ")}` });
+      }
+      if (visibility && !VISIBILITIES.includes(visibility)) {
+        return res.status(400).json({ message: "Invalid visibility" });
+      }
+      if (category && !(await Category.exists({ name: category }))) {
+        return res.status(400).json({ message: "Unknown category" });
+      }
+      // Tags are only changed when sent; an empty list clears them
+      const tags = "tags" in req.body ? parseTags(req.body.tags) : null;
+      if (tags?.error) {
+        return res.status(400).json({ message: tags.error });
+      }
+      const { timeZone } = req.body;
+      if (timeZone && !isValidTimeZone(timeZone)) {
+        return res.status(400).json({ message: "Invalid time zone" });
+      }
+
+      // dateTime without an offset is a local time in the (new) event time zone.
+      // The change is applied as a shift in local time, so a series keeps its
+      // local time across DST changes.
+      const zone = timeZone || event.timeZone || DEFAULT_TIME_ZONE;
+      let shift = 0;
+      let newDateTime = event.dateTime;
+      if (dateTime) {
+        newDateTime = parseZonedDateTime(dateTime, zone);
+        if (Number.isNaN(newDateTime.getTime())) {
+          return res.status(400).json({ message: "Invalid date and time" });
+        }
+        shift = localShift(event.dateTime, event.timeZone || DEFAULT_TIME_ZONE, newDateTime, zone);
+      }
+
+      // A new end (endDateTime or duration, empty to clear) gives every targeted
+      // occurrence the same length; otherwise moved occurrences keep their own
+      const endSent = "endDateTime" in req.body || "duration" in req.body;
+      let newDuration = null;
+      if (endSent) {
+        const parsedDuration = parseDuration(req.body, newDateTime, zone);
+        if (parsedDuration.error) {
+          return res.status(400).json({ message: parsedDuration.error });
+        }
+        newDuration = parsedDuration.value;
+      }
+
+      // Coordinates and address are only changed when sent; empty values clear them
+      const coordinates = parseCoordinates(req.body.latitude, req.body.longitude);
+      if (coordinates.error) {
+        return res.status(400).json({ message: coordinates.error });
+      }
+      const address = parseAddress(req.body.address);
+      if (address.error) {
+        return res.status(400).json({ message: address.error });
+      }
+      let geoLocation;
+      if (coordinates.value) {
+        geoLocation = toPoint(coordinates.value.latitude, coordinates.value.longitude);
+      } else if (address.value) {
+        geoLocation = await locateAddress(address.value);
+      }
+      const locationSent = "latitude" in req.body || "address" in req.body;
+
+      let parsedCapacity = null;
+      if (capacity) {
+        parsedCapacity = parseInt(capacity, 10);
+        if (Number.isNaN(parsedCapacity) || parsedCapacity < 1) {
+          return res.status(400).json({ message: "Capacity must be a positive number" });
+        }
+      }
+
+      let parsedMaxPartySize = null;
+      if (maxPartySize) {
+        parsedMaxPartySize = parseMaxPartySize(maxPartySize);
+        if (!parsedMaxPartySize) {
+          return res.status(400).json({ message: "Max party size must be a positive number" });
+        }
+      }
+
+      let questions = null;
+      if (req.body.questions) {
+        const parsed = parseQuestions(req.body.questions);
+        if (parsed.error) {
+          return res.status(400).json({ message: parsed.error });
+        }
+        questions = parsed.questions;
+      }
+
+      // The gallery is only changed when sent; uploads alone are added to it
+      const galleryFiles = req.files?.galleryImages || [];
+      const gallerySent = "gallery" in req.body || galleryFiles.length > 0;
+      const gallery = parseGallery(req.body.gallery, galleryFiles.length, event.images);
+      if (gallery.error) {
+        return res.status(400).json({ message: gallery.error });
+      }
+
+      const targets = await findScopeTargets(event, scope);
+
+      if (parsedCapacity && targets.some((t) => parsedCapacity < seatsTaken(t))) {
+        return res
+          .status(400)
+          .json({ message: "Capacity cannot be less than the seats already taken" });
+      }
+      if (
+        parsedMaxPartySize &&
+        targets.some((t) => parsedMaxPartySize > (parsedCapacity || t.capacity))
+      ) {
+        return res
+          .status(400)
+          .json({ message: "Max party size cannot exceed the event capacity" });
+      }
+
+      // Replaced and removed images are deleted once no event uses them
+      let image = null;
+      const cover = req.files?.image?.[0];
+      if (cover) {
+        const stored = await storeUpload(cover);
+        if (stored.error) {
+          return res.status(400).json({ message: stored.error });
+        }
+        image = stored.image;
+      }
+      let images = null;
+      if (gallerySent) {
+        const built = await buildGallery(gallery.entries, galleryFiles, event.images);
+        if (built.error) {
+          await EventImage.removeUnused([image?.hash]);
+          return res.status(400).json({ message: built.error });
+        }
+        images = built.images;
+      }
+
+      const replacedImages = targets.flatMap((t) => [
+        t.image?.hash,
+        ...t.images.map((i) => i.hash),
+      ]);
+
+      for (const target of targets) {
+        const before = snapshotEvent(target);
+        if (title) target.title = title;
+        if (description) target.description = description;
+        const length = endSent
+          ? newDuration
+          : target.endDateTime && target.endDateTime.getTime() - target.dateTime.getTime();
+        // A new zone alone keeps each occurrence's local time
+        if (dateTime || timeZone) {
+          const moved = shiftOccurrence(
+            target.dateTime,
+            target.timeZone || DEFAULT_TIME_ZONE,
+            shift,
+            zone
+          );
+          if (moved.getTime() !== target.dateTime.getTime()) target.dateTime = moved;
+          target.timeZone = zone;
+        }
+        if (endSent || dateTime || timeZone) {
+          target.endDateTime = length ? new Date(target.dateTime.getTime() + length) : undefined;
+        }
+        if (location) target.location = location;
+        if (category) target.category = category;
+        if (tags) target.tags = tags.value;
+        if (visibility) target.visibility = visibility;
+        if (locationSent) {
+          target.address = address.value || undefined;
+          target.geoLocation = geoLocation;
+        }
+        if (parsedCapacity) target.capacity = parsedCapacity;
+        if (parsedMaxPartySize) target.maxPartySize = parsedMaxPartySize;
+        if (questions) target.questions = questions;
+        if (image) target.image = image;
+        if (images) target.images = images;
+
+        await target.save();
+        await EventRevision.record("update", target, { before, actor: req.user.id });
+        await notifyDetailChanges(target, before);
+
+        // A capacity increase may have freed seats for people on the waitlist
+        await Event.promoteWaitlist(target._id);
+      }
+      if (image || images) {
+        await EventImage.removeUnused(replacedImages);
+      }
+
+      const updated = await Event.findById(event._id);
+      return res.json({ ...updated.toObject(), updatedCount: targets.length });
+    } catch (err) {
+      console.error("Update event error", err);
+      if (err.message === 'Only image files are allowed') {
+        return res.status(400).json({ message: err.message });
+      }
+      return res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// DELETE /api/events/:id - delete event (only owner)
+router.delete("/:id", authMiddleware, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+    if (!canManageEvent(event, req.user, "own")) {
+      return res.status(403).json({ message: "Not authorized to delete this event" });
+    }
+
+    // Deleting one occurrence of a series leaves the others untouched; the date
+    // is recorded as an exception so the series rule still describes reality
+    if (event.series) {
+      await EventSeries.updateOne(
+        { _id: event.series },
+        { $addToSet: { "recurrence.exceptions": event.dateTime } }
+      );
+    }
+
+    await event.deleteOne();
+    // The revision history and RSVP log are kept, so the creator can still
+    // see what happened to the event
+    await EventRevision.record("delete", event, {
+      before: snapshotEvent(event),
+      actor: req.user.id,
+    });
+    await Notification.notify(participants(event), "event_deleted", event);
+    await Feedback.deleteMany({ event: event._id });
+    await EventImage.removeUnused([event.image?.hash, ...event.images.map((i) => i.hash)]);
+    return res.json({ message: "Event deleted" });
+  } catch (err) {
+    console.error("Delete event error", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+// POST /api/events/:id/cohosts - invite a co-host by email (only owner)
+// Body: { email, role } - role is "editor" or "manager"
+router.post("/:id/cohosts", authMiddleware, async (req, res) => {
+  try {
+    const email = req.body?.email?.trim().toLowerCase();
+    const { role } = req.body || {};
+    if (!email) {
+      return res.status(400).json({ message: "Email is required" });
+    }
+    if (!COHOST_ROLES.includes(role)) {
+      return res.status(400).json({ message: `Role must be one of: ${COHOST_ROLES.join(", ")}` });
+    }
+
+    const event = await Event.findById(req.params.id).populate("createdBy", "email");
+    if (!event) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+    if (!canManageEvent(event, req.user, "own")) {
+      return res.status(403).json({ message: "Not authorized to manage co-hosts" });
+    }
+    if (event.createdBy.email === email) {
+      return res.status(400).json({ message: "The event owner is already a host" });
+    }
+    if (event.coHosts.some((c) => c.email === email)) {
+      return res.status(409).json({ message: "This person is already a co-host" });
+    }
+
+    // Link the account now if it exists; otherwise the invite matches on email
+    // once they register
+    const invitee = await User.findOne({ email }).select("_id").lean();
+    event.coHosts.push({ email, role, user: invitee?._id });
+    await event.save();
+
+    return res.status(201).json(event.coHosts);
+  } catch (err) {
+    console.error("Add co-host error", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+// PATCH /api/events/:id/cohosts/:cohostId - change a co-host's role (only owner)
+router.patch("/:id/cohosts/:cohostId", authMiddleware, async (req, res) => {
+  try {
+    const { role } = req.body || {};
+    if (!COHOST_ROLES.includes(role)) {
+      return res.status(400).json({ message: `Role must be one of: ${COHOST_ROLES.join(", ")}` });
+    }
+
+    const event = await Event.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+    if (!canManageEvent(event, req.user, "own")) {
+      return res.status(403).json({ message: "Not authorized to manage co-hosts" });
+    }
+    const coHost = event.coHosts.id(req.params.cohostId);
+    if (!coHost) {
+      return res.status(404).json({ message: "Co-host not found" });
+    }
+
+    coHost.role = role;
+    await event.save();
+    return res.json(event.coHosts);
+  } catch (err) {
+    console.error("Update co-host error", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+// DELETE /api/events/:id/cohosts/:cohostId - remove a co-host (only owner)
+router.delete("/:id/cohosts/:cohostId", authMiddleware, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+    if (!canManageEvent(event, req.user, "own")) {
+      return res.status(403).json({ message: "Not authorized to manage co-hosts" });
+    }
+    const coHost = event.coHosts.id(req.params.cohostId);
+    if (!coHost) {
+      return res.status(404).json({ message: "Co-host not found" });
+    }
+
+    coHost.deleteOne();
+    await event.save();
+    return res.json(event.coHosts);
+  } catch (err) {
+    console.error("Remove co-host error", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+// DELETE /api/events/:id/attendees/:userId - remove an attendee or waitlisted
+// user (owner and managers)
+router.delete("/:id/attendees/:userId", authMiddleware, async (req, res) => {
+  try {
+    const eventId = req.params.id;
+    const event = await Event.findById(eventId).select("createdBy coHosts").lean();
+    if (!event) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+    if (!canManageEvent(event, req.user, "manageAttendees")) {
+      return res.status(403).json({ message: "Not authorized to manage attendees" });
+    }
+
+    const { userId } = req.params;
+    const previous = await Event.findOneAndUpdate(
+      { _id: eventId },
+      { $pull: { attendees: { user: userId }, waitlist: { user: userId } } }
+    ).lean();
+    const isRemoved = (a) => String(a.user) === String(userId);
+    const attendee = previous?.attendees?.find(isRemoved);
+    const waiting = previous?.waitlist?.find(isRemoved);
+    if (attendee || waiting) {
+      await RsvpActivity.record(eventId, userId, attendee ? "removed" : "leave_waitlist", {
+        partySize: (attendee || waiting).partySize || 1,
+        actor: req.user.id,
+      });
+      await Notification.notify([userId], "removed", previous);
+    }
+
+    // Hand the freed seats to the next people in line
+    await Event.promoteWaitlist(eventId);
+    const current = await Event.findById(eventId).lean();
+    return res.json(toEventResponse(current, req.user));
+  } catch (err) {
+    console.error("Remove attendee error", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+// GET /api/events/:id/invites - list invite links (owner and managers)
+router.get("/:id/invites", authMiddleware, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id).select("createdBy coHosts invites").lean();
+    if (!event) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+    if (!canManageEvent(event, req.user, "manageAttendees")) {
+      return res.status(403).json({ message: "Not authorized to manage invites" });
+    }
+    return res.json(event.invites || []);
+  } catch (err) {
+    console.error("List invites error", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+// POST /api/events/:id/invites - create an invite link (owner and managers)
+router.post("/:id/invites", authMiddleware, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+    if (!canManageEvent(event, req.user, "manageAttendees")) {
+      return res.status(403).json({ message: "Not authorized to manage invites" });
+    }
+
+    const { label, maxUses, expiresAt } = req.body || {};
+    let parsedMaxUses = null;
+    if (maxUses) {
+      parsedMaxUses = parseInt(maxUses, 10);
+      if (Number.isNaN(parsedMaxUses) || parsedMaxUses < 1) {
+        return res.status(400).json({ message: "Max uses must be a positive number" });
+      }
+    }
+    let parsedExpiresAt = null;
+    if (expiresAt) {
+      parsedExpiresAt = new Date(expiresAt);
+      if (Number.isNaN(parsedExpiresAt.getTime()) || parsedExpiresAt <= new Date()) {
+        return res.status(400).json({ message: "Expiry must be a date in the future" });
+      }
+    }
+
+    event.invites.push({
+      token: createInviteToken(),
+      label: label?.trim() || undefined,
+      maxUses: parsedMaxUses,
+      expiresAt: parsedExpiresAt,
+      createdBy: req.user.id,
+    });
+    await event.save();
+    return res.status(201).json(event.invites[event.invites.length - 1]);
+  } catch (err) {
+    console.error("Create invite error", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+// DELETE /api/events/:id/invites/:inviteId - revoke an invite link (owner and
+// managers). RSVPs already made with it are kept.
+router.delete("/:id/invites/:inviteId", authMiddleware, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+    if (!canManageEvent(event, req.user, "manageAttendees")) {
+      return res.status(403).json({ message: "Not authorized to manage invites" });
+    }
+
+    const invite = event.invites.id(req.params.inviteId);
+    if (!invite) {
+      return res.status(404).json({ message: "Invite not found" });
+    }
+    if (!invite.revokedAt) {
+      invite.revokedAt = new Date();
+      await event.save();
+    }
+    return res.json(invite);
+  } catch (err) {
+    console.error("Revoke invite error", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Lifecycle actions and the statuses each one may be applied to
+const STATUS_ACTIONS = {
+  publish: { to: "published", from: ["draft", "postponed"] },
+  postpone: { to: "postponed", from: ["published"] },
+  cancel: { to: "cancelled", from: ["published", "postponed"] },
+};
+
+// What attendees are notified of when an event moves into a status
+// (drafts have no attendees to tell)
+const STATUS_NOTIFICATIONS = {
+  published: "event_reinstated",
+  postponed: "event_postponed",
+  cancelled: "event_cancelled",
+};
+
+// Build the handler for a lifecycle action (owner and co-hosts).
+// Body: { reason, scope } - reason is shown to attendees; scope as in PUT /:id.
+const changeStatus = (action) => async (req, res) => {
+  try {
+    const { to, from } = STATUS_ACTIONS[action];
+    const event = await Event.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+    if (!canManageEvent(event, req.user, "edit")) {
+      return res.status(403).json({ message: "Not authorized to change this event" });
+    }
+    if (!from.includes(event.status)) {
+      return res
+        .status(400)
+        .json({ message: `Cannot ${action} an event that is ${event.status}` });
+    }
+
+    const scope = req.body?.scope || "occurrence";
+    if (!EDIT_SCOPES.includes(scope)) {
+      return res
+        .status(400)
+        .json({ message: `Scope must be one of: ${EDIT_SCOPES.join(", ")}` });
+    }
+
+    // Occurrences already in another state (e.g. a cancelled one) are left alone
+    const targets = (await findScopeTargets(event, scope)).filter((t) =>
+      from.includes(t.status)
+    );
+    for (const target of targets) {
+      const before = snapshotEvent(target);
+      target.status = to;
+      target.statusReason = to === "published" ? undefined : req.body?.reason?.trim() || undefined;
+      await target.save();
+      await EventRevision.record("status", target, { before, actor: req.user.id });
+      await Notification.notify(participants(target), STATUS_NOTIFICATIONS[to], target);
+    }
+
+    const updated = await Event.findById(event._id).lean();
+    return res.json({ ...toEventResponse(updated, req.user), updatedCount: targets.length });
+  } catch (err) {
+    console.error(`Event ${action} error`, err);
+    return res.status(500).json({ message: "Server error" });
+  }
+};
+
+// POST /api/events/:id/publish - publish a draft or reinstate a postponed event
+router.post("/:id/publish", authMiddleware, changeStatus("publish"));
+
+// POST /api/events/:id/postpone - postpone a published event, keeping its attendees
+router.post("/:id/postpone", authMiddleware, changeStatus("postpone"));
+
+// POST /api/events/:id/cancel - cancel an event without deleting its attendee list
+router.post("/:id/cancel", authMiddleware, changeStatus("cancel"));
+
+// Why a user can't RSVP to an event (a lean object) with a party of partySize:
+// { status, message }, or null if they can, either for a seat or the waitlist
+const rsvpRefusal = (event, userId, partySize, now) => {
+  if (!event || event.status === "draft") {
+    return { status: 404, message: "Event not found" };
+  }
+  if (event.status === "cancelled" || event.status === "postponed") {
+    return {
+      status: 400,
+      message: `This event has been ${event.status} and is not accepting RSVPs`,
+    };
+  }
+  if (event.dateTime <= now) {
+    return { status: 400, message: "This event has already started and is not accepting RSVPs" };
+  }
+  if (event.attendees?.some((a) => String(a.user) === String(userId))) {
+    return { status: 400, message: "You have already RSVPed to this event" };
+  }
+  if (event.waitlist?.some((w) => String(w.user) === String(userId))) {
+    return { status: 400, message: "You are already on the waitlist for this event" };
+  }
+  if (partySize > (event.maxPartySize || 1)) {
+    return {
+      status: 400,
+      message: `You can bring at most ${(event.maxPartySize || 1) - 1} guest(s) to this event`,
+    };
+  }
+  return null;
+};
+
+// POST /api/events/:id/rsvp - join event with capacity & concurrency control.
+// Body: { partySize, answers } - partySize is the user plus guests, up to the
+// event's maxPartySize; answers maps question IDs to the user's answers.
+// When the party doesn't fit the user is queued on the waitlist instead.
+// Responds 409 with { message, conflicts } if the event overlaps events the
+// user attends, unless the body has confirmOverlap: true.
+router.post("/:id/rsvp", authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const eventId = req.params.id;
+
+    const partySize = req.body?.partySize === undefined ? 1 : parseInt(req.body.partySize, 10);
+    if (Number.isNaN(partySize) || partySize < 1) {
+      return res.status(400).json({ message: "Party size must be a positive number" });
+    }
+
+    const now = new Date();
+    const event = await Event.findById(eventId)
+      .select("questions visibility status dateTime endDateTime maxPartySize attendees waitlist")
+      .lean();
+    const refusal = rsvpRefusal(event, userId, partySize, now);
+    if (refusal) {
+      return res.status(refusal.status).json({ message: refusal.message });
+    }
+    const { answers, error } = validateAnswers(event.questions, req.body?.answers);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    // Private events need a valid invite. Its use is counted up front and
+    // given back if the RSVP doesn't go through.
+    const invite = event.visibility === "private" ? req.body?.invite : null;
+    if (event.visibility === "private") {
+      if (!invite) {
+        return res.status(403).json({ message: "This event is invite-only" });
+      }
+      if (!(await Event.redeemInvite(eventId, invite))) {
+        return res.status(403).json({ message: "This invite link is invalid, expired or used up" });
+      }
+    }
+    const fail = async (status, message, details = {}) => {
+      if (invite) await Event.releaseInvite(eventId, invite);
+      return res.status(status).json({ message, ...details });
+    };
+
+    // Warn about events the user already attends at the same time, once the
+    // event is known to accept the RSVP. The user can RSVP anyway by sending
+    // confirmOverlap.
+    if (!req.body?.confirmOverlap) {
+      const conflicts = await Event.find({
+        _id: { $ne: event._id },
+        "attendees.user": userId,
+        status: { $nin: ["draft", "cancelled"] },
+        ...overlapQuery(event.dateTime, eventEnd(event)),
+      })
+        .select("title dateTime endDateTime timeZone")
+        .sort({ dateTime: 1 })
+        .lean();
+      if (conflicts.length > 0) {
+        return fail(409, "This event overlaps events you're attending", { conflicts });
+      }
+    }
+
+    // Atomic update: only add attendee if:
+    // - the event is published (not a draft, cancelled or postponed)
+    // - the event hasn't started yet
+    // - user is not already in attendees or on the waitlist
+    // - the party is within the event's per-RSVP limit
+    // - seats taken plus the party still fit in capacity
+    const updated = await Event.findOneAndUpdate(
+      {
+        _id: eventId,
+        status: { $in: OPEN_STATUSES },
+        dateTime: { $gt: now },
+        "attendees.user": { $ne: userId },
+        "waitlist.user": { $ne: userId },
+        $expr: {
+          $and: [
+            { $lte: [partySize, { $ifNull: ["$maxPartySize", 1] }] },
+            { $lte: [{ $add: [seatsTakenExpr, partySize] }, "$capacity"] },
+          ],
+        },
+      },
+      { $push: { attendees: { user: userId, partySize, answers } } },
+      { new: true }
+    ).lean();
+
+    if (updated) {
+      await RsvpActivity.record(eventId, userId, "rsvp", { partySize });
+      await Notification.notify([userId], "rsvp_confirmed", updated);
+      return res.json({
+        ...toEventResponse(updated, req.user),
+        waitlisted: false,
+        ticketCode: createTicketCode(eventId, userId),
+      });
     }
-    if (endDate) {
-      query.dateTime = { ...query.dateTime, $lte: new Date(endDate) };
+
+    // The event may have changed since it was checked above
+    const existing = await Event.findById(eventId).lean();
+    const changed = rsvpRefusal(existing, userId, partySize, now);
+    if (changed) {
+      return fail(changed.status, changed.message);
     }
-    
-    // Search by title, description, or location
-    if (search) {
-      query.$or = [
-        { title: { $regex: search, $options: "i" } },
-        { description: { $regex: search, $options: "i" } },
-        { location: { $regex: search, $options: "i" } },
-      ];
+
+    // Atomic update: only queue the user while the party still doesn't fit,
+    // so nobody lands on the waitlist of an event with enough free seats
+    const queued = await Event.findOneAndUpdate(
+      {
+        _id: eventId,
+        status: { $in: OPEN_STATUSES },
+        dateTime: { $gt: now },
+        "attendees.user": { $ne: userId },
+        "waitlist.user": { $ne: userId },
+        $expr: { $gt: [{ $add: [seatsTakenExpr, partySize] }, "$capacity"] },
+      },
+      { $push: { waitlist: { user: userId, partySize, answers } } },
+      { new: true }
+    ).lean();
+
+    if (!queued) {
+      return fail(400, "Unable to RSVP. Please try again.");
     }
-    
-    const events = await Event.find(query)
-      .sort({ dateTime: 1 })
-      .populate("createdBy", "name email")
-      .lean();
+    await RsvpActivity.record(eventId, userId, "waitlist", { partySize });
 
-    const withCounts = events.map((e) => ({
-      ...e,
-      attendeeCount: e.attendees?.length || 0,
-    }));
+    // A seat may have been freed between the two updates above
+    await Event.promoteWaitlist(eventId);
+    const current = await Event.findById(eventId).lean();
+    const position =
+      (current.waitlist || []).findIndex((w) => String(w.user) === String(userId)) + 1;
+    const waitlisted = position > 0;
+    // Users who got a seat right away are notified of the promotion instead
+    if (waitlisted) {
+      await Notification.notify([userId], "waitlisted", current, { position });
+    }
 
-    return res.json(withCounts);
+    return res.status(waitlisted ? 202 : 200).json({
+      ...toEventResponse(current, req.user),
+      waitlisted,
+      ...(waitlisted ? {} : { ticketCode: createTicketCode(eventId, userId) }),
+    });
   } catch (err) {
-    console.error("List events error", err);
+    console.error("RSVP join error", err);
     return res.status(500).json({ message: "Server error" });
   }
 });
 
-// GET /api/events/my-events - get events created by user (must come before /:id)
-router.get("/my-events", authMiddleware, async (req, res) => {
+// GET /api/events/:id/answers - every attendee's registration answers (owner and managers)
+router.get("/:id/answers", authMiddleware, async (req, res) => {
   try {
-    const events = await Event.find({ createdBy: req.user.id })
-      .sort({ dateTime: 1 })
-      .populate("createdBy", "name email")
+    const event = await Event.findById(req.params.id)
+      .populate("attendees.user", "name email")
+      .populate("waitlist.user", "name email")
       .lean();
+    if (!event) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+    if (!canManageEvent(event, req.user, "manageAttendees")) {
+      return res.status(403).json({ message: "Not authorized to view responses for this event" });
+    }
 
-    const withCounts = events.map((e) => ({
-      ...e,
-      attendeeCount: e.attendees?.length || 0,
-    }));
+    const toResponse = (status) => (entry) => ({
+      user: entry.user,
+      status,
+      partySize: entry.partySize || 1,
+      joinedAt: entry.joinedAt,
+      answers: Object.fromEntries(
+        (entry.answers || []).map((a) => [String(a.question), a.value])
+      ),
+    });
 
-    return res.json(withCounts);
+    return res.json({
+      questions: event.questions || [],
+      responses: [
+        ...(event.attendees || []).map(toResponse("attending")),
+        ...(event.waitlist || []).map(toResponse("waitlisted")),
+      ],
+    });
   } catch (err) {
-    console.error("Get my events error", err);
+    console.error("Get event answers error", err);
     return res.status(500).json({ message: "Server error" });
   }
 });
 
-// GET /api/events/attending - get events user is attending (must come before /:id)
-router.get("/attending", authMiddleware, async (req, res) => {
+// Check-in totals for the organizer's live counter
+const checkInStats = (event) => {
+  const attendees = event.attendees || [];
+  const checkedIn = attendees.filter((a) => a.checkedInAt);
+  return {
+    rsvpCount: attendees.length,
+    seatsTaken: seatsTaken(event),
+    checkedInCount: checkedIn.length,
+    checkedInSeats: checkedIn.reduce((sum, a) => sum + (a.partySize || 1), 0),
+  };
+};
+
+// GET /api/events/:id/checkin - checked-in vs. RSVPed counts (owner and managers)
+router.get("/:id/checkin", authMiddleware, async (req, res) => {
   try {
-    const events = await Event.find({ attendees: req.user.id })
-      .sort({ dateTime: 1 })
-      .populate("createdBy", "name email")
+    const event = await Event.findById(req.params.id)
+      .select("title createdBy coHosts attendees.partySize attendees.checkedInAt")
       .lean();
+    if (!event) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+    if (!canManageEvent(event, req.user, "manageAttendees")) {
+      return res.status(403).json({ message: "Not authorized to check in attendees" });
+    }
 
-    const withCounts = events.map((e) => ({
-      ...e,
-      attendeeCount: e.attendees?.length || 0,
-    }));
-
-    return res.json(withCounts);
+    return res.json({ title: event.title, ...checkInStats(event) });
   } catch (err) {
-    console.error("Get attending events error", err);
+    console.error("Get check-in stats error", err);
     return res.status(500).json({ message: "Server error" });
   }
 });
 
-// GET /api/events/:id - get single event
-router.get("/:id", async (req, res) => {
+// POST /api/events/:id/checkin - check in an attendee by ticket code (owner and managers)
+router.post("/:id/checkin", authMiddleware, async (req, res) => {
   try {
-    const event = await Event.findById(req.params.id)
-      .populate("createdBy", "name email")
-      .lean();
+    const eventId = req.params.id;
+    const event = await Event.findById(eventId).select("createdBy coHosts").lean();
     if (!event) {
       return res.status(404).json({ message: "Event not found" });
     }
+    if (!canManageEvent(event, req.user, "manageAttendees")) {
+      return res.status(403).json({ message: "Not authorized to check in attendees" });
+    }
+
+    const ticket = verifyTicketCode(req.body?.code);
+    if (!ticket) {
+      return res.status(400).json({ message: "Invalid ticket code" });
+    }
+    if (ticket.eventId !== String(eventId)) {
+      return res.status(400).json({ message: "This ticket is for a different event" });
+    }
+
+    // Atomic update: only check in an attendee who hasn't been checked in yet
+    const updated = await Event.findOneAndUpdate(
+      {
+        _id: eventId,
+        attendees: { $elemMatch: { user: ticket.userId, checkedInAt: null } },
+      },
+      { $set: { "attendees.$.checkedInAt": new Date() } },
+      { new: true }
+    )
+      .populate("attendees.user", "name email")
+      .lean();
+
+    if (!updated) {
+      const existing = await Event.findById(eventId).lean();
+      const attendee = existing?.attendees?.find(
+        (a) => String(a.user) === ticket.userId
+      );
+      if (!attendee) {
+        return res.status(404).json({ message: "Ticket holder is no longer attending this event" });
+      }
+      return res.status(409).json({
+        message: "Ticket has already been checked in",
+        checkedInAt: attendee.checkedInAt,
+      });
+    }
+
+    const attendee = updated.attendees.find(
+      (a) => String(a.user?._id) === ticket.userId
+    );
     return res.json({
-      ...event,
-      attendeeCount: event.attendees?.length || 0,
+      attendee: {
+        user: attendee.user,
+        partySize: attendee.partySize || 1,
+        checkedInAt: attendee.checkedInAt,
+      },
+      ...checkInStats(updated),
     });
   } catch (err) {
-    console.error("Get event error", err);
+    console.error("Check-in error", err);
     return res.status(500).json({ message: "Server error" });
   }
 });
 
-// POST /api/events - create event
-router.post(
-  "/",
-  authMiddleware,
-  upload.single("image"),
-  async (req, res) => {
-    try {
-      const { title, description, dateTime, location, capacity } = req.body;
-      if (!title || !description || !dateTime || !location || !capacity) {
-        return res.status(400).json({ message: "All fields are required" });
-      }
-
-      const parsedCapacity = parseInt(capacity, 10);
-      if (Number.isNaN(parsedCapacity) || parsedCapacity < 1) {
-        return res.status(400).json({ message: "Capacity must be a positive number" });
-      }
+// PATCH /api/events/:id/rsvp - change party size without losing the spot
+router.patch("/:id/rsvp", authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const eventId = req.params.id;
 
-      // Convert image to base64 if provided
-      let imageData = null;
-      let imageContentType = null;
-      if (req.file) {
-        imageData = req.file.buffer.toString('base64');
-        imageContentType = req.file.mimetype;
-      }
+    const partySize = parseInt(req.body?.partySize, 10);
+    if (Number.isNaN(partySize) || partySize < 1) {
+      return res.status(400).json({ message: "Party size must be a positive number" });
+    }
 
-      const event = await Event.create({
-        title,
-        description,
-        dateTime: new Date(dateTime),
-        location,
-        capacity: parsedCapacity,
-        imageData,
-        imageContentType,
-        createdBy: req.user.id,
-        attendees: [],
-      });
+    // $expr is not cast by Mongoose, so compare against a real ObjectId
+    const userObjectId = new mongoose.Types.ObjectId(userId);
+    const othersSeats = {
+      $sum: {
+        $map: {
+          input: {
+            $filter: { input: "$attendees", cond: { $ne: ["$$this.user", userObjectId] } },
+          },
+          in: "$$this.partySize",
+        },
+      },
+    };
 
-      return res.status(201).json(event);
-    } catch (err) {
-      console.error("Create event error", err);
-      if (err.message === 'Only image files are allowed') {
-        return res.status(400).json({ message: err.message });
-      }
-      return res.status(500).json({ message: "Server error" });
-    }
-  }
-);
+    // Atomic update: the event must still be open and not started, and the
+    // new party size must fit alongside everyone else. Returns the event as it
+    // was, to log the old party size.
+    const now = new Date();
+    const previous = await Event.findOneAndUpdate(
+      {
+        _id: eventId,
+        status: { $in: OPEN_STATUSES },
+        dateTime: { $gt: now },
+        "attendees.user": userId,
+        $expr: {
+          $and: [
+            { $lte: [partySize, { $ifNull: ["$maxPartySize", 1] }] },
+            { $lte: [{ $add: [othersSeats, partySize] }, "$capacity"] },
+          ],
+        },
+      },
+      { $set: { "attendees.$.partySize": partySize } }
+    ).lean();
 
-// PUT /api/events/:id - update event (only creator)
-router.put(
-  "/:id",
-  authMiddleware,
-  upload.single("image"),
-  async (req, res) => {
-    try {
-      const event = await Event.findById(req.params.id);
-      if (!event) {
+    if (!previous) {
+      const existing = await Event.findById(eventId).lean();
+      if (!existing || existing.status === "draft") {
         return res.status(404).json({ message: "Event not found" });
       }
-      if (String(event.createdBy) !== req.user.id) {
-        return res.status(403).json({ message: "Not authorized to edit this event" });
+      if (!existing.attendees?.some((a) => String(a.user) === String(userId))) {
+        return res.status(400).json({ message: "You have not RSVPed to this event" });
       }
-
-      const { title, description, dateTime, location, capacity, category } = req.body;
-      if (title) event.title = title;
-      if (description) event.description = description;
-      if (dateTime) event.dateTime = new Date(dateTime);
-      if (location) event.location = location;
-      if (category) event.category = category;
-      if (capacity) {
-        const parsedCapacity = parseInt(capacity, 10);
-        if (Number.isNaN(parsedCapacity) || parsedCapacity < 1) {
-          return res.status(400).json({ message: "Capacity must be a positive number" });
-        }
-        if (parsedCapacity < event.attendees.length) {
-          return res
-            .status(400)
-            .json({ message: "Capacity cannot be less than current attendee count" });
-        }
-        event.capacity = parsedCapacity;
+      if (existing.status === "cancelled" || existing.status === "postponed") {
+        return res.status(400).json({
+          message: `This event has been ${existing.status} and is not accepting RSVP changes`,
+        });
       }
-
-      // Update image if new one is provided
-      if (req.file) {
-        event.imageData = req.file.buffer.toString('base64');
-        event.imageContentType = req.file.mimetype;
+      if (existing.dateTime <= now) {
+        return res.status(400).json({ message: "RSVPs are closed for this event" });
       }
-
-      await event.save();
-      return res.json(event);
-    } catch (err) {
-      console.error("Update event error", err);
-      if (err.message === 'Only image files are allowed') {
-        return res.status(400).json({ message: err.message });
+      if (partySize > (existing.maxPartySize || 1)) {
+        return res.status(400).json({
+          message: `You can bring at most ${(existing.maxPartySize || 1) - 1} guest(s) to this event`,
+        });
       }
-      return res.status(500).json({ message: "Server error" });
+      return res.status(400).json({ message: "Not enough seats left for your party" });
     }
+
+    const previousPartySize =
+      previous.attendees.find((a) => String(a.user) === String(userId))?.partySize || 1;
+    if (previousPartySize !== partySize) {
+      await RsvpActivity.record(eventId, userId, "resize", { partySize, previousPartySize });
+    }
+
+    // A smaller party may have freed seats for the waitlist
+    await Event.promoteWaitlist(eventId);
+    const current = await Event.findById(eventId).lean();
+    return res.json(toEventResponse(current, req.user));
+  } catch (err) {
+    console.error("RSVP update error", err);
+    return res.status(500).json({ message: "Server error" });
   }
-);
+});
 
-// DELETE /api/events/:id - delete event (only creator)
-router.delete("/:id", authMiddleware, async (req, res) => {
+// POST /api/events/:id/unrsvp - leave event (or its waitlist)
+router.post("/:id/unrsvp", authMiddleware, async (req, res) => {
   try {
-    const event = await Event.findById(req.params.id);
-    if (!event) {
+    const userId = req.user.id;
+    const eventId = req.params.id;
+
+    // The event as it was before, to log what the user left
+    const previous = await Event.findOneAndUpdate(
+      { _id: eventId },
+      { $pull: { attendees: { user: userId }, waitlist: { user: userId } } }
+    ).lean();
+
+    if (!previous) {
       return res.status(404).json({ message: "Event not found" });
     }
-    if (String(event.createdBy) !== req.user.id) {
-      return res.status(403).json({ message: "Not authorized to delete this event" });
+    const isMe = (a) => String(a.user) === String(userId);
+    const attendee = previous.attendees?.find(isMe);
+    const waiting = previous.waitlist?.find(isMe);
+    if (attendee || waiting) {
+      await RsvpActivity.record(eventId, userId, attendee ? "cancel" : "leave_waitlist", {
+        partySize: (attendee || waiting).partySize || 1,
+      });
     }
 
-    await event.deleteOne();
-    return res.json({ message: "Event deleted" });
+    // Hand the freed seats to the next people in line
+    await Event.promoteWaitlist(eventId);
+    const current = await Event.findById(eventId).lean();
+    return res.json(toEventResponse(current, req.user));
   } catch (err) {
-    console.error("Delete event error", err);
+    console.error("RSVP leave error", err);
     return res.status(500).json({ message: "Server error" });
   }
 });
 
-// POST /api/events/:id/rsvp - join event with capacity & concurrency control
-router.post("/:id/rsvp", authMiddleware, async (req, res) => {
+// POST /api/events/:id/bookmark - save an event to the user's bookmarks.
+// Private events need the invite token, as for viewing them.
+router.post("/:id/bookmark", authMiddleware, async (req, res) => {
   try {
-    const userId = req.user.id;
-    const eventId = req.params.id;
+    const event = await Event.findById(req.params.id).lean();
+    if (!event || !canViewEvent(event, req.user, req.body?.invite)) {
+      return res.status(404).json({ message: "Event not found" });
+    }
 
-    // Atomic update: only add attendee if:
-    // - user is not already in attendees
-    // - attendees array size is still less than capacity
-    const updated = await Event.findOneAndUpdate(
-      {
-        _id: eventId,
-        attendees: { $ne: userId },
-        $expr: { $lt: [{ $size: "$attendees" }, "$capacity"] },
-      },
-      { $addToSet: { attendees: userId } },
+    const updated = await Event.findByIdAndUpdate(
+      event._id,
+      { $addToSet: { bookmarkedBy: req.user.id } },
       { new: true }
     ).lean();
+    if (!updated) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+
+    return res.json(toEventResponse(updated, req.user));
+  } catch (err) {
+    console.error("Bookmark error", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
 
+// POST /api/events/:id/unbookmark - remove an event from the user's bookmarks
+router.post("/:id/unbookmark", authMiddleware, async (req, res) => {
+  try {
+    const updated = await Event.findByIdAndUpdate(
+      req.params.id,
+      { $pull: { bookmarkedBy: req.user.id } },
+      { new: true }
+    ).lean();
     if (!updated) {
-      const existing = await Event.findById(eventId).lean();
-      if (!existing) {
-        return res.status(404).json({ message: "Event not found" });
-      }
-      const alreadyJoined = existing.attendees?.some(
-        (a) => String(a) === String(userId)
-      );
-      if (alreadyJoined) {
-        return res.status(400).json({ message: "You have already RSVPed to this event" });
-      }
-      if ((existing.attendees?.length || 0) >= existing.capacity) {
-        return res.status(400).json({ message: "Event is already full" });
-      }
-      return res.status(400).json({ message: "Unable to RSVP. Please try again." });
+      return res.status(404).json({ message: "Event not found" });
     }
 
-    return res.json({
-      ...updated,
-      attendeeCount: updated.attendees?.length || 0,
-    });
+    return res.json(toEventResponse(updated, req.user));
   } catch (err) {
-    console.error("RSVP join error", err);
+    console.error("Unbookmark error", err);
     return res.status(500).json({ message: "Server error" });
   }
 });
 
-// POST /api/events/:id/unrsvp - leave event
-router.post("/:id/unrsvp", authMiddleware, async (req, res) => {
+// POST /api/events/:id/feedback - rate an event the user attended, once it
+// has ended: a rating from 1 to 5 stars and an optional comment. Rating again
+// replaces the earlier feedback.
+router.post("/:id/feedback", authMiddleware, async (req, res) => {
   try {
-    const userId = req.user.id;
-    const eventId = req.params.id;
+    const event = await Event.findById(req.params.id).lean();
+    if (!event) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+    if (!attendedEvent(event, req.user.id)) {
+      return res.status(403).json({ message: "Only attendees can rate this event" });
+    }
+    if (!OPEN_STATUSES.includes(event.status ?? null) || eventEnd(event) > new Date()) {
+      return res.status(400).json({ message: "Events can be rated once they have taken place" });
+    }
 
-    const updated = await Event.findOneAndUpdate(
-      { _id: eventId },
-      { $pull: { attendees: userId } },
-      { new: true }
+    const { value, error } = parseFeedback(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const feedback = await Feedback.findOneAndUpdate(
+      { event: event._id, user: req.user.id },
+      { $set: value },
+      { upsert: true, new: true, runValidators: true }
     ).lean();
+    return res.json(feedback);
+  } catch (err) {
+    console.error("Submit feedback error", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
 
-    if (!updated) {
+// GET /api/events/:id/feedback - rating summary and comments for an event
+// (authenticated, organizers). Comments are anonymous.
+router.get("/:id/feedback", authMiddleware, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id).lean();
+    if (!event) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+    if (!getEventRole(event, req.user)) {
+      return res.status(403).json({ message: "Not authorized to view feedback for this event" });
+    }
+
+    const [counts, comments] = await Promise.all([
+      Feedback.ratingCounts([event._id]),
+      Feedback.find({ event: event._id, comment: { $nin: [null, ""] } })
+        .sort({ createdAt: -1 })
+        .select("rating comment createdAt")
+        .lean(),
+    ]);
+
+    return res.json({ ...summarizeRatings(counts), comments });
+  } catch (err) {
+    console.error("Get event feedback error", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+// GET /api/events/:id/analytics - RSVP analytics for one event (authenticated,
+// creator or co-host): totals and rates (see summarizeActivity) plus signups,
+// cancellations and seats taken per day in the event's time zone
+router.get("/:id/analytics", authMiddleware, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id).lean();
+    if (!event) {
       return res.status(404).json({ message: "Event not found" });
     }
+    if (!getEventRole(event, req.user)) {
+      return res.status(403).json({ message: "Not authorized to view analytics for this event" });
+    }
 
+    const activities = await RsvpActivity.find({ event: event._id })
+      .select("action partySize previousPartySize at")
+      .lean();
+    const taken = seatsTaken(event);
     return res.json({
-      ...updated,
-      attendeeCount: updated.attendees?.length || 0,
+      capacity: event.capacity,
+      seatsTaken: taken,
+      attendeeCount: event.attendees?.length || 0,
+      waitlistCount: event.waitlist?.length || 0,
+      ...summarizeActivity(activities, {
+        capacity: event.capacity,
+        seatsTaken: taken,
+        createdAt: event.createdAt,
+      }),
+      byDay: activityByDay(activities, event.timeZone || DEFAULT_TIME_ZONE),
     });
   } catch (err) {
-    console.error("RSVP leave error", err);
+    console.error("Get event analytics error", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+// GET /api/events/:id/history - the event's revision history with RSVP
+// changes, newest first (authenticated, creator only; still available after
+// the event is deleted). Each entry has the action, actor, time and field-level
+// changes ([{ field, from, to }]).
+router.get("/:id/history", authMiddleware, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id).select("createdBy").lean();
+    const owner = event
+      ? event.createdBy
+      : (await EventRevision.findOne({ event: req.params.id }).select("owner").lean())?.owner;
+    if (!owner) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+    if (String(owner) !== String(req.user.id)) {
+      return res.status(403).json({ message: "Only the event creator can view its history" });
+    }
+
+    const [revisions, activities] = await Promise.all([
+      EventRevision.find({ event: req.params.id })
+        .select("-snapshot")
+        .populate("actor", "name email")
+        .lean(),
+      RsvpActivity.find({ event: req.params.id })
+        .populate("user", "name email")
+        .populate("actor", "name email")
+        .lean(),
+    ]);
+
+    const history = [
+      ...revisions.map((r) => ({
+        _id: r._id,
+        type: "revision",
+        action: r.action,
+        actor: r.actor,
+        at: r.at,
+        changes: r.changes,
+        restoredFrom: r.restoredFrom,
+        // Deletes have nothing to go back to
+        restorable: Boolean(event) && r.action !== "delete",
+      })),
+      ...activities.map((a) => ({
+        _id: a._id,
+        type: "rsvp",
+        action: a.action,
+        // Automatic promotions have no actor
+        actor: a.actor || (a.action === "promoted" ? null : a.user),
+        at: a.at,
+        changes: activityChanges(a),
+        restorable: false,
+      })),
+    ].sort((a, b) => new Date(b.at) - new Date(a.at));
+
+    return res.json(history);
+  } catch (err) {
+    console.error("Get event history error", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+// POST /api/events/:id/history/:revisionId/restore - put the event's details
+// back the way they were after a revision (authenticated, creator only).
+// Attendees, the waitlist, the lifecycle status and images are left as they
+// are (see RESTORABLE_FIELDS).
+router.post("/:id/history/:revisionId/restore", authMiddleware, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+    if (!canManageEvent(event, req.user, "own")) {
+      return res.status(403).json({ message: "Only the event creator can restore earlier versions" });
+    }
+
+    const revision = await EventRevision.findOne({
+      _id: req.params.revisionId,
+      event: event._id,
+    }).lean();
+    if (!revision || revision.action === "delete" || !revision.snapshot) {
+      return res.status(404).json({ message: "Revision not found" });
+    }
+    const { snapshot } = revision;
+    if (snapshot.capacity < seatsTaken(event)) {
+      return res
+        .status(400)
+        .json({ message: "That version's capacity is less than the seats already taken" });
+    }
+
+    const before = snapshotEvent(event);
+    for (const field of RESTORABLE_FIELDS) {
+      event.set(field, snapshot[field] ?? undefined);
+    }
+    await event.save();
+    await EventRevision.record("restore", event, {
+      before,
+      actor: req.user.id,
+      restoredFrom: revision._id,
+    });
+    await notifyDetailChanges(event, before);
+
+    // A restored, larger capacity may free seats for the waitlist
+    await Event.promoteWaitlist(event._id);
+    const current = await Event.findById(event._id).lean();
+    return res.json(toEventResponse(current, req.user));
+  } catch (err) {
+    console.error("Restore event revision error", err);
     return res.status(500).json({ message: "Server error" });
   }
 });
 
-// GET /api/events/user/my-events - get events created by user
+// GET /api/events/user/my-events - get events the user created or co-hosts
 router.get("/user/my-events", authMiddleware, async (req, res) => {
   try {
-    const userId = req.user.id;
-    const events = await Event.find({ createdBy: userId })
-      .sort({ dateTime: 1 })
+    const archive = parseArchive(req.query.archive, "all");
+    if (archive.error) {
+      return res.status(400).json({ message: archive.error });
+    }
+    const list = archiveListOptions(archive.value, new Date());
+    const events = await Event.find({ ...hostedBy(req.user), ...list.query })
+      .sort(list.sort)
       .populate("createdBy", "name email")
+      .populate("series", "recurrence")
       .lean();
 
-    const withCounts = events.map((e) => ({
-      ...e,
-      attendeeCount: e.attendees?.length || 0,
-    }));
-
-    return res.json(withCounts);
+    return res.json(events.map((e) => toEventResponse(e, req.user)));
   } catch (err) {
     console.error("Get my events error", err);
     return res.status(500).json({ message: "Server error" });
@@ -342,18 +2564,19 @@ router.get("/user/my-events", authMiddleware, async (req, res) => {
 // GET /api/events/user/attending - get events user is attending
 router.get("/user/attending", authMiddleware, async (req, res) => {
   try {
+    const archive = parseArchive(req.query.archive, "all");
+    if (archive.error) {
+      return res.status(400).json({ message: archive.error });
+    }
+    const list = archiveListOptions(archive.value, new Date());
     const userId = req.user.id;
-    const events = await Event.find({ attendees: userId })
-      .sort({ dateTime: 1 })
+    const events = await Event.find({ "attendees.user": userId, ...list.query })
+      .sort(list.sort)
       .populate("createdBy", "name email")
+      .populate("series", "recurrence")
       .lean();
 
-    const withCounts = events.map((e) => ({
-      ...e,
-      attendeeCount: e.attendees?.length || 0,
-    }));
-
-    return res.json(withCounts);
+    return res.json(events.map((e) => toEventResponse(e, req.user)));
   } catch (err) {
     console.error("Get attending events error", err);
     return res.status(500).json({ message: "Server error" });
@@ -0,0 +1,73 @@
+import express from "express";
+import mongoose from "mongoose";
+import Notification from "../models/Notification.js";
+import { authMiddleware } from "../middleware/auth.js";
+import { parseLimit } from "../utils/pagination.js";
+
+const router = express.Router();
+
+// GET /api/notifications - the user's notifications, newest first, with the unread count.
+// Query: limit (default 20), unread=true for unread notifications only.
+router.get("/", authMiddleware, async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit);
+    if (limit.error) {
+      return res.status(400).json({ message: limit.error });
+    }
+    const query = { user: req.user.id };
+    if (req.query.unread === "true") query.readAt = null;
+
+    const [notifications, unreadCount] = await Promise.all([
+      Notification.find(query)
+        .select("-key")
+        .sort({ createdAt: -1 })
+        .limit(limit.value)
+        .lean(),
+      Notification.countDocuments({ user: req.user.id, readAt: null }),
+    ]);
+    return res.json({ notifications, unreadCount });
+  } catch (err) {
+    console.error("List notifications error", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+// POST /api/notifications/read-all - mark all of the user's notifications read
+router.post("/read-all", authMiddleware, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user.id, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+    return res.json({ updatedCount: result.modifiedCount, unreadCount: 0 });
+  } catch (err) {
+    console.error("Mark all notifications read error", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+// POST /api/notifications/:id/read - mark one notification read
+router.post("/:id/read", authMiddleware, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: "Notification not found" });
+    }
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id },
+      [{ $set: { readAt: { $ifNull: ["$readAt", "$$NOW"] } } }],
+      { new: true, updatePipeline: true }
+    )
+      .select("-key")
+      .lean();
+    if (!notification) {
+      return res.status(404).json({ message: "Notification not found" });
+    }
+    const unreadCount = await Notification.countDocuments({ user: req.user.id, readAt: null });
+    return res.json({ notification, unreadCount });
+  } catch (err) {
+    console.error("Mark notification read error", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+export default router;
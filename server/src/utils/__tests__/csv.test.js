@@ -0,0 +1,37 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { parseCsv } from "../csv.js";
+
+describe("parseCsv", () => {
+  it("splits rows and trims cells", () => {
+    assert.deepEqual(parseCsv("title, capacity\nMeetup ,10\n"), [
+      { line: 1, cells: ["title", "capacity"] },
+      { line: 2, cells: ["Meetup", "10"] },
+    ]);
+  });
+
+  it("keeps commas, newlines and doubled quotes inside quoted cells", () => {
+    const rows = parseCsv('title,description\n"Talks, drinks","Line one\nLine ""two"""\n');
+    assert.deepEqual(rows[1].cells, ["Talks, drinks", 'Line one\nLine "two"']);
+  });
+
+  it("numbers rows by the line they start on, past multi-line cells and blank lines", () => {
+    const rows = parseCsv('title,description\n"A","one\ntwo"\n\nB,three\n');
+    assert.deepEqual(
+      rows.map((r) => r.line),
+      [1, 2, 5]
+    );
+  });
+
+  it("handles CRLF line endings, a byte order mark and a missing final newline", () => {
+    assert.deepEqual(parseCsv("\uFEFFtitle\r\nA\r\nB"), [
+      { line: 1, cells: ["title"] },
+      { line: 2, cells: ["A"] },
+      { line: 3, cells: ["B"] },
+    ]);
+  });
+
+  it("keeps empty cells so columns stay aligned", () => {
+    assert.deepEqual(parseCsv("a,b,c\n,x,\n")[1].cells, ["", "x", ""]);
+  });
+});
@@ -0,0 +1,113 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { buildCalendar, parseCalendar } from "../ical.js";
+
+const calendar = (...lines) =>
+  ["BEGIN:VCALENDAR", "VERSION:2.0", ...lines, "END:VCALENDAR"].join("\r\n");
+
+describe("parseCalendar", () => {
+  it("reads UTC times and unescapes text", () => {
+    const [event] = parseCalendar(
+      calendar(
+        "BEGIN:VEVENT",
+        "UID:1@example.com",
+        "SUMMARY:Talks\\, drinks\\; more",
+        "DESCRIPTION:Line one\\nLine two",
+        "LOCATION:Hall A",
+        "DTSTART:20250601T180000Z",
+        "DTEND:20250601T200000Z",
+        "END:VEVENT"
+      )
+    );
+    assert.deepEqual(event, {
+      uid: "1@example.com",
+      title: "Talks, drinks; more",
+      description: "Line one\nLine two",
+      location: "Hall A",
+      dateTime: new Date("2025-06-01T18:00:00Z"),
+      endDateTime: new Date("2025-06-01T20:00:00Z"),
+      timeZone: undefined,
+      cancelled: false,
+    });
+  });
+
+  it("unfolds continuation lines", () => {
+    const [event] = parseCalendar(
+      calendar(
+        "BEGIN:VEVENT",
+        "SUMMARY:A very long",
+        "  title",
+        "DESCRIPTION:Folded with",
+        "\ta tab",
+        "DTSTART:20250601T180000Z",
+        "END:VEVENT"
+      )
+    );
+    assert.equal(event.title, "A very long title");
+    assert.equal(event.description, "Folded witha tab");
+  });
+
+  it("converts TZID times from their zone and keeps the zone", () => {
+    const [event] = parseCalendar(
+      calendar(
+        "BEGIN:VEVENT",
+        "DTSTART;TZID=America/New_York:20250115T190000",
+        "DTEND;TZID=America/New_York:20250115T210000",
+        "END:VEVENT"
+      )
+    );
+    assert.equal(event.dateTime.toISOString(), "2025-01-16T00:00:00.000Z");
+    assert.equal(event.endDateTime.toISOString(), "2025-01-16T02:00:00.000Z");
+    assert.equal(event.timeZone, "America/New_York");
+  });
+
+  it("reads DATE-only values and unknown TZIDs as UTC", () => {
+    const [allDay, unknownZone] = parseCalendar(
+      calendar(
+        "BEGIN:VEVENT",
+        "DTSTART;VALUE=DATE:20250704",
+        "END:VEVENT",
+        "BEGIN:VEVENT",
+        "DTSTART;TZID=Mars/Olympus:20250704T120000",
+        "END:VEVENT"
+      )
+    );
+    assert.equal(allDay.dateTime.toISOString(), "2025-07-04T00:00:00.000Z");
+    assert.equal(unknownZone.dateTime.toISOString(), "2025-07-04T12:00:00.000Z");
+    assert.equal(unknownZone.timeZone, undefined);
+  });
+
+  it("gives malformed or missing dates as null and flags cancelled events", () => {
+    const [bad, missing] = parseCalendar(
+      calendar(
+        "BEGIN:VEVENT",
+        "DTSTART:June 1st",
+        "STATUS:CANCELLED",
+        "END:VEVENT",
+        "BEGIN:VEVENT",
+        "SUMMARY:No start",
+        "END:VEVENT"
+      )
+    );
+    assert.equal(bad.dateTime, null);
+    assert.equal(bad.cancelled, true);
+    assert.equal(missing.dateTime, null);
+    assert.equal(missing.endDateTime, null);
+  });
+
+  it("reads back what buildCalendar writes, including folded lines", () => {
+    const source = {
+      _id: "abc",
+      title: "Launch party, with a title long enough that the line has to be folded",
+      description: "Bring friends",
+      location: "Rooftop",
+      dateTime: new Date("2025-06-01T18:00:00Z"),
+      endDateTime: new Date("2025-06-01T21:00:00Z"),
+    };
+    const [event] = parseCalendar(buildCalendar([source]));
+    assert.equal(event.uid, "abc@eventhub");
+    assert.equal(event.title, source.title);
+    assert.deepEqual(event.dateTime, source.dateTime);
+    assert.deepEqual(event.endDateTime, source.endDateTime);
+  });
+});
@@ -0,0 +1,119 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { readCsvImport, readIcsImport, insertEach } from "../imports.js";
+
+describe("readCsvImport", () => {
+  it("maps columns to fields by loose header names and keeps line numbers", () => {
+    const { columns, mapping, rows } = readCsvImport(
+      'Title,Date Time,Capacity\n"Talks, drinks",2025-06-01T18:00,20\n',
+      {}
+    );
+    assert.deepEqual(columns, ["Title", "Date Time", "Capacity"]);
+    assert.deepEqual(mapping, { title: "Title", dateTime: "Date Time", capacity: "Capacity" });
+    assert.deepEqual(rows, [
+      { row: 2, values: { title: "Talks, drinks", dateTime: "2025-06-01T18:00", capacity: "20" } },
+    ]);
+  });
+
+  it("uses the requested mapping over matching headers", () => {
+    const { rows } = readCsvImport("Name,title\nA,B\n", { title: "Name" });
+    assert.equal(rows[0].values.title, "A");
+  });
+
+  it("leaves cells missing from short rows undefined, for validation to report", () => {
+    const { rows } = readCsvImport("title,capacity\nOnly a title\n", {});
+    assert.deepEqual(rows[0].values, { title: "Only a title", capacity: undefined });
+  });
+
+  it("rejects empty files and mappings to missing columns", () => {
+    assert.deepEqual(readCsvImport("\n\n", {}), { error: "The file is empty" });
+    assert.deepEqual(readCsvImport("title\nA\n", { capacity: "Seats" }), {
+      error: 'Column "Seats" not found in the file',
+    });
+  });
+});
+
+describe("readIcsImport", () => {
+  it("numbers rows by VEVENT and skips cancelled events", () => {
+    const { rows } = readIcsImport(
+      [
+        "BEGIN:VCALENDAR",
+        "BEGIN:VEVENT",
+        "SUMMARY:Kept",
+        "DTSTART:20250601T180000Z",
+        "END:VEVENT",
+        "BEGIN:VEVENT",
+        "SUMMARY:Called off",
+        "STATUS:CANCELLED",
+        "END:VEVENT",
+        "END:VCALENDAR",
+      ].join("\r\n")
+    );
+    assert.deepEqual(
+      rows.map(({ row, values, skip }) => [row, values.title, skip]),
+      [
+        [1, "Kept", null],
+        [2, "Called off", "Event is cancelled in the source calendar"],
+      ]
+    );
+  });
+});
+
+describe("insertEach", () => {
+  const docs = [{ _id: "a" }, { _id: "b" }, { _id: "c" }, { _id: "d" }];
+  const model = (insertMany) => ({ insertMany });
+
+  it("returns every document when all are inserted", async () => {
+    const outcomes = await insertEach(
+      model(async (inserted) => inserted),
+      docs
+    );
+    assert.deepEqual(outcomes, docs.map((doc) => ({ doc })));
+  });
+
+  it("matches write errors back to their documents by index", async (t) => {
+    t.mock.method(console, "error", () => {});
+    // Shaped like the error Mongoose throws for an unordered insert: write
+    // error indexes point into the documents passed in
+    const err = Object.assign(new Error("E11000 duplicate key error"), {
+      insertedDocs: [docs[0], docs[2]],
+      writeErrors: [
+        { index: 1, errmsg: "E11000 duplicate key error" },
+        { index: 3, err: { errmsg: "Document failed validation" } },
+      ],
+    });
+    const outcomes = await insertEach(
+      model(async () => {
+        throw err;
+      }),
+      docs
+    );
+    assert.deepEqual(outcomes, [
+      { doc: docs[0] },
+      { error: "E11000 duplicate key error" },
+      { doc: docs[2] },
+      { error: "Document failed validation" },
+    ]);
+  });
+
+  it("reports documents dropped before the write with a generic error", async () => {
+    const outcomes = await insertEach(
+      model(async () => [docs[0]]),
+      docs.slice(0, 2)
+    );
+    assert.deepEqual(outcomes, [{ doc: docs[0] }, { error: "The event could not be saved" }]);
+  });
+
+  it("rethrows errors that aren't about individual documents", async () => {
+    const down = new Error("connection closed");
+    await assert.rejects(
+      insertEach(
+        model(async () => {
+          throw down;
+        }),
+        docs
+      ),
+      down
+    );
+  });
+});
@@ -0,0 +1,115 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  parseLimit,
+  encodeCursor,
+  decodeCursor,
+  afterCursorStage,
+} from "../pagination.js";
+
+const byDate = { field: "dateTime", order: 1, isDate: true };
+const bySeatsLeft = { field: "seatsLeft", order: 1 };
+const byRecent = { field: "dateTime", order: -1, isDate: true };
+
+const id = new mongoose.Types.ObjectId("65a000000000000000000001");
+const rawCursor = (payload) => Buffer.from(JSON.stringify(payload)).toString("base64url");
+
+describe("parseLimit", () => {
+  it("defaults and bounds the page size", () => {
+    assert.deepEqual(parseLimit(undefined), { value: DEFAULT_PAGE_SIZE });
+    assert.deepEqual(parseLimit("5"), { value: 5 });
+    assert.ok(parseLimit("0").error);
+    assert.ok(parseLimit(String(MAX_PAGE_SIZE + 1)).error);
+    assert.ok(parseLimit("many").error);
+  });
+});
+
+describe("cursors", () => {
+  it("round-trip date sort values and the _id", () => {
+    const doc = { _id: id, dateTime: new Date("2025-06-01T18:00:00Z") };
+    assert.deepEqual(decodeCursor(encodeCursor(doc, byDate), byDate), {
+      value: doc.dateTime,
+      id,
+    });
+  });
+
+  it("round-trip numeric sort values, including zero", () => {
+    const doc = { _id: id, seatsLeft: 0 };
+    assert.deepEqual(decodeCursor(encodeCursor(doc, bySeatsLeft), bySeatsLeft), { value: 0, id });
+  });
+
+  it("reject cursors that aren't base64url JSON", () => {
+    assert.equal(decodeCursor("not a cursor", byDate), null);
+    assert.equal(decodeCursor(Buffer.from("null").toString("base64url"), byDate), null);
+    assert.equal(decodeCursor("", byDate), null);
+  });
+
+  it("reject invalid ids", () => {
+    assert.equal(decodeCursor(rawCursor({ v: "2025-06-01T18:00:00Z", id: "nope" }), byDate), null);
+    assert.equal(decodeCursor(rawCursor({ v: "2025-06-01T18:00:00Z", id: 12 }), byDate), null);
+    assert.equal(decodeCursor(rawCursor({ v: "2025-06-01T18:00:00Z" }), byDate), null);
+  });
+
+  it("reject values of the wrong type, such as query operators", () => {
+    const tampered = (v) => rawCursor({ v, id: String(id) });
+    assert.equal(decodeCursor(tampered("yesterday"), byDate), null);
+    assert.equal(decodeCursor(tampered({ $gt: "" }), byDate), null);
+    assert.equal(decodeCursor(tampered({ $ne: null }), bySeatsLeft), null);
+    assert.equal(decodeCursor(tampered("5"), bySeatsLeft), null);
+    assert.equal(decodeCursor(tampered(null), bySeatsLeft), null);
+  });
+});
+
+describe("afterCursorStage", () => {
+  it("selects later sort values, and equal ones after the _id", () => {
+    const value = new Date("2025-06-01T18:00:00Z");
+    assert.deepEqual(afterCursorStage({ value, id }, byDate), {
+      $match: {
+        $or: [{ dateTime: { $gt: value } }, { dateTime: value, _id: { $gt: id } }],
+      },
+    });
+  });
+
+  it("selects earlier sort values for descending orders, still breaking ties on _id", () => {
+    const value = new Date("2025-06-01T18:00:00Z");
+    assert.deepEqual(afterCursorStage({ value, id }, byRecent).$match.$or, [
+      { dateTime: { $lt: value } },
+      { dateTime: value, _id: { $gt: id } },
+    ]);
+  });
+
+  it("pages through items with equal sort keys without skipping or repeating", () => {
+    // Five events at the same time, sorted by dateTime then _id, two per page
+    const at = new Date("2025-06-01T18:00:00Z");
+    const items = [1, 2, 3, 4, 5].map((n) => ({
+      _id: new mongoose.Types.ObjectId(`65a00000000000000000000${n}`),
+      dateTime: at,
+    }));
+    // Just enough of $match to evaluate the stage: ObjectIds compare as hex
+    // strings and dates by time, like MongoDB orders them
+    const key = (value) => (value instanceof Date ? value.getTime() : String(value));
+    const matches = ({ $match: { $or } }, item) =>
+      $or.some((condition) =>
+        Object.entries(condition).every(([field, test]) =>
+          test.$gt !== undefined
+            ? key(item[field]) > key(test.$gt)
+            : key(item[field]) === key(test)
+        )
+      );
+
+    const seen = [];
+    let cursor = null;
+    do {
+      const after = cursor && decodeCursor(cursor, byDate);
+      const page = items
+        .filter((item) => !after || matches(afterCursorStage(after, byDate), item))
+        .slice(0, 2);
+      seen.push(...page);
+      cursor = page.length === 2 ? encodeCursor(page[1], byDate) : null;
+    } while (cursor);
+    assert.deepEqual(seen, items);
+  });
+});
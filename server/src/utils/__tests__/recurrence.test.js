@@ -0,0 +1,170 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  MAX_OCCURRENCES,
+  parseRecurrence,
+  expandRecurrence,
+  expandRecurrenceInZone,
+  scopeFilter,
+  localShift,
+  shiftOccurrence,
+} from "../recurrence.js";
+
+const iso = (dates) => dates.map((d) => d.toISOString());
+
+describe("parseRecurrence", () => {
+  it("parses JSON sent in multipart forms and defaults the interval to 1", () => {
+    const { rule } = parseRecurrence('{"frequency":"weekly","count":"4"}');
+    assert.deepEqual(rule, {
+      frequency: "weekly",
+      interval: 1,
+      until: null,
+      count: 4,
+      exceptions: [],
+    });
+  });
+
+  it("needs an end date or a count", () => {
+    assert.match(parseRecurrence({ frequency: "daily" }).error, /end date or an occurrence count/);
+  });
+
+  it("rejects counts outside 1 to MAX_OCCURRENCES", () => {
+    assert.ok(parseRecurrence({ frequency: "daily", count: 0 }).error);
+    assert.ok(parseRecurrence({ frequency: "daily", count: MAX_OCCURRENCES + 1 }).error);
+  });
+
+  it("rejects unknown frequencies, bad intervals and bad dates", () => {
+    assert.ok(parseRecurrence({ frequency: "yearly", count: 2 }).error);
+    assert.ok(parseRecurrence({ frequency: "daily", interval: 0, count: 2 }).error);
+    assert.ok(parseRecurrence({ frequency: "daily", until: "soon" }).error);
+    assert.ok(parseRecurrence({ frequency: "daily", count: 2, exceptions: ["nope"] }).error);
+    assert.ok(parseRecurrence("{not json").error);
+  });
+});
+
+describe("expandRecurrence", () => {
+  const start = new Date("2025-01-06T18:00:00Z");
+
+  it("generates count occurrences at the interval", () => {
+    const dates = expandRecurrence(start, { frequency: "weekly", interval: 2, count: 3 });
+    assert.deepEqual(iso(dates), [
+      "2025-01-06T18:00:00.000Z",
+      "2025-01-20T18:00:00.000Z",
+      "2025-02-03T18:00:00.000Z",
+    ]);
+  });
+
+  it("stops after until, including an occurrence on it", () => {
+    const dates = expandRecurrence(start, {
+      frequency: "daily",
+      interval: 1,
+      until: new Date("2025-01-08T18:00:00Z"),
+    });
+    assert.equal(dates.length, 3);
+    assert.equal(dates.at(-1).toISOString(), "2025-01-08T18:00:00.000Z");
+  });
+
+  it("stops at whichever of until and count comes first", () => {
+    const rule = { frequency: "daily", interval: 1, count: 2, until: new Date("2025-02-01") };
+    assert.equal(expandRecurrence(start, rule).length, 2);
+  });
+
+  it("counts exceptions towards count but leaves them out", () => {
+    const dates = expandRecurrence(start, {
+      frequency: "daily",
+      interval: 1,
+      count: 3,
+      exceptions: [new Date("2025-01-07T00:00:00Z")],
+    });
+    assert.deepEqual(iso(dates), ["2025-01-06T18:00:00.000Z", "2025-01-08T18:00:00.000Z"]);
+  });
+
+  it("skips months without the start's day instead of overflowing", () => {
+    const dates = expandRecurrence(new Date("2025-01-31T10:00:00Z"), {
+      frequency: "monthly",
+      interval: 1,
+      count: 3,
+    });
+    assert.deepEqual(iso(dates), [
+      "2025-01-31T10:00:00.000Z",
+      "2025-03-31T10:00:00.000Z",
+      "2025-05-31T10:00:00.000Z",
+    ]);
+  });
+
+  it("never generates more than MAX_OCCURRENCES", () => {
+    const dates = expandRecurrence(start, {
+      frequency: "daily",
+      interval: 1,
+      until: new Date("2030-01-01"),
+    });
+    assert.equal(dates.length, MAX_OCCURRENCES);
+  });
+});
+
+describe("expandRecurrenceInZone", () => {
+  it("keeps the local time across a DST change", () => {
+    // 7 PM in New York, the week before and after clocks go forward on March 9
+    const dates = expandRecurrenceInZone(
+      new Date("2025-03-04T00:00:00Z"),
+      { frequency: "weekly", interval: 1, count: 2 },
+      "America/New_York"
+    );
+    assert.deepEqual(iso(dates), ["2025-03-04T00:00:00.000Z", "2025-03-10T23:00:00.000Z"]);
+  });
+
+  it("matches exceptions against local dates", () => {
+    // 8 PM on January 5 in Los Angeles is already January 6 in UTC
+    const dates = expandRecurrenceInZone(
+      new Date("2025-01-06T04:00:00Z"),
+      { frequency: "daily", interval: 1, count: 3, exceptions: [new Date("2025-01-06")] },
+      "America/Los_Angeles"
+    );
+    assert.deepEqual(iso(dates), ["2025-01-06T04:00:00.000Z", "2025-01-08T04:00:00.000Z"]);
+  });
+});
+
+describe("edit scopes", () => {
+  const occurrence = { series: "s1", dateTime: new Date("2025-03-04T00:00:00Z") };
+
+  it("applies to the event alone for single events and the occurrence scope", () => {
+    assert.equal(scopeFilter({ dateTime: occurrence.dateTime }, "series"), null);
+    assert.equal(scopeFilter(occurrence, "occurrence"), null);
+  });
+
+  it("selects this and later occurrences for the following scope", () => {
+    assert.deepEqual(scopeFilter(occurrence, "following"), {
+      series: "s1",
+      dateTime: { $gte: occurrence.dateTime },
+    });
+  });
+
+  it("selects every occurrence for the series scope", () => {
+    assert.deepEqual(scopeFilter(occurrence, "series"), { series: "s1" });
+  });
+
+  it("moves other occurrences by the same local shift across DST", () => {
+    // The March 3 occurrence moves from 7 PM to 8 PM EST...
+    const shift = localShift(
+      occurrence.dateTime,
+      "America/New_York",
+      new Date("2025-03-04T01:00:00Z"),
+      "America/New_York"
+    );
+    assert.equal(shift, 60 * 60 * 1000);
+    // ...so the March 10 one moves from 7 PM to 8 PM EDT
+    const moved = shiftOccurrence(
+      new Date("2025-03-10T23:00:00Z"),
+      "America/New_York",
+      shift,
+      "America/New_York"
+    );
+    assert.equal(moved.toISOString(), "2025-03-11T00:00:00.000Z");
+  });
+
+  it("keeps each occurrence's local time when only the zone changes", () => {
+    const start = new Date("2025-03-04T00:00:00Z");
+    const moved = shiftOccurrence(start, "America/New_York", 0, "Europe/London");
+    assert.equal(moved.toISOString(), "2025-03-03T19:00:00.000Z");
+  });
+});
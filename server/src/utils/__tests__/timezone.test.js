@@ -0,0 +1,107 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  isValidTimeZone,
+  toWallClock,
+  fromWallClock,
+  parseZonedDateTime,
+  endOfDayInZone,
+} from "../timezone.js";
+
+const wall = (value) => new Date(`${value}Z`);
+const utc = (date) => date.toISOString();
+// The UTC instant of a local time ("YYYY-MM-DDTHH:mm:ss") in a zone
+const instantOf = (local, timeZone) => utc(fromWallClock(wall(local), timeZone));
+
+describe("isValidTimeZone", () => {
+  it("accepts IANA names and rejects anything else", () => {
+    assert.equal(isValidTimeZone("America/New_York"), true);
+    assert.equal(isValidTimeZone("UTC"), true);
+    assert.equal(isValidTimeZone("Mars/Olympus"), false);
+    assert.equal(isValidTimeZone(""), false);
+    assert.equal(isValidTimeZone(undefined), false);
+  });
+});
+
+describe("toWallClock and fromWallClock", () => {
+  it("round-trip on either side of a DST change", () => {
+    for (const instant of [
+      "2025-03-09T06:59:00.000Z",
+      "2025-03-09T07:00:00.000Z",
+      "2025-07-01T16:00:00.000Z",
+    ]) {
+      const local = toWallClock(new Date(instant), "America/New_York");
+      assert.equal(utc(fromWallClock(local, "America/New_York")), instant);
+    }
+  });
+
+  it("use standard and daylight offsets in winter and summer", () => {
+    assert.equal(instantOf("2025-01-15T19:00:00", "America/New_York"), "2025-01-16T00:00:00.000Z");
+    assert.equal(instantOf("2025-07-15T19:00:00", "America/New_York"), "2025-07-15T23:00:00.000Z");
+  });
+
+  it("move times skipped when clocks go forward by the gap", () => {
+    // New York jumps from 2:00 to 3:00 AM on March 9, 2025: 2:30 AM becomes 3:30 AM EDT
+    const instant = fromWallClock(wall("2025-03-09T02:30:00"), "America/New_York");
+    assert.equal(utc(instant), "2025-03-09T07:30:00.000Z");
+    assert.equal(utc(toWallClock(instant, "America/New_York")), "2025-03-09T03:30:00.000Z");
+  });
+
+  it("resolve times repeated when clocks go back to the first of the two", () => {
+    // 1:30 AM happens twice in New York on November 2, 2025: EDT first, then EST
+    assert.equal(instantOf("2025-11-02T01:30:00", "America/New_York"), "2025-11-02T05:30:00.000Z");
+    assert.equal(instantOf("2025-11-02T02:00:00", "America/New_York"), "2025-11-02T07:00:00.000Z");
+  });
+
+  it("handle southern hemisphere DST", () => {
+    // Sydney springs forward on October 5 and falls back on April 6
+    assert.equal(instantOf("2025-10-05T02:30:00", "Australia/Sydney"), "2025-10-04T16:30:00.000Z");
+    assert.equal(instantOf("2025-04-06T02:30:00", "Australia/Sydney"), "2025-04-05T15:30:00.000Z");
+  });
+
+  it("handle zones without DST, including non-hour offsets", () => {
+    assert.equal(instantOf("2025-03-09T02:30:00", "UTC"), "2025-03-09T02:30:00.000Z");
+    assert.equal(instantOf("2025-07-01T09:00:00", "Asia/Kolkata"), "2025-07-01T03:30:00.000Z");
+    assert.equal(instantOf("2025-07-01T09:00:00", "Asia/Kathmandu"), "2025-07-01T03:15:00.000Z");
+    assert.equal(
+      utc(toWallClock(new Date("2025-01-01T00:00:00Z"), "Asia/Tokyo")),
+      "2025-01-01T09:00:00.000Z"
+    );
+  });
+});
+
+describe("parseZonedDateTime", () => {
+  it("reads plain local times in the zone", () => {
+    assert.equal(
+      utc(parseZonedDateTime("2025-07-15T19:00", "America/New_York")),
+      "2025-07-15T23:00:00.000Z"
+    );
+    assert.equal(
+      utc(parseZonedDateTime("2025-07-15", "Europe/Berlin")),
+      "2025-07-14T22:00:00.000Z"
+    );
+  });
+
+  it("keeps exact instants as they are", () => {
+    assert.equal(
+      utc(parseZonedDateTime("2025-07-15T19:00:00Z", "America/New_York")),
+      "2025-07-15T19:00:00.000Z"
+    );
+    assert.equal(
+      utc(parseZonedDateTime("2025-07-15T19:00:00+02:00", "UTC")),
+      "2025-07-15T17:00:00.000Z"
+    );
+  });
+
+  it("gives an invalid date for unreadable values", () => {
+    assert.ok(Number.isNaN(parseZonedDateTime("next Tuesday", "UTC").getTime()));
+  });
+});
+
+describe("endOfDayInZone", () => {
+  it("ends the local day, even when it is 23 hours long", () => {
+    const start = new Date("2025-03-09T05:00:00Z"); // Midnight in New York
+    assert.equal(utc(endOfDayInZone(start, 0, "America/New_York")), "2025-03-10T03:59:59.999Z");
+    assert.equal(utc(endOfDayInZone(start, 1, "America/New_York")), "2025-03-11T03:59:59.999Z");
+  });
+});
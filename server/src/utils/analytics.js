@@ -0,0 +1,90 @@
+import { toWallClock } from "./timezone.js";
+
+// Organizer analytics built from an event's RSVP activity log (see models/RsvpActivity.js)
+
+// Seats each action takes (1) or frees (-1), per person in the party
+const SEAT_CHANGES = { rsvp: 1, promoted: 1, cancel: -1, removed: -1 };
+
+// Seats taken (positive) or freed (negative) by one change
+const seatChange = (activity) =>
+  activity.action === "resize"
+    ? activity.partySize - (activity.previousPartySize || activity.partySize)
+    : (SEAT_CHANGES[activity.action] || 0) * (activity.partySize || 1);
+
+const ratio = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 1000 : null);
+
+const inTimeOrder = (activities) => [...activities].sort((a, b) => new Date(a.at) - new Date(b.at));
+
+// Totals and rates for one event. Rates are fractions (0.25 = 25%), null
+// when there's nothing to divide by; fill rate uses the current seats taken.
+// The event first filled up when its running seat count reached capacity.
+export const summarizeActivity = (activities, { capacity, seatsTaken, createdAt }) => {
+  const counts = {
+    rsvp: 0,
+    waitlist: 0,
+    promoted: 0,
+    cancel: 0,
+    leave_waitlist: 0,
+    removed: 0,
+    resize: 0,
+  };
+  let seats = 0;
+  let fullAt = null;
+  for (const activity of inTimeOrder(activities)) {
+    counts[activity.action] += 1;
+    seats += seatChange(activity);
+    if (!fullAt && seats >= capacity) {
+      fullAt = new Date(activity.at);
+    }
+  }
+
+  const signups = counts.rsvp + counts.promoted;
+  return {
+    signups,
+    cancellations: counts.cancel,
+    waitlisted: counts.waitlist,
+    promoted: counts.promoted,
+    removed: counts.removed,
+    cancellationRate: ratio(counts.cancel, signups),
+    fillRate: ratio(seatsTaken, capacity),
+    fullAt,
+    timeToFullMs: fullAt ? fullAt.getTime() - new Date(createdAt).getTime() : null,
+  };
+};
+
+const localDay = (date, timeZone) => toWallClock(date, timeZone).toISOString().slice(0, 10);
+
+// Activity per calendar day in the event's time zone, from the first change
+// to the last: [{ date: "YYYY-MM-DD", signups, cancellations, seats }], where
+// seats is the running number of seats taken at the end of the day. Quiet
+// days are included so the series keeps an even time scale.
+export const activityByDay = (activities, timeZone) => {
+  const sorted = inTimeOrder(activities);
+  if (sorted.length === 0) return [];
+
+  const days = new Map();
+  let seats = 0;
+  for (const activity of sorted) {
+    const date = localDay(activity.at, timeZone);
+    const day = days.get(date) || { date, signups: 0, cancellations: 0, seats: 0 };
+    if (activity.action === "rsvp" || activity.action === "promoted") day.signups += 1;
+    if (activity.action === "cancel") day.cancellations += 1;
+    seats += seatChange(activity);
+    day.seats = seats;
+    days.set(date, day);
+  }
+
+  const series = [];
+  const last = localDay(sorted.at(-1).at, timeZone);
+  const cursor = new Date(`${localDay(sorted[0].at, timeZone)}T00:00:00Z`);
+  let previous = null;
+  for (;;) {
+    const date = cursor.toISOString().slice(0, 10);
+    const day = days.get(date) || { date, signups: 0, cancellations: 0, seats: previous.seats };
+    series.push(day);
+    previous = day;
+    if (date === last) break;
+    cursor.setUTCDate(cursor.getUTCDate() + 1);
+  }
+  return series;
+};
@@ -0,0 +1,81 @@
+// Snapshots and field-level diffs of event details for the revision history
+// (see models/EventRevision.js)
+
+// Details recorded in each revision
+export const AUDITED_FIELDS = [
+  "title",
+  "description",
+  "dateTime",
+  "endDateTime",
+  "timeZone",
+  "location",
+  "address",
+  "geoLocation",
+  "category",
+  "tags",
+  "capacity",
+  "maxPartySize",
+  "visibility",
+  "questions",
+  "status",
+  "statusReason",
+  "image",
+  "images",
+];
+
+// Details a revision can be restored to. The lifecycle status has its own
+// actions (publish, postpone, cancel), and replaced images are deleted, so
+// neither is restored.
+export const RESTORABLE_FIELDS = AUDITED_FIELDS.filter(
+  (field) => !["status", "statusReason", "image", "images"].includes(field)
+);
+
+// Plain copy of an event's audited details (from a document or a lean object)
+export const snapshotEvent = (event) => {
+  const source = typeof event.toObject === "function" ? event.toObject() : event;
+  return JSON.parse(
+    JSON.stringify(Object.fromEntries(AUDITED_FIELDS.map((field) => [field, source[field]])))
+  );
+};
+
+// Missing values and empty lists compare as "not set"
+const comparable = (value) =>
+  value === undefined || value === null || (Array.isArray(value) && value.length === 0)
+    ? undefined
+    : JSON.stringify(value);
+
+// The fields that differ between two snapshots, as [{ field, from, to }].
+// before is null for a create and after is null for a delete.
+export const diffSnapshots = (before, after) =>
+  AUDITED_FIELDS.filter((field) => comparable(before?.[field]) !== comparable(after?.[field])).map(
+    (field) => ({ field, from: before?.[field] ?? null, to: after?.[field] ?? null })
+  );
+
+// RSVP activity (see models/RsvpActivity.js) as field changes, so the
+// history can show it alongside revisions
+export const activityChanges = ({ action, user, partySize, previousPartySize }) => {
+  const entry = { user, partySize };
+  switch (action) {
+    case "rsvp":
+      return [{ field: "attendees", from: null, to: entry }];
+    case "waitlist":
+      return [{ field: "waitlist", from: null, to: entry }];
+    case "promoted":
+      return [
+        { field: "waitlist", from: entry, to: null },
+        { field: "attendees", from: null, to: entry },
+      ];
+    case "cancel":
+      return [{ field: "attendees", from: entry, to: null }];
+    case "leave_waitlist":
+      return [{ field: "waitlist", from: entry, to: null }];
+    case "removed":
+      return [{ field: "attendees", from: entry, to: null }];
+    case "resize":
+      return [
+        { field: "attendees", from: { user, partySize: previousPartySize }, to: entry },
+      ];
+    default:
+      return [];
+  }
+};
@@ -0,0 +1,106 @@
+import { DEFAULT_TIME_ZONE, formatInZone } from "./timezone.js";
+import { formatAddress } from "./geo.js";
+import { notificationMessage } from "./notifications.js";
+
+// Emails to attendees (sent by the "email" job, see jobs/email.js)
+
+// Emails users can turn off, by preference name. Each notification type that
+// is also emailed maps to one of these (see EMAILED_NOTIFICATIONS).
+export const EMAIL_PREFERENCES = {
+  rsvp_confirmed: "RSVP confirmations",
+  reminder: "Reminders 24 hours and 1 hour before an event",
+  event_updated: "Changes to the time or place of an event",
+  event_cancelled: "Cancelled and deleted events",
+};
+
+// Notification types that are also emailed, and the preference that controls them
+export const EMAILED_NOTIFICATIONS = {
+  rsvp_confirmed: "rsvp_confirmed",
+  promoted: "rsvp_confirmed",
+  event_updated: "event_updated",
+  event_cancelled: "event_cancelled",
+  event_deleted: "event_cancelled",
+};
+
+// How long before an event starts reminders are emailed
+export const REMINDER_LEADS_MS = [24 * 60 * 60 * 1000, 60 * 60 * 1000];
+
+// Parse an email preferences update: an object of preference name -> boolean.
+// Returns { value } with the preferences to turn on and off, or { error }.
+export const parseEmailPreferences = (raw) => {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return { error: "Email preferences must be an object" };
+  }
+  for (const [name, enabled] of Object.entries(raw)) {
+    if (!EMAIL_PREFERENCES[name]) {
+      return {
+        error: `Unknown email preference "${name}". Use: ${Object.keys(EMAIL_PREFERENCES).join(", ")}`,
+      };
+    }
+    if (typeof enabled !== "boolean") {
+      return { error: `Email preference "${name}" must be true or false` };
+    }
+  }
+  return { value: raw };
+};
+
+// Each preference with whether it's on, given the user's opt-outs
+export const emailPreferences = (optOuts = []) =>
+  Object.entries(EMAIL_PREFERENCES).map(([name, label]) => ({
+    name,
+    label,
+    enabled: !optOuts.includes(name),
+  }));
+
+// The event details an email needs, so notices about deleted events can
+// still be sent
+export const emailEventFields = (event) => {
+  const source = typeof event.toObject === "function" ? event.toObject() : event;
+  return {
+    _id: source._id,
+    title: source.title,
+    dateTime: source.dateTime,
+    endDateTime: source.endDateTime,
+    timeZone: source.timeZone,
+    location: source.location,
+    address: source.address,
+    statusReason: source.statusReason,
+  };
+};
+
+const clientUrl = () => (process.env.CLIENT_URL || "http://localhost:3000").replace(/\/$/, "");
+
+const SUBJECTS = {
+  rsvp_confirmed: (title) => `You're going to ${title}`,
+  promoted: (title) => `You got a seat at ${title}`,
+  event_updated: (title) => `${title} has changed`,
+  event_cancelled: (title) => `${title} has been cancelled`,
+  event_deleted: (title) => `${title} has been cancelled`,
+};
+
+const leadText = (ms) => (ms >= 24 * 60 * 60 * 1000 ? "tomorrow" : "in 1 hour");
+
+// Subject and text of an email about an event. type is a notification type
+// from EMAILED_NOTIFICATIONS or "reminder"; options: name (the recipient's),
+// message (the notification's, for notices) and leadMs (for reminders).
+export const renderEmail = (type, event, { name, message, leadMs } = {}) => {
+  const subject =
+    type === "reminder"
+      ? `Reminder: ${event.title} starts ${leadText(leadMs)}`
+      : SUBJECTS[type](event.title);
+  const place = [event.location, formatAddress(event.address)].filter(Boolean).join(", ");
+  const lines = [
+    `Hi ${name},`,
+    "",
+    message || notificationMessage(type, event),
+    "",
+    `When: ${formatInZone(event.dateTime, event.timeZone || DEFAULT_TIME_ZONE)}`,
+    `Where: ${place}`,
+  ];
+  // Deleted events have no page left to link to
+  if (type !== "event_deleted") {
+    lines.push("", `Event details: ${clientUrl()}/events/${event._id}`);
+  }
+  lines.push("", "--", `Choose which emails you get in your settings: ${clientUrl()}/settings`);
+  return { subject, text: lines.join("\n") };
+};
@@ -0,0 +1,44 @@
+// Helpers for post-event ratings and feedback
+
+export const MAX_RATING = 5;
+export const MAX_COMMENT_LENGTH = 1000;
+
+// Attendees are asked for feedback for this long after an event ends
+export const FEEDBACK_WINDOW_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Parse a rating (whole stars, 1 to MAX_RATING) and optional comment.
+// Returns { value: { rating, comment } } or { error }.
+export const parseFeedback = ({ rating, comment } = {}) => {
+  const stars = Number(rating);
+  if (!Number.isInteger(stars) || stars < 1 || stars > MAX_RATING) {
+    return { error: `Rating must be a whole number from 1 to ${MAX_RATING}` };
+  }
+  if (comment !== undefined && comment !== null && typeof comment !== "string") {
+    return { error: "Comment must be text" };
+  }
+  const text = (comment || "").trim();
+  if (text.length > MAX_COMMENT_LENGTH) {
+    return { error: `Comments can be at most ${MAX_COMMENT_LENGTH} characters` };
+  }
+  return { value: { rating: stars, comment: text } };
+};
+
+// Combine counts per rating ([{ rating, count }]) into a summary:
+// { count, average (one decimal, null without ratings), distribution: { 1: n, ..., 5: n } }
+export const summarizeRatings = (counts) => {
+  const distribution = {};
+  for (let stars = 1; stars <= MAX_RATING; stars++) distribution[stars] = 0;
+
+  let count = 0;
+  let total = 0;
+  for (const c of counts) {
+    distribution[c.rating] += c.count;
+    count += c.count;
+    total += c.rating * c.count;
+  }
+  return {
+    count,
+    average: count > 0 ? Math.round((total / count) * 10) / 10 : null,
+    distribution,
+  };
+};
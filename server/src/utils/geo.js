@@ -0,0 +1,87 @@
+// Helpers for event coordinates, stored as GeoJSON points ([longitude, latitude])
+
+const EARTH_RADIUS_KM = 6378.1;
+export const DEFAULT_RADIUS_KM = 10;
+export const MAX_RADIUS_KM = 500;
+
+export const ADDRESS_FIELDS = ["street", "city", "region", "postalCode", "country"];
+
+export const toPoint = (latitude, longitude) => ({
+  type: "Point",
+  coordinates: [longitude, latitude],
+});
+
+// Parse a latitude/longitude pair: { value: { latitude, longitude } },
+// { value: null } when both are empty, or { error }
+export const parseCoordinates = (latitude, longitude) => {
+  const empty = (v) => v === undefined || v === null || v === "";
+  if (empty(latitude) && empty(longitude)) return { value: null };
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+  if (empty(latitude) || empty(longitude) || Number.isNaN(lat) || Number.isNaN(lng)) {
+    return { error: "Latitude and longitude must both be numbers" };
+  }
+  if (lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+    return { error: "Coordinates are out of range" };
+  }
+  return { value: { latitude: lat, longitude: lng } };
+};
+
+// Parse a structured address (an object or its JSON): { value } or { error }.
+// Unknown keys are dropped; an address without any parts is null.
+export const parseAddress = (raw) => {
+  if (!raw) return { value: null };
+  let address = raw;
+  if (typeof raw === "string") {
+    try {
+      address = JSON.parse(raw);
+    } catch (err) {
+      return { error: "Invalid address" };
+    }
+  }
+  if (!address || typeof address !== "object" || Array.isArray(address)) {
+    return { error: "Invalid address" };
+  }
+  const value = Object.fromEntries(
+    ADDRESS_FIELDS.filter((f) => typeof address[f] === "string" && address[f].trim()).map((f) => [
+      f,
+      address[f].trim(),
+    ])
+  );
+  return { value: Object.keys(value).length > 0 ? value : null };
+};
+
+// One-line address for geocoding and display
+export const formatAddress = (address) =>
+  ADDRESS_FIELDS.map((f) => address?.[f])
+    .filter(Boolean)
+    .join(", ");
+
+// $geoWithin filter for events within radiusKm of a point
+export const withinRadius = ({ latitude, longitude }, radiusKm) => ({
+  $geoWithin: { $centerSphere: [[longitude, latitude], radiusKm / EARTH_RADIUS_KM] },
+});
+
+// Aggregation expression for the great-circle distance (haversine) in km from
+// a point to an event's coordinates, rounded to 10 m
+export const distanceKmExpr = ({ latitude, longitude }) => {
+  const lat1 = (latitude * Math.PI) / 180;
+  const lat2 = { $degreesToRadians: { $arrayElemAt: ["$geoLocation.coordinates", 1] } };
+  const dLat = { $subtract: [lat2, lat1] };
+  const dLng = {
+    $degreesToRadians: {
+      $subtract: [{ $arrayElemAt: ["$geoLocation.coordinates", 0] }, longitude],
+    },
+  };
+  const halfChord = {
+    $add: [
+      { $pow: [{ $sin: { $divide: [dLat, 2] } }, 2] },
+      {
+        $multiply: [Math.cos(lat1), { $cos: lat2 }, { $pow: [{ $sin: { $divide: [dLng, 2] } }, 2] }],
+      },
+    ],
+  };
+  return {
+    $round: [{ $multiply: [2 * EARTH_RADIUS_KM, { $asin: { $sqrt: halfChord } }] }, 2],
+  };
+};
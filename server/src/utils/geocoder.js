@@ -0,0 +1,95 @@
+import { formatAddress } from "./geo.js";
+
+// Pluggable geocoding: turns an address into coordinates.
+// A provider is { geocode(query) } resolving to { latitude, longitude, label }
+// or null when nothing matches. Pick one with the GEOCODER env variable
+// ("stub" by default, or "nominatim"), or add one with registerGeocoder.
+
+// Offline provider for development and tests: knows a handful of cities and
+// matches them anywhere in the query
+const STUB_PLACES = {
+  "new york": [40.7128, -74.006],
+  "san francisco": [37.7749, -122.4194],
+  "los angeles": [34.0522, -118.2437],
+  chicago: [41.8781, -87.6298],
+  london: [51.5074, -0.1278],
+  paris: [48.8566, 2.3522],
+  berlin: [52.52, 13.405],
+  amsterdam: [52.3676, 4.9041],
+  tokyo: [35.6762, 139.6503],
+  sydney: [-33.8688, 151.2093],
+  bangalore: [12.9716, 77.5946],
+  bengaluru: [12.9716, 77.5946],
+  mumbai: [19.076, 72.8777],
+  delhi: [28.7041, 77.1025],
+  singapore: [1.3521, 103.8198],
+};
+
+const stubGeocoder = {
+  geocode: async (query) => {
+    const normalized = query.toLowerCase();
+    const place = Object.keys(STUB_PLACES).find((name) => normalized.includes(name));
+    if (!place) return null;
+    const [latitude, longitude] = STUB_PLACES[place];
+    return { latitude, longitude, label: place.replace(/\b\w/g, (c) => c.toUpperCase()) };
+  },
+};
+
+// How long to wait for Nominatim before giving up; a timeout counts as no
+// match (see geocode), so a stalled service can't hold up saving an event
+const NOMINATIM_TIMEOUT_MS = 5000;
+
+// OpenStreetMap's Nominatim service (or a self-hosted instance via NOMINATIM_URL)
+const nominatimGeocoder = {
+  geocode: async (query) => {
+    const baseUrl = process.env.NOMINATIM_URL || "https://nominatim.openstreetmap.org";
+    const response = await fetch(
+      `${baseUrl}/search?format=json&limit=1&q=${encodeURIComponent(query)}`,
+      {
+        headers: { "User-Agent": "EventHub event RSVP platform" },
+        signal: AbortSignal.timeout(NOMINATIM_TIMEOUT_MS),
+      }
+    );
+    if (!response.ok) {
+      throw new Error(`Nominatim responded with ${response.status}`);
+    }
+    const [result] = await response.json();
+    if (!result) return null;
+    return {
+      latitude: Number(result.lat),
+      longitude: Number(result.lon),
+      label: result.display_name,
+    };
+  },
+};
+
+const providers = {
+  stub: stubGeocoder,
+  nominatim: nominatimGeocoder,
+};
+
+export const registerGeocoder = (name, provider) => {
+  providers[name] = provider;
+};
+
+// Geocode a free-text query or a structured address. Provider errors (e.g.
+// no network) are logged and treated as no match, so saving an event never
+// fails because of geocoding.
+export const geocode = async (queryOrAddress) => {
+  const query =
+    typeof queryOrAddress === "string" ? queryOrAddress.trim() : formatAddress(queryOrAddress);
+  if (!query) return null;
+
+  const name = process.env.GEOCODER || "stub";
+  const provider = providers[name];
+  if (!provider) {
+    console.error(`Unknown geocoder "${name}"`);
+    return null;
+  }
+  try {
+    return await provider.geocode(query);
+  } catch (err) {
+    console.error("Geocoding error", err.message);
+    return null;
+  }
+};
@@ -0,0 +1,185 @@
+import crypto from "crypto";
+import { isValidTimeZone, fromWallClock } from "./timezone.js";
+import { eventEnd } from "./schedule.js";
+
+// Minimal iCalendar (RFC 5545) support: writing event downloads and
+// subscription feeds, and reading VEVENTs for imports
+
+const PRODID = "-//EventHub//Event RSVP//EN";
+
+const STATUS_MAP = {
+  cancelled: "CANCELLED",
+  postponed: "TENTATIVE",
+};
+
+// Escape a TEXT value: backslashes, semicolons, commas and newlines
+const escapeText = (value) =>
+  String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// UTC date-time in the basic format, e.g. 20250101T180000Z
+const formatDateTime = (date) =>
+  new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+// Fold a content line so no physical line is longer than 75 octets
+const foldLine = (line) => {
+  const parts = [];
+  let current = "";
+  let bytes = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards the limit
+    if (bytes + size > 75) {
+      parts.push(current);
+      current = " ";
+      bytes = 1;
+    }
+    current += char;
+    bytes += size;
+  }
+  parts.push(current);
+  return parts.join("\r\n");
+};
+
+// Stable across edits, so calendar apps update the entry instead of adding a new one
+export const eventUid = (event) => `${event._id}@eventhub`;
+
+const eventLines = (event) => {
+  const start = new Date(event.dateTime);
+  const end = eventEnd(event);
+  const description = [event.statusReason, event.description].filter(Boolean).join("\n\n");
+
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${eventUid(event)}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `DTSTAMP:${formatDateTime(event.updatedAt || new Date())}`,
+    `DTSTART:${formatDateTime(start)}`,
+    `DTEND:${formatDateTime(end)}`,
+    `SUMMARY:${escapeText(event.title)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `LOCATION:${escapeText(event.location)}`,
+    `STATUS:${STATUS_MAP[event.status] || "CONFIRMED"}`,
+  ];
+  if (event.category) {
+    lines.push(`CATEGORIES:${escapeText(event.category)}`);
+  }
+  if (event.geoLocation?.coordinates?.length === 2) {
+    const [longitude, latitude] = event.geoLocation.coordinates;
+    lines.push(`GEO:${latitude};${longitude}`);
+  }
+  if (event.updatedAt) {
+    lines.push(`LAST-MODIFIED:${formatDateTime(event.updatedAt)}`);
+  }
+  if (process.env.CLIENT_URL) {
+    lines.push(`URL:${process.env.CLIENT_URL.replace(/\/$/, "")}/events/${event._id}`);
+  }
+  lines.push("END:VEVENT");
+  return lines;
+};
+
+// Build a VCALENDAR document from lean event documents
+export const buildCalendar = (events, { name } = {}) => {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+  ];
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+  for (const event of events) {
+    lines.push(...eventLines(event));
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+};
+
+// Secret for a user's subscription URL (see User.calendarToken)
+export const createFeedToken = () => crypto.randomBytes(24).toString("base64url");
+
+const unescapeText = (value) =>
+  value.replace(/\\([\\;,nN])/g, (_, c) => (c === "n" || c === "N" ? "\n" : c));
+
+// Parse a DATE or DATE-TIME value. UTC values end in Z; values with a known
+// TZID are converted from that zone; floating times and all-day dates are read as UTC.
+const parseDateValue = (value, tzid) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+  if (!match) return null;
+  const [, y, mo, d, h = 0, mi = 0, sec = 0, utc] = match;
+  const wallClock = Date.UTC(y, mo - 1, d, h, mi, sec);
+  if (utc || !isValidTimeZone(tzid)) return new Date(wallClock);
+  return fromWallClock(new Date(wallClock), tzid);
+};
+
+// Read the VEVENTs of an iCalendar file. Returns one entry per VEVENT, in
+// file order: { uid, title, description, location, dateTime, endDateTime, timeZone, cancelled }.
+// dateTime is null when DTSTART is missing or malformed, endDateTime without a valid DTEND.
+export const parseCalendar = (text) => {
+  // Unfold continuation lines before splitting into properties
+  const lines = text.replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+  const events = [];
+  let current = null;
+
+  for (const line of lines) {
+    if (line === "BEGIN:VEVENT") {
+      current = {};
+      continue;
+    }
+    if (line === "END:VEVENT") {
+      if (current) events.push(current);
+      current = null;
+      continue;
+    }
+    if (!current) continue;
+
+    const colon = line.indexOf(":");
+    if (colon === -1) continue;
+    const [name, ...params] = line.slice(0, colon).split(";");
+    const value = line.slice(colon + 1);
+    const tzid = params.find((p) => p.toUpperCase().startsWith("TZID="))?.slice(5);
+
+    switch (name.toUpperCase()) {
+      case "UID":
+        current.uid = value;
+        break;
+      case "SUMMARY":
+        current.title = unescapeText(value);
+        break;
+      case "DESCRIPTION":
+        current.description = unescapeText(value);
+        break;
+      case "LOCATION":
+        current.location = unescapeText(value);
+        break;
+      case "DTSTART":
+        current.dateTime = parseDateValue(value, tzid);
+        if (isValidTimeZone(tzid)) current.timeZone = tzid;
+        break;
+      case "DTEND":
+        current.endDateTime = parseDateValue(value, tzid);
+        break;
+      case "STATUS":
+        current.cancelled = value.trim().toUpperCase() === "CANCELLED";
+        break;
+      default:
+        break;
+    }
+  }
+
+  return events.map((e) => ({
+    uid: e.uid,
+    title: e.title,
+    description: e.description,
+    location: e.location,
+    dateTime: e.dateTime ?? null,
+    endDateTime: e.endDateTime ?? null,
+    timeZone: e.timeZone,
+    cancelled: Boolean(e.cancelled),
+  }));
+};
@@ -0,0 +1,144 @@
+import crypto from "crypto";
+import sharp from "sharp";
+
+// Event image processing. Uploads are kept as-is ("original") plus resized
+// variants for lists and cards, all stored in the EventImage collection under
+// a hash of the original bytes (see models/EventImage.js).
+
+// Resized variants, cropped to fill the box and re-encoded as WebP
+export const IMAGE_VARIANTS = {
+  card: { width: 640, height: 360 },
+  thumbnail: { width: 160, height: 160 },
+};
+export const IMAGE_SIZES = ["original", ...Object.keys(IMAGE_VARIANTS)];
+
+// Formats uploads may be in, by sharp's name for them, with the type they're
+// served as. The type is taken from the image data, never from the upload, so
+// a script-carrying SVG can't be served back as active content.
+export const IMAGE_FORMATS = {
+  jpeg: "image/jpeg",
+  png: "image/png",
+  webp: "image/webp",
+  gif: "image/gif",
+};
+
+// Photos in an event gallery, besides the cover image
+export const MAX_GALLERY_IMAGES = 12;
+const MAX_CAPTION_LENGTH = 200;
+
+// Content hash of an image. Identical uploads share their stored variants,
+// and the hash doubles as the ETag and cache-busting version in image URLs.
+export const hashImage = (buffer) =>
+  crypto.createHash("sha256").update(buffer).digest("base64url").slice(0, 22);
+
+// Build the stored variants of an uploaded image.
+// Returns { hash, contentType, width, height, variants: [{ size, contentType, data, width, height }] };
+// throws if the data isn't an image in one of IMAGE_FORMATS.
+export const processImage = async (buffer) => {
+  const metadata = await sharp(buffer).metadata();
+  const contentType = IMAGE_FORMATS[metadata.format];
+  if (!contentType) {
+    throw new Error(`Unsupported image format: ${metadata.format}`);
+  }
+  const variants = [
+    {
+      size: "original",
+      contentType,
+      data: buffer,
+      width: metadata.width,
+      height: metadata.height,
+    },
+  ];
+  for (const [size, box] of Object.entries(IMAGE_VARIANTS)) {
+    // rotate() applies the EXIF orientation, so phone photos aren't sideways
+    const { data, info } = await sharp(buffer)
+      .rotate()
+      .resize({ ...box, fit: "cover", withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer({ resolveWithObject: true });
+    variants.push({ size, contentType: "image/webp", data, width: info.width, height: info.height });
+  }
+  return {
+    hash: hashImage(buffer),
+    contentType,
+    width: metadata.width,
+    height: metadata.height,
+    variants,
+  };
+};
+
+// Root-relative URLs of every size of a stored image. The hash in ?v=
+// changes with the image, so the URLs can be cached forever.
+const sizeUrls = (path, hash) =>
+  Object.fromEntries(
+    IMAGE_SIZES.map((size) => [
+      size,
+      `${path}?${new URLSearchParams({ ...(size === "original" ? {} : { size }), v: hash })}`,
+    ])
+  );
+
+// URLs of an event's cover image, or null without one
+export const imageUrls = (event) =>
+  event.image?.hash ? sizeUrls(`/api/events/${event._id}/image`, event.image.hash) : null;
+
+// URLs of one image in an event's gallery
+export const galleryImageUrls = (event, image) =>
+  sizeUrls(`/api/events/${event._id}/images/${image._id}`, image.hash);
+
+const parseText = (value, name) => {
+  if (value === undefined || value === null) return { value: "" };
+  if (typeof value !== "string") return { error: `Gallery ${name} must be text` };
+  if (value.length > MAX_CAPTION_LENGTH) {
+    return { error: `Gallery ${name} must be at most ${MAX_CAPTION_LENGTH} characters` };
+  }
+  return { value: value.trim() };
+};
+
+// Parse the gallery field of a create or update: a JSON array listing the
+// gallery in display order. Each entry is { hash, caption, alt } for an image
+// the event already has, or { upload, caption, alt } where upload is the index
+// of a file in the uploaded galleryImages. Without the field, the current
+// gallery is kept and uploads are added after it, with no captions.
+// Returns { entries } or { error }.
+export const parseGallery = (raw, uploadCount, current = []) => {
+  if (raw === undefined || raw === "") {
+    const entries = [
+      ...current.map(({ hash, caption, alt }) => ({ hash, caption, alt })),
+      ...Array.from({ length: uploadCount }, (_, upload) => ({ upload, caption: "", alt: "" })),
+    ];
+    if (entries.length > MAX_GALLERY_IMAGES) {
+      return { error: `A gallery can have at most ${MAX_GALLERY_IMAGES} images` };
+    }
+    return { entries };
+  }
+
+  let list;
+  try {
+    list = typeof raw === "string" ? JSON.parse(raw) : raw;
+  } catch (err) {
+    return { error: "Gallery must be valid JSON" };
+  }
+  if (!Array.isArray(list)) {
+    return { error: "Gallery must be a list of images" };
+  }
+  if (list.length > MAX_GALLERY_IMAGES) {
+    return { error: `A gallery can have at most ${MAX_GALLERY_IMAGES} images` };
+  }
+
+  const entries = [];
+  for (const item of list) {
+    const caption = parseText(item?.caption, "captions");
+    if (caption.error) return { error: caption.error };
+    const alt = parseText(item?.alt, "alt text");
+    if (alt.error) return { error: alt.error };
+
+    if (typeof item?.hash === "string" && item.hash) {
+      entries.push({ hash: item.hash, caption: caption.value, alt: alt.value });
+    } else if (Number.isInteger(item?.upload) && item.upload >= 0 && item.upload < uploadCount) {
+      entries.push({ upload: item.upload, caption: caption.value, alt: alt.value });
+    } else {
+      return { error: "Each gallery image needs the hash of an existing image or an upload index" };
+    }
+  }
+  return { entries };
+};
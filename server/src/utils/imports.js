@@ -0,0 +1,99 @@
+import { parseCsv } from "./csv.js";
+import { parseCalendar } from "./ical.js";
+
+// Reading and inserting event imports (see POST /api/events/import)
+
+// Event fields an import can fill from a CSV column (or an ICS property)
+export const IMPORT_FIELDS = [
+  "title",
+  "description",
+  "dateTime",
+  "endDateTime",
+  "duration",
+  "timeZone",
+  "location",
+  "capacity",
+  "maxPartySize",
+  "visibility",
+  "category",
+  "tags",
+  "latitude",
+  "longitude",
+];
+export const MAX_IMPORT_ROWS = 500;
+
+// Header names are matched loosely, so "Date Time" or "datetime" maps to dateTime
+const normalizeColumn = (name) => String(name).toLowerCase().replace(/[^a-z]/g, "");
+
+// Read import rows from a CSV file: { columns, mapping, rows } or { error }.
+// mapping maps event fields to column headers; unmapped fields fall back to
+// a column with the same name.
+export const readCsvImport = (text, requested) => {
+  const [header, ...data] = parseCsv(text);
+  if (!header) {
+    return { error: "The file is empty" };
+  }
+  const columns = header.cells;
+
+  const mapping = {};
+  for (const field of IMPORT_FIELDS) {
+    const column =
+      requested[field] || columns.find((c) => normalizeColumn(c) === normalizeColumn(field));
+    if (!column) continue;
+    if (!columns.includes(column)) {
+      return { error: `Column "${column}" not found in the file` };
+    }
+    mapping[field] = column;
+  }
+
+  const rows = data.map(({ line, cells }) => ({
+    row: line,
+    values: Object.fromEntries(
+      Object.entries(mapping).map(([field, column]) => [field, cells[columns.indexOf(column)]])
+    ),
+  }));
+  return { columns, mapping, rows };
+};
+
+// Read import rows from an iCalendar file, one per VEVENT
+export const readIcsImport = (text) => ({
+  rows: parseCalendar(text).map((e, i) => ({
+    row: i + 1,
+    values: {
+      title: e.title,
+      description: e.description,
+      location: e.location,
+      dateTime: e.dateTime,
+      endDateTime: e.endDateTime,
+      timeZone: e.timeZone,
+    },
+    skip: e.cancelled ? "Event is cancelled in the source calendar" : null,
+  })),
+});
+
+// Insert documents unordered, so one that fails to save doesn't stop the rest.
+// Resolves to one outcome per document, in order: { doc } if it was inserted,
+// or { error } saying why not. Write errors are matched to documents by their
+// index; documents Mongoose dropped before writing (failed validation) are
+// reported with a generic error.
+export const insertEach = async (Model, docs) => {
+  let inserted;
+  const errors = new Map();
+  try {
+    inserted = await Model.insertMany(docs, { ordered: false });
+  } catch (err) {
+    if (!err.insertedDocs) throw err;
+    console.error("Import insert error", err.message);
+    inserted = err.insertedDocs;
+    for (const writeError of err.writeErrors || []) {
+      errors.set(writeError.index, writeError.errmsg || writeError.err?.errmsg);
+    }
+  }
+
+  const insertedIds = new Set(inserted.map((doc) => String(doc._id)));
+  return docs.map((doc, i) =>
+    insertedIds.has(String(doc._id))
+      ? { doc }
+      : { error: errors.get(i) || "The event could not be saved" }
+  );
+};
@@ -0,0 +1,17 @@
+import crypto from "crypto";
+
+// Helpers for revocable invite links to unlisted and private events
+
+export const VISIBILITIES = ["public", "unlisted", "private"];
+
+export const createInviteToken = () => crypto.randomBytes(18).toString("base64url");
+
+// Whether an invite can still be used: not revoked, not expired and not used up
+export const isInviteUsable = (invite, now = new Date()) =>
+  Boolean(invite) &&
+  !invite.revokedAt &&
+  (!invite.expiresAt || invite.expiresAt > now) &&
+  (invite.maxUses == null || invite.uses < invite.maxUses);
+
+export const findUsableInvite = (event, token) =>
+  token ? (event.invites || []).find((i) => i.token === token && isInviteUsable(i)) : undefined;
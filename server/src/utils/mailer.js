@@ -0,0 +1,126 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import nodemailer from "nodemailer";
+
+// Pluggable outgoing mail. A transport is { send(message, raw) } where
+// message is { from, to, subject, text } and raw is the full RFC 5322
+// message; it rejects when the mail couldn't be sent. Pick one with the
+// MAIL_TRANSPORT env variable ("console" by default, "file" or "smtp"), or
+// add one with registerMailTransport.
+
+const DEFAULT_FROM = "EventHub <no-reply@eventhub.local>";
+
+// Header values may not contain line breaks, and non-ASCII text is sent as
+// RFC 2047 encoded words, each short enough to keep header lines in limits
+const encodeHeader = (value) => {
+  const text = String(value).replace(/[\r\n]+/g, " ");
+  if (/^[\x20-\x7e]*$/.test(text)) return text;
+  const words = [""];
+  for (const char of text) {
+    if (Buffer.byteLength(words[words.length - 1] + char) > 45) words.push("");
+    words[words.length - 1] += char;
+  }
+  return words.map((w) => `=?UTF-8?B?${Buffer.from(w, "utf8").toString("base64")}?=`).join("\r\n ");
+};
+
+// An address header: only the display name in "Name <address>" is encoded
+const encodeAddress = (value) => {
+  const match = /^(.*?)\s*<([^>]+)>$/.exec(String(value).trim());
+  return match && match[1] ? `${encodeHeader(match[1])} <${match[2]}>` : encodeHeader(value);
+};
+
+// The bare address in "Name <address>"
+export const mailAddress = (value) => /<([^>]+)>/.exec(value)?.[1] || String(value).trim();
+
+// Build the message text: plain UTF-8 text, base64 encoded so any content
+// survives every server
+export const buildMessage = ({ from, to, subject, text }, date = new Date()) => {
+  const domain = mailAddress(from).split("@")[1] || "localhost";
+  const body = Buffer.from(text.replace(/\r?\n/g, "\r\n"), "utf8")
+    .toString("base64")
+    .replace(/.{1,76}/g, "$&\r\n");
+  return [
+    `From: ${encodeAddress(from)}`,
+    `To: ${encodeAddress(to)}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${date.toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: base64",
+    "",
+    body,
+  ].join("\r\n");
+};
+
+// Development transport: prints each message to the server log
+const consoleTransport = {
+  send: async ({ to, subject, text }) => {
+    console.log(`Mail to ${to}: ${subject}\n${text}\n`);
+  },
+};
+
+// Development transport: writes each message as an .eml file (viewable in any
+// mail client) to MAIL_DIR, "mail" in the working directory by default
+const fileTransport = {
+  send: async (message, raw) => {
+    const dir = process.env.MAIL_DIR || "mail";
+    await fs.mkdir(dir, { recursive: true });
+    const name = `${new Date().toISOString().replace(/[:.]/g, "-")}-${crypto.randomUUID()}.eml`;
+    await fs.writeFile(path.join(dir, name), raw);
+  },
+};
+
+// Any SMTP server, through nodemailer: SMTP_HOST, SMTP_PORT (587 by default,
+// or 465 with SMTP_SECURE=true for TLS from the start), SMTP_USER and
+// SMTP_PASS. Without SMTP_SECURE the connection must be upgraded with
+// STARTTLS, so credentials and mail never travel in cleartext; set
+// SMTP_REQUIRE_TLS=false only for local test servers that can't do TLS.
+let smtpConnection = null;
+const smtpTransport = {
+  send: async (message, raw) => {
+    if (!process.env.SMTP_HOST) {
+      throw new Error("SMTP_HOST is not set");
+    }
+    if (!smtpConnection) {
+      const secure = process.env.SMTP_SECURE === "true";
+      smtpConnection = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: process.env.SMTP_PORT ? Number(process.env.SMTP_PORT) : secure ? 465 : 587,
+        secure,
+        requireTLS: !secure && process.env.SMTP_REQUIRE_TLS !== "false",
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined,
+      });
+    }
+    await smtpConnection.sendMail({
+      envelope: { from: mailAddress(message.from), to: mailAddress(message.to) },
+      raw,
+    });
+  },
+};
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport,
+  smtp: smtpTransport,
+};
+
+export const registerMailTransport = (name, transport) => {
+  transports[name] = transport;
+};
+
+// Send a plain-text email: { to, subject, text }, from MAIL_FROM unless given.
+// Unlike geocoding, failures are thrown, so the job that sends the mail can
+// be retried (see jobs/scheduler.js).
+export const sendMail = async ({ from = process.env.MAIL_FROM || DEFAULT_FROM, to, subject, text }) => {
+  const name = process.env.MAIL_TRANSPORT || "console";
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport "${name}"`);
+  }
+  const message = { from, to, subject, text };
+  await transport.send(message, buildMessage(message));
+};
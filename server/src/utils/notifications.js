@@ -0,0 +1,70 @@
+import { DEFAULT_TIME_ZONE, formatInZone } from "./timezone.js";
+import { formatAddress } from "./geo.js";
+
+// In-app notification types and their messages (see models/Notification.js)
+
+export const NOTIFICATION_TYPES = [
+  "event_updated", // The time or place of an event the user is going to changed
+  "event_cancelled",
+  "event_postponed",
+  "event_reinstated", // A postponed event is back on
+  "event_deleted",
+  "rsvp_confirmed",
+  "waitlisted",
+  "promoted", // Moved from the waitlist into seats
+  "removed", // Taken off the event by an organizer
+  "reminder",
+];
+
+// Event details attendees are told about when an organizer changes them
+export const NOTIFIED_FIELDS = ["dateTime", "endDateTime", "timeZone", "location", "address"];
+
+// Send reminders this long before an event starts
+export const REMINDER_LEAD_MS = 24 * 60 * 60 * 1000;
+
+const when = (event) => formatInZone(event.dateTime, event.timeZone || DEFAULT_TIME_ZONE);
+
+const withReason = (text, reason) => (reason ? `${text}: ${reason}` : `${text}.`);
+
+// The message for a notification about an event (a document or lean object).
+// options: changes (for event_updated, as from diffSnapshots) and position
+// (for waitlisted).
+export const notificationMessage = (type, event, options = {}) => {
+  const title = `"${event.title}"`;
+  switch (type) {
+    case "event_updated": {
+      const fields = (options.changes || []).map((c) => c.field);
+      const parts = [];
+      if (fields.some((f) => ["dateTime", "endDateTime", "timeZone"].includes(f))) {
+        parts.push(`it now starts ${when(event)}`);
+      }
+      if (fields.some((f) => ["location", "address"].includes(f))) {
+        const place = [event.location, formatAddress(event.address)].filter(Boolean).join(", ");
+        parts.push(`it's now at ${place}`);
+      }
+      return `${title} has changed: ${parts.join(" and ")}.`;
+    }
+    case "event_cancelled":
+      return withReason(`${title} has been cancelled`, event.statusReason);
+    case "event_postponed":
+      return withReason(`${title} has been postponed`, event.statusReason);
+    case "event_reinstated":
+      return `${title} is back on for ${when(event)}.`;
+    case "event_deleted":
+      return `${title} was deleted by its organizer.`;
+    case "rsvp_confirmed":
+      return `You're going to ${title} on ${when(event)}.`;
+    case "waitlisted":
+      return options.position
+        ? `${title} is full. You're number ${options.position} on the waitlist.`
+        : `${title} is full. You're on the waitlist.`;
+    case "promoted":
+      return `A seat opened up: you're now going to ${title} on ${when(event)}.`;
+    case "removed":
+      return `An organizer removed you from ${title}.`;
+    case "reminder":
+      return `Reminder: ${title} starts ${when(event)}.`;
+    default:
+      return title;
+  }
+};
@@ -0,0 +1,48 @@
+import mongoose from "mongoose";
+
+// Keyset (cursor) pagination for aggregation pipelines. Results are ordered by
+// one sort field plus _id as a tie-breaker, and the cursor records both values
+// of the last item on a page, so pages stay stable while events are added.
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+// Parse the limit query param: { value } or { error }
+export const parseLimit = (raw) => {
+  if (raw === undefined || raw === "") return { value: DEFAULT_PAGE_SIZE };
+  const limit = parseInt(raw, 10);
+  if (Number.isNaN(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return { error: `Limit must be between 1 and ${MAX_PAGE_SIZE}` };
+  }
+  return { value: limit };
+};
+
+export const encodeCursor = (doc, { field }) =>
+  Buffer.from(JSON.stringify({ v: doc[field], id: doc._id })).toString("base64url");
+
+// Decode a cursor into { value, id }, or null if it's malformed or tampered
+// with. isDate restores date sort values, which JSON turns into strings; the
+// other sort fields are numbers. Anything else (e.g. an object that would be
+// read as a query operator) is rejected.
+export const decodeCursor = (cursor, { isDate }) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (typeof id !== "string" || !/^[0-9a-f]{24}$/i.test(id)) return null;
+    if (isDate ? typeof v !== "string" : !Number.isFinite(v)) return null;
+    const value = isDate ? new Date(v) : v;
+    if (isDate && Number.isNaN(value.getTime())) return null;
+    return { value, id: new mongoose.Types.ObjectId(id) };
+  } catch (err) {
+    return null;
+  }
+};
+
+// $match stage selecting the items after the cursor in { field, order } order
+export const afterCursorStage = ({ value, id }, { field, order }) => ({
+  $match: {
+    $or: [
+      { [field]: { [order === 1 ? "$gt" : "$lt"]: value } },
+      { [field]: value, _id: { $gt: id } },
+    ],
+  },
+});
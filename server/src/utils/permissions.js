@@ -0,0 +1,27 @@
+// Per-event organizer roles. The creator is the owner; co-hosts are invited by
+// email as editors (can edit details) or managers (can also manage attendees).
+
+export const COHOST_ROLES = ["editor", "manager"];
+
+const PERMISSIONS = {
+  edit: ["owner", "manager", "editor"], // Change details and lifecycle status
+  manageAttendees: ["owner", "manager"], // Registration answers, check-in, removing attendees
+  own: ["owner"], // Delete the event and manage co-hosts
+};
+
+// The signed-in user's role for an event ("owner", "manager", "editor"), or null.
+// Works with createdBy and coHosts.user either populated or as raw IDs.
+export const getEventRole = (event, user) => {
+  if (!event || !user) return null;
+  if (String(event.createdBy?._id || event.createdBy) === String(user.id)) {
+    return "owner";
+  }
+  const email = user.email?.toLowerCase();
+  const coHost = (event.coHosts || []).find(
+    (c) => String(c.user?._id || c.user) === String(user.id) || (email && c.email === email)
+  );
+  return coHost ? coHost.role : null;
+};
+
+export const canManageEvent = (event, user, permission) =>
+  PERMISSIONS[permission].includes(getEventRole(event, user));
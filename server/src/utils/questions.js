@@ -0,0 +1,105 @@
+import mongoose from "mongoose";
+
+// Helpers for organizer-defined registration questions and attendee answers
+
+export const QUESTION_TYPES = ["text", "single", "multi", "checkbox"];
+
+export const MAX_QUESTIONS = 10;
+const MAX_OPTIONS = 20;
+const MAX_TEXT_LENGTH = 500;
+
+// Parse the question list sent by the client (a JSON string in multipart forms).
+// Existing question IDs are kept so stored answers stay linked to them.
+// Returns { questions } on success or { error } with a user-facing message.
+export const parseQuestions = (raw) => {
+  let list = raw;
+  if (typeof raw === "string") {
+    try {
+      list = JSON.parse(raw);
+    } catch {
+      return { error: "Questions must be valid JSON" };
+    }
+  }
+  if (!Array.isArray(list)) {
+    return { error: "Questions must be a list" };
+  }
+  if (list.length > MAX_QUESTIONS) {
+    return { error: `An event can have at most ${MAX_QUESTIONS} questions` };
+  }
+
+  const questions = [];
+  for (const [index, q] of list.entries()) {
+    const label = typeof q?.label === "string" ? q.label.trim() : "";
+    if (!label) {
+      return { error: `Question ${index + 1} needs a label` };
+    }
+    if (!QUESTION_TYPES.includes(q.type)) {
+      return { error: `Question "${label}" must be one of: ${QUESTION_TYPES.join(", ")}` };
+    }
+
+    let options = [];
+    if (q.type === "single" || q.type === "multi") {
+      options = [...new Set((q.options || []).map((o) => String(o).trim()).filter(Boolean))];
+      if (options.length < 2 || options.length > MAX_OPTIONS) {
+        return { error: `Question "${label}" needs between 2 and ${MAX_OPTIONS} options` };
+      }
+    }
+
+    const question = { label, type: q.type, options, required: Boolean(q.required) };
+    if (q._id && mongoose.isValidObjectId(q._id)) {
+      question._id = q._id;
+    }
+    questions.push(question);
+  }
+
+  return { questions };
+};
+
+// Check an attendee's answers ({ [questionId]: value }) against an event's questions.
+// Returns { answers } ready to store on the RSVP, or { error }.
+export const validateAnswers = (questions = [], raw = {}) => {
+  const given = raw && typeof raw === "object" ? raw : {};
+  const answers = [];
+
+  for (const q of questions) {
+    const value = given[String(q._id)];
+    const isEmpty =
+      value === undefined ||
+      value === null ||
+      value === "" ||
+      value === false ||
+      (Array.isArray(value) && value.length === 0);
+
+    if (isEmpty) {
+      if (q.required) {
+        return { error: `Please answer "${q.label}"` };
+      }
+      continue;
+    }
+
+    if (q.type === "text") {
+      if (typeof value !== "string" || value.length > MAX_TEXT_LENGTH) {
+        return { error: `"${q.label}" must be text of at most ${MAX_TEXT_LENGTH} characters` };
+      }
+      answers.push({ question: q._id, value: value.trim() });
+    } else if (q.type === "single") {
+      if (!q.options.includes(value)) {
+        return { error: `"${q.label}" must be one of the listed options` };
+      }
+      answers.push({ question: q._id, value });
+    } else if (q.type === "multi") {
+      const values = Array.isArray(value) ? [...new Set(value)] : [value];
+      if (values.some((v) => !q.options.includes(v))) {
+        return { error: `"${q.label}" must only contain the listed options` };
+      }
+      answers.push({ question: q._id, value: values });
+    } else if (q.type === "checkbox") {
+      if (value !== true && value !== "true") {
+        return { error: `"${q.label}" must be checked or left empty` };
+      }
+      answers.push({ question: q._id, value: true });
+    }
+  }
+
+  return { answers };
+};
@@ -0,0 +1,134 @@
+import { toWallClock, fromWallClock } from "./timezone.js";
+
+// Helpers for expanding an event recurrence rule into occurrence dates
+
+export const FREQUENCIES = ["daily", "weekly", "monthly"];
+
+// Upper bound on occurrences generated for a single series
+export const MAX_OCCURRENCES = 100;
+
+export const toDateKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Parse the recurrence sent by the client (a JSON string in multipart forms).
+// Returns { rule } on success or { error } with a user-facing message.
+export const parseRecurrence = (raw) => {
+  let rule = raw;
+  if (typeof raw === "string") {
+    try {
+      rule = JSON.parse(raw);
+    } catch {
+      return { error: "Recurrence must be valid JSON" };
+    }
+  }
+  if (!rule || typeof rule !== "object") {
+    return { error: "Recurrence is invalid" };
+  }
+
+  const frequency = rule.frequency;
+  if (!FREQUENCIES.includes(frequency)) {
+    return { error: `Recurrence frequency must be one of: ${FREQUENCIES.join(", ")}` };
+  }
+
+  const interval = rule.interval === undefined ? 1 : parseInt(rule.interval, 10);
+  if (Number.isNaN(interval) || interval < 1) {
+    return { error: "Recurrence interval must be a positive number" };
+  }
+
+  let until = null;
+  if (rule.until) {
+    until = new Date(rule.until);
+    if (Number.isNaN(until.getTime())) {
+      return { error: "Recurrence end date is invalid" };
+    }
+  }
+
+  let count = null;
+  if (rule.count !== undefined && rule.count !== null && rule.count !== "") {
+    count = parseInt(rule.count, 10);
+    if (Number.isNaN(count) || count < 1 || count > MAX_OCCURRENCES) {
+      return { error: `Recurrence count must be between 1 and ${MAX_OCCURRENCES}` };
+    }
+  }
+
+  if (!until && !count) {
+    return { error: "Recurrence needs an end date or an occurrence count" };
+  }
+
+  const exceptions = [];
+  for (const value of rule.exceptions || []) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      return { error: `Recurrence exception "${value}" is not a valid date` };
+    }
+    exceptions.push(date);
+  }
+
+  return { rule: { frequency, interval, until, count, exceptions } };
+};
+
+const addToDate = (start, frequency, steps) => {
+  const date = new Date(start);
+  if (frequency === "daily") {
+    date.setUTCDate(date.getUTCDate() + steps);
+  } else if (frequency === "weekly") {
+    date.setUTCDate(date.getUTCDate() + steps * 7);
+  } else {
+    date.setUTCMonth(date.getUTCMonth() + steps);
+    // Months without this day of the month (e.g. the 31st) are skipped
+    if (date.getUTCDate() !== new Date(start).getUTCDate()) {
+      return null;
+    }
+  }
+  return date;
+};
+
+// Expand a parsed rule into the list of occurrence dates, starting at `start`.
+// `count` counts generated occurrences, including ones later removed as exceptions.
+export const expandRecurrence = (start, rule) => {
+  const skipped = new Set((rule.exceptions || []).map(toDateKey));
+  const limit = rule.count || MAX_OCCURRENCES;
+  const dates = [];
+
+  for (let step = 0, generated = 0; generated < limit && step < MAX_OCCURRENCES * 31; step++) {
+    const date = addToDate(start, rule.frequency, step * rule.interval);
+    if (!date) continue;
+    if (rule.until && date > rule.until) break;
+
+    generated++;
+    if (!skipped.has(toDateKey(date))) {
+      dates.push(date);
+    }
+  }
+
+  return dates;
+};
+
+// Expand a rule in the event's time zone, so occurrences keep their local time
+// across DST changes (and exceptions match local dates)
+export const expandRecurrenceInZone = (start, rule, timeZone) =>
+  expandRecurrence(toWallClock(start, timeZone), rule).map((wall) => fromWallClock(wall, timeZone));
+
+// Which occurrences of a recurring series an edit applies to
+export const EDIT_SCOPES = ["occurrence", "following", "series"];
+
+// Query for the occurrences an edit of `event` in `scope` applies to, or null
+// when it applies to the event alone (always the case outside a series)
+export const scopeFilter = (event, scope) => {
+  if (!event.series || scope === "occurrence") return null;
+  const filter = { series: event.series };
+  if (scope === "following") {
+    filter.dateTime = { $gte: event.dateTime };
+  }
+  return filter;
+};
+
+// How far an edit moves an event from `from` in fromZone to `to` in toZone,
+// in local time, so the same shift can be applied to other occurrences
+export const localShift = (from, fromZone, to, toZone) =>
+  toWallClock(to, toZone).getTime() - toWallClock(from, fromZone).getTime();
+
+// Apply a localShift to an occurrence, landing in toZone. Occurrences keep
+// their local time across DST changes, and a new zone alone (a shift of 0)
+// keeps each one's local time.
+export const shiftOccurrence = (dateTime, fromZone, shift, toZone) =>
+  fromWallClock(new Date(toWallClock(dateTime, fromZone).getTime() + shift), toZone);
@@ -0,0 +1,72 @@
+import { parseZonedDateTime } from "./timezone.js";
+
+// Event end times and schedule overlaps
+
+// Events without an end time are treated as one hour long
+export const DEFAULT_DURATION_MS = 60 * 60 * 1000;
+export const MAX_DURATION_MS = 30 * 24 * 60 * 60 * 1000;
+
+// When an event ends: its endDateTime, or the default duration after it starts
+export const eventEnd = (event) =>
+  event.endDateTime
+    ? new Date(event.endDateTime)
+    : new Date(new Date(event.dateTime).getTime() + DEFAULT_DURATION_MS);
+
+// Parse an event's length from endDateTime (like dateTime, a local time in
+// timeZone unless it has an offset) or duration (in minutes). Empty values
+// clear the end time.
+// Returns { value } with the duration in ms (null without an end) or { error }.
+export const parseDuration = ({ endDateTime, duration }, start, timeZone) => {
+  let ms;
+  if (endDateTime) {
+    const end = parseZonedDateTime(endDateTime, timeZone);
+    if (Number.isNaN(end.getTime())) {
+      return { error: "Invalid end date and time" };
+    }
+    ms = end.getTime() - start.getTime();
+  } else if (duration) {
+    const minutes = Number(duration);
+    if (!Number.isInteger(minutes)) {
+      return { error: "Duration must be a whole number of minutes" };
+    }
+    ms = minutes * 60 * 1000;
+  } else {
+    return { value: null };
+  }
+
+  if (ms <= 0) {
+    return { error: "Events must end after they start" };
+  }
+  if (ms > MAX_DURATION_MS) {
+    return { error: "Events can last at most 30 days" };
+  }
+  return { value: ms };
+};
+
+// Query for events that overlap the given start and end
+export const overlapQuery = (start, end) => ({
+  dateTime: { $lt: end },
+  $or: [
+    { endDateTime: { $gt: start } },
+    { endDateTime: null, dateTime: { $gt: new Date(start.getTime() - DEFAULT_DURATION_MS) } },
+  ],
+});
+
+// For each event in a list, the IDs of the other events in it that overlap.
+// Returns a Map of event ID -> [event IDs]; events without overlaps are left out.
+export const findOverlaps = (events) => {
+  const sorted = [...events].sort((a, b) => new Date(a.dateTime) - new Date(b.dateTime));
+  const overlaps = new Map();
+  const add = (a, b) => {
+    const key = String(a._id);
+    overlaps.set(key, [...(overlaps.get(key) || []), String(b._id)]);
+  };
+  for (let i = 0; i < sorted.length; i++) {
+    const end = eventEnd(sorted[i]);
+    for (let j = i + 1; j < sorted.length && new Date(sorted[j].dateTime) < end; j++) {
+      add(sorted[i], sorted[j]);
+      add(sorted[j], sorted[i]);
+    }
+  }
+  return overlaps;
+};
@@ -0,0 +1,73 @@
+// Match highlighting for text search results. MongoDB ranks the matches; this
+// only marks the words worth showing, using a rough stemmer so "meetups"
+// still highlights "meetup".
+
+const WORD = /[\p{L}\p{N}]+/gu;
+
+// Reduce a word to a prefix that its inflections share
+const stem = (word) => {
+  let w = word.toLowerCase();
+  if (w.length > 4) w = w.replace(/(ing|ed|es|s)$/, "");
+  // "running" -> "runn" -> "run"
+  if (/([^aeiou])\1$/.test(w)) w = w.slice(0, -1);
+  return w;
+};
+
+// Stems of the words in a $text search string, without negated terms
+export const searchStems = (search) =>
+  String(search || "")
+    .split(/\s+/)
+    .filter((word) => word && !word.startsWith("-"))
+    .flatMap((word) => word.match(WORD) || [])
+    .filter((word) => word.length > 1)
+    .map(stem);
+
+// Split text into [{ text, match }] segments, marking words that share a stem
+// with the search. With maxLength, only a window around the first match is
+// kept, with "…" where text was cut. Returns null if nothing matches.
+const highlightText = (text, stems, maxLength) => {
+  const source = String(text || "");
+  const matches = [...source.matchAll(WORD)]
+    .filter((m) => stems.some((s) => m[0].toLowerCase().startsWith(s)))
+    .map((m) => [m.index, m.index + m[0].length]);
+  if (matches.length === 0) return null;
+
+  let start = 0;
+  let end = source.length;
+  if (maxLength && source.length > maxLength) {
+    // Start a little before the first match, on a word boundary
+    const [firstStart, firstEnd] = matches[0];
+    start = Math.max(0, firstStart - Math.floor(maxLength / 3));
+    const space = source.indexOf(" ", start);
+    if (start > 0 && space !== -1 && space < firstStart) start = space + 1;
+    end = Math.min(source.length, start + maxLength);
+    const lastSpace = source.lastIndexOf(" ", end);
+    if (end < source.length && lastSpace > firstEnd) end = lastSpace;
+  }
+
+  const segments = [];
+  let pos = start;
+  for (const [a, b] of matches) {
+    if (a < start || b > end) continue;
+    if (a > pos) segments.push({ text: source.slice(pos, a) });
+    segments.push({ text: source.slice(a, b), match: true });
+    pos = b;
+  }
+  if (pos < end) segments.push({ text: source.slice(pos, end) });
+  if (start > 0) segments.unshift({ text: "…" });
+  if (end < source.length) segments.push({ text: "…" });
+  return segments;
+};
+
+// Highlighted title, description snippet and location of a search result.
+// Fields without a match are left out.
+export const buildHighlights = (event, stems) => {
+  const highlights = {};
+  const title = highlightText(event.title, stems);
+  const description = highlightText(event.description, stems, 160);
+  const location = highlightText(event.location, stems);
+  if (title) highlights.title = title;
+  if (description) highlights.description = description;
+  if (location) highlights.location = location;
+  return highlights;
+};
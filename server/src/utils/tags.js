@@ -0,0 +1,34 @@
+// Free-form event tags. Tags are stored normalized (trimmed, lowercase,
+// single spaces) so "Web Dev" and "web  dev" are the same tag.
+
+export const MAX_TAGS = 10;
+export const MAX_TAG_LENGTH = 30;
+
+export const normalizeTag = (tag) => String(tag).trim().toLowerCase().replace(/\s+/g, " ");
+
+// Parse tags sent as an array, a JSON array or a comma-separated string.
+// Returns { value } with unique normalized tags, or { error }.
+export const parseTags = (raw) => {
+  if (raw === undefined || raw === null || raw === "") return { value: [] };
+
+  let list = raw;
+  if (typeof raw === "string") {
+    try {
+      list = raw.trim().startsWith("[") ? JSON.parse(raw) : raw.split(",");
+    } catch (err) {
+      return { error: "Tags must be a list" };
+    }
+  }
+  if (!Array.isArray(list)) {
+    return { error: "Tags must be a list" };
+  }
+
+  const tags = [...new Set(list.map(normalizeTag).filter(Boolean))];
+  if (tags.length > MAX_TAGS) {
+    return { error: `An event can have at most ${MAX_TAGS} tags` };
+  }
+  if (tags.some((tag) => tag.length > MAX_TAG_LENGTH)) {
+    return { error: `Tags must be at most ${MAX_TAG_LENGTH} characters` };
+  }
+  return { value: tags };
+};
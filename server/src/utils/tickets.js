@@ -0,0 +1,31 @@
+import crypto from "crypto";
+
+// Signed ticket codes for event check-in. A code is "<eventId>.<userId>.<signature>",
+// so it can be regenerated at any time and verified without a database lookup.
+
+const getSecret = () =>
+  process.env.TICKET_SECRET || process.env.JWT_SECRET || "dev_secret";
+
+const sign = (eventId, userId) =>
+  crypto
+    .createHmac("sha256", getSecret())
+    .update(`ticket:${eventId}.${userId}`)
+    .digest("base64url")
+    .slice(0, 22);
+
+export const createTicketCode = (eventId, userId) =>
+  `${eventId}.${userId}.${sign(eventId, userId)}`;
+
+// Returns { eventId, userId } for a genuine code, or null if it was tampered with
+export const verifyTicketCode = (code) => {
+  const parts = typeof code === "string" ? code.trim().split(".") : [];
+  if (parts.length !== 3) return null;
+
+  const [eventId, userId, signature] = parts;
+  const expected = Buffer.from(sign(eventId, userId));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    return null;
+  }
+  return { eventId, userId };
+};
@@ -0,0 +1,98 @@
+// IANA time zone helpers built on Intl, so no time zone database is bundled.
+// A "wall clock" date is a Date whose UTC fields hold the local time in a
+// zone; it's only used for calendar arithmetic, never stored.
+
+// Events created before time zones were stored were entered in server time (UTC)
+export const DEFAULT_TIME_ZONE = "UTC";
+
+// Largest UTC offsets in use (UTC-12 to UTC+14), for bounding local-day queries
+export const MAX_OFFSET_MS = 14 * 60 * 60 * 1000;
+
+export const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== "string" || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Offset of a time zone from UTC at the given instant, in milliseconds
+const zoneOffset = (utcMs, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    })
+      .formatToParts(new Date(utcMs))
+      .map((p) => [p.type, p.value])
+  );
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - (utcMs - (utcMs % 1000));
+};
+
+export const toWallClock = (date, timeZone) => {
+  const ms = new Date(date).getTime();
+  return new Date(ms + zoneOffset(ms, timeZone));
+};
+
+// The instant a wall-clock time happens in a zone. A day either side of it
+// the zone is on the offsets in force before and after any DST change, and
+// the right one is whichever shows this wall-clock time. Times repeated when
+// clocks go back resolve to the first (earlier) instant; times skipped when
+// clocks go forward are moved forward by the gap, e.g. 2:30 AM becomes
+// 3:30 AM on the day New York springs forward.
+export const fromWallClock = (wall, timeZone) => {
+  const ms = wall.getTime();
+  const before = zoneOffset(ms - DAY_MS, timeZone);
+  const after = zoneOffset(ms + DAY_MS, timeZone);
+  for (const offset of [before, after]) {
+    const instant = new Date(ms - offset);
+    if (toWallClock(instant, timeZone).getTime() === ms) return instant;
+  }
+  return new Date(ms - before);
+};
+
+// Parse a date-time for an event in timeZone. Values with Z or an offset (and
+// Date objects) are exact instants; plain "YYYY-MM-DDTHH:mm[:ss]" values, as
+// sent by datetime-local inputs, are local times in timeZone.
+export const parseZonedDateTime = (value, timeZone) => {
+  if (value instanceof Date) return value;
+  const match = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/.exec(
+    String(value).trim()
+  );
+  if (!match) return new Date(value);
+  const [, y, mo, d, h = 0, mi = 0, s = 0] = match;
+  return fromWallClock(new Date(Date.UTC(y, mo - 1, d, h, mi, s)), timeZone);
+};
+
+// End of the local day `days` days after `date` in timeZone
+export const endOfDayInZone = (date, days, timeZone) => {
+  const wall = toWallClock(date, timeZone);
+  wall.setUTCDate(wall.getUTCDate() + days);
+  wall.setUTCHours(23, 59, 59, 999);
+  return fromWallClock(wall, timeZone);
+};
+
+// A readable date and time in a zone, e.g. "Sat, Jun 7, 2025, 7:00 PM EDT",
+// for messages sent to users
+export const formatInZone = (date, timeZone = DEFAULT_TIME_ZONE) =>
+  new Date(date).toLocaleString("en-US", {
+    weekday: "short",
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+    timeZone,
+    timeZoneName: "short",
+  });